@@ -1,14 +1,21 @@
 import {
 	AdditiveBlending,
+	AmbientLight,
 	AnimationClip,
 	Bone,
 	Box3,
+	BufferAttribute,
 	BufferGeometry,
 	Color,
 	ColorKeyframeTrack,
+	CustomBlending,
 	CompressedTexture,
 	DataTexture,
+	DirectionalLight,
 	DoubleSide,
+	DstColorFactor,
+	DynamicDrawUsage,
+	EventDispatcher,
 	FileLoader,
 	Float32BufferAttribute,
 	FrontSide,
@@ -20,10 +27,21 @@ import {
 	LinearMipmapLinearFilter,
 	Loader,
 	LoaderUtils,
+	LoopOnce,
+	LoopRepeat,
+	LOD,
+	MathUtils,
+	Matrix4,
 	Mesh,
 	MeshBasicMaterial,
 	MeshLambertMaterial,
 	NumberKeyframeTrack,
+	Object3D,
+	OneFactor,
+	OneMinusSrcAlphaFactor,
+	PerspectiveCamera,
+	PointLight,
+	Points,
 	Quaternion,
 	QuaternionKeyframeTrack,
 	RepeatWrapping,
@@ -31,14 +49,17 @@ import {
 	RGBA_S3TC_DXT3_Format,
 	RGBA_S3TC_DXT5_Format,
 	RGBA_BPTC_Format,
+	ShaderMaterial,
 	Skeleton,
 	SkinnedMesh,
+	SrcColorFactor,
 	SRGBColorSpace,
 	Uint8BufferAttribute,
 	Vector2,
 	Vector3,
 	Vector4,
 	VectorKeyframeTrack,
+	ZeroFactor,
 	AnimationMixer
 } from 'three';
 
@@ -77,11 +98,7 @@ class M2Loader extends Loader {
 		loader.setWithCredentials( this.withCredentials );
 		loader.load( url, ( buffer ) => {
 
-			try {
-
-				this.parse( buffer, url, options ).then( onLoad );
-
-			} catch ( e ) {
+			const handleError = ( e ) => {
 
 				if ( onError ) {
 
@@ -95,6 +112,18 @@ class M2Loader extends Loader {
 
 				this.manager.itemError( url );
 
+			};
+
+			try {
+
+				// parsing is async so errors of e.g. skeleton files reject the returned promise
+
+				this.parse( buffer, url, options ).then( onLoad ).catch( handleError );
+
+			} catch ( e ) {
+
+				handleError( e );
+
 			}
 
 		}, onProgress, onError );
@@ -171,21 +200,47 @@ class M2Loader extends Loader {
 
 		}
 
+		// skeleton, since Legion bones, sequences and attachments are often stored in separate .skel files
+
+		if ( chunks.has( 'SKID' ) ) {
+
+			const skeletonChunks = await this._loadSkeleton( chunks.get( 'SKID' ), header, resourcePath );
+
+			for ( const [ id, data ] of skeletonChunks ) {
+
+				if ( chunks.has( id ) === false ) chunks.set( id, data );
+
+			}
+
+		}
+
+		const sequenceSource = this._getDataSource( parser, header, chunks.get( 'SKS1' ) );
+		const boneSource = this._getDataSource( parser, header, chunks.get( 'SKB1' ) );
+		const attachmentSource = this._getDataSource( parser, header, chunks.get( 'SKA1' ) );
+
 		// data
 
 		const name = this._readName( parser, header );
 		const vertices = this._readVertices( parser, header );
-		const sequences = this._readSequences( parser, header );
-		const globalSequences = this._readGlobalSequences( parser, header );
+		const sequences = this._readSequences( sequenceSource.parser, sequenceSource.header );
+		const globalSequences = this._readGlobalSequences( sequenceSource.parser, sequenceSource.header );
 
-		const sequenceManager = new SequenceManager( sequences, globalSequences, name, resourcePath );
+		const converter = new CoordinateConverter( options._upAxis, options._unitScale );
+		const sequenceManager = new SequenceManager( sequences, globalSequences, name, resourcePath, converter, chunks.get( 'AFID' ) );
 
 		const colorDefinitions = this._readColorDefinitions( parser, header, sequenceManager );
 		const materialDefinitions = this._readMaterialDefinitions( parser, header );
 		const textureDefinitions = this._readTextureDefinitions( parser, header );
 		const textureTransformDefinitions = this._readTextureTransformDefinitions( parser, header, sequenceManager );
 		const textureWeightDefinitions = this._readTextureWeightDefinitions( parser, header, sequenceManager );
-		const boneDefinitions = this._readBoneDefinitions( parser, header, sequenceManager );
+		const boneDefinitions = this._readBoneDefinitions( boneSource.parser, boneSource.header, sequenceManager );
+		const particleDefinitions = this._readParticleDefinitions( parser, header, sequenceManager );
+		const ribbonDefinitions = this._readRibbonDefinitions( parser, header, sequenceManager );
+		const attachmentDefinitions = this._readAttachmentDefinitions( attachmentSource.parser, attachmentSource.header, sequenceManager );
+		const eventDefinitions = this._readEventDefinitions( parser, header, sequenceManager );
+		const lightDefinitions = this._readLightDefinitions( parser, header, sequenceManager );
+		const cameraDefinitions = this._readCameraDefinitions( parser, header, sequenceManager );
+		const collisionData = ( options._collisionMode !== null ) ? this._readCollisionData( parser, header ) : null;
 
 		// lookup tables
 
@@ -193,7 +248,18 @@ class M2Loader extends Loader {
 		lookupTables.bones = this._readBoneLookupTable( parser, header );
 		lookupTables.textures = this._readTextureLookupTable( parser, header );
 		lookupTables.textureTransforms = this._readTextureTransformsLookupTable( parser, header );
+		lookupTables.textureUnits = this._readTextureUnitLookupTable( parser, header );
 		lookupTables.textureWeights = this._readTextureWeightsLookupTable( parser, header );
+		lookupTables.attachments = this._readAttachmentLookupTable( attachmentSource.parser, attachmentSource.header );
+		lookupTables.keyBones = this._readKeyBoneLookupTable( boneSource.parser, boneSource.header );
+
+		// coordinate conversion
+
+		if ( converter.isIdentity === false ) {
+
+			this._convertCoordinates( converter, header, { vertices, sequences, boneDefinitions, particleDefinitions, ribbonDefinitions, attachmentDefinitions, eventDefinitions, lightDefinitions, cameraDefinitions, collisionData } );
+
+		}
 
 		// loaders
 
@@ -208,106 +274,366 @@ class M2Loader extends Loader {
 		// load textures and skin data asynchronously
 
 		const textures = await Promise.all( this._loadTextures( textureDefinitions, textureLoader, chunks, options ) );
-		const skinData = await this._loadSkin( header, parser, skinLoader, name, chunks );
+
+		// multiple skin profiles are only loaded if levels of detail are requested
+
+		let skinCount = 1;
+
+		if ( options._lod === true ) {
+
+			skinCount = ( header.version <= M2_VERSION_THE_BURNING_CRUSADE ) ? header.skinProfilesLength : header.numSkinProfiles;
+
+			const lodData = chunks.get( 'LDV1' );
+			if ( lodData !== undefined ) skinCount = Math.min( skinCount, lodData.lodCount );
+
+			skinCount = Math.max( skinCount, 1 );
+
+		}
+
+		const skins = [];
+
+		for ( let i = 0; i < skinCount; i ++ ) {
+
+			skins.push( this._loadSkin( header, parser, skinLoader, name, chunks, i ) );
+
+		}
+
+		const skinData = await Promise.all( skins );
+
+		// shader IDs are only stored for assets with texture combiner infos, otherwise they are computed like in the client
+
+		if ( ( header.globalFlags & M2_GLOBAL_FLAGS_USE_TEXTURE_COMBINER_INFOS ) === 0 ) {
+
+			for ( const data of skinData ) {
+
+				this._computeShaderIds( data.batches, materialDefinitions, lookupTables );
+
+			}
+
+		}
 
 		// build scene
 
-		const geometries = this._buildGeometries( skinData, vertices );
+		const geometries = skinData.map( data => this._buildGeometries( data, vertices ) );
 		const skeletonData = this._buildSkeleton( boneDefinitions, sequenceManager );
 		const materials = this._buildMaterials( materialDefinitions );
 		const textureTransforms = this._buildTextureTransforms( textureTransformDefinitions );
 		const textureWeights = this._buildTextureWeights( textureWeightDefinitions );
 		const colors = this._buildColors( colorDefinitions );
-		const group = this._buildObjects( name, geometries, skeletonData, materials, colors, textures, textureTransforms, textureWeights, skinData, lookupTables, sequenceManager );
+		const particleEmitters = this._buildParticleEmitters( particleDefinitions, textures, sequenceManager );
+		const ribbonEmitters = this._buildRibbonEmitters( ribbonDefinitions, materials, textures, sequenceManager );
+		const attachments = this._buildAttachments( attachmentDefinitions );
+		const events = this._buildEvents( eventDefinitions, sequenceManager );
+		const lights = this._buildLights( lightDefinitions, sequenceManager );
+		const cameras = this._buildCameras( cameraDefinitions, sequenceManager );
+		const collision = this._buildCollision( collisionData, header, options );
+		const lodDistances = this._computeLODDistances( skinData.length, header, options );
+		const group = this._buildObjects( name, geometries, skeletonData, materials, colors, textures, textureTransforms, textureWeights, skinData, lookupTables, lodDistances, sequenceManager );
+
+		this._attachObjects( group, skeletonData, [ ...particleEmitters, ...ribbonEmitters, ...attachments, ...events, ...lights, ...cameras ] );
+
+		group.attachments = attachments;
+		group.attachmentLookupTable = lookupTables.attachments;
+
+		if ( skeletonData.skeleton !== null ) group.bones = skeletonData.skeleton.bones;
+		group.keyBoneLookupTable = lookupTables.keyBones;
+
+		if ( options._geosetMode === 'base' ) group.showBaseGeosets();
 
 		group.userData.sequenceManager = sequenceManager;
+		group.userData.cameras = cameras;
+
+		if ( collision !== null ) {
+
+			if ( collision.mesh !== null ) group.add( collision.mesh );
+
+			group.userData.collision = collision;
+
+		}
 
 		return group;
 
 	}
 
-	_buildObjects( name, geometries, skeletonData, materials, colors, textures, textureTransforms, textureWeights, skinData, lookupTables, sequenceManager ) {
+	_applyTextureTransform( texture, data, sequenceManager ) {
+
+		const translation = data.translation;
+		const rotation = data.rotation;
+
+		if ( translation.animated === false ) {
+
+			texture.offset.copy( translation.constant );
+
+		}
+
+		if ( rotation.animated === false ) {
+
+			texture.rotation = rotation.constant;
+
+		}
+
+		if ( translation.animated || rotation.animated ) {
+
+			const tracks = data.tracks;
+			const globalTracks = data.globalTracks;
+
+			for ( let j = 0; j < tracks.length; j ++ ) {
+
+				if ( tracks[ j ] === undefined ) continue;
+
+				const clip = new AnimationClip( 'TextureTransform_' + j, - 1, [ ...tracks[ j ] ] );
+				sequenceManager.addAnimationToSequence( clip, texture, j );
+
+			}
+
+			for ( let j = 0; j < globalTracks.length; j ++ ) {
+
+				if ( globalTracks[ j ] === undefined ) continue;
+
+				const clip = new AnimationClip( 'GlobalTextureTransform_' + j, - 1, [ ...globalTracks[ j ] ] );
+				sequenceManager.addAnimationToGlobalSequence( clip, texture, j );
+
+			}
+
+		}
+
+	}
+
+	_attachObjects( group, skeletonData, objects ) {
+
+		const skeleton = skeletonData.skeleton;
+
+		for ( const object of objects ) {
+
+			// objects are defined in model space so they can be added to their bone without further transformation
+
+			const bone = ( skeleton !== null ) ? skeleton.bones[ object.boneIndex ] : undefined;
+
+			if ( bone !== undefined ) {
+
+				bone.add( object );
+
+			} else {
+
+				group.add( object );
+
+			}
+
+		}
+
+	}
+
+	_buildAttachments( attachmentDefinitions ) {
+
+		const attachments = [];
+
+		for ( let i = 0; i < attachmentDefinitions.length; i ++ ) {
+
+			const attachmentDefinition = attachmentDefinitions[ i ];
+
+			const attachment = new AttachmentPoint();
+			attachment.attachmentId = attachmentDefinition.id;
+			attachment.boneIndex = attachmentDefinition.bone;
+			attachment.position.copy( attachmentDefinition.position );
+			attachment.name = M2_ATTACHMENT_LIST[ attachmentDefinition.id ] || ( 'Attachment_' + attachmentDefinition.id );
+
+			attachments.push( attachment );
+
+		}
+
+		return attachments;
+
+	}
+
+	_buildObjects( name, geometries, skeletonData, materials, colors, textures, textureTransforms, textureWeights, skinData, lookupTables, lodDistances, sequenceManager ) {
 
-		const group = new Group();
+		const group = new M2Group();
 		group.name = name;
 
 		const skeleton = skeletonData.skeleton;
 
-		// meshes
+		// meshes, multiple skin profiles are represented as levels of detail sharing the same skeleton
 
-		const batches = skinData.batches;
+		if ( skinData.length === 1 ) {
 
-		for ( let i = 0; i < batches.length; i ++ ) {
+			const meshes = this._buildMeshes( geometries[ 0 ], skeleton, materials, colors, textures, textureTransforms, textureWeights, skinData[ 0 ], lookupTables, sequenceManager );
 
-			const batch = batches[ i ];
+			for ( const mesh of meshes ) group.add( mesh );
 
-			const geometry = geometries[ batch.skinSectionIndex ];
-			const material = materials[ batch.materialIndex ].clone(); // cloning is required since the same material might be animated differently
+		} else {
+
+			const lod = new LOD();
+			lod.name = 'LOD';
 
-			// texture
+			for ( let i = 0; i < skinData.length; i ++ ) {
 
-			const textureIndex = lookupTables.textures[ batch.textureComboIndex ];
+				const meshes = this._buildMeshes( geometries[ i ], skeleton, materials, colors, textures, textureTransforms, textureWeights, skinData[ i ], lookupTables, sequenceManager );
 
-			if ( textureIndex !== undefined ) {
+				const level = new Group();
+				level.name = 'LOD_' + i;
 
-				material.map = textures[ textureIndex ].clone(); // cloning is required since the same texture might be animated differently
+				for ( const mesh of meshes ) level.add( mesh );
+
+				lod.addLevel( level, lodDistances[ i ] );
 
 			}
 
-			// texture transform animations
+			group.add( lod );
 
-			const textureTransformIndex = lookupTables.textureTransforms[ batch.textureTransformComboIndex ];
+			group.userData.lod = lod;
 
-			if ( textureTransformIndex !== undefined ) {
+		}
 
-				const data = textureTransforms[ textureTransformIndex ];
+		// skeleton
 
-				if ( data !== undefined ) {
+		if ( skeleton !== null ) {
 
-					const translation = data.translation;
-					const rotation = data.rotation;
+			// bones must be part of the scene hierarchy
 
-					if ( translation.animated === false ) {
+			for ( const bone of skeleton.bones ) {
 
-						material.map.offset.copy( translation.constant );
+				if ( bone.parent === null ) group.add( bone );
 
-					}
+			}
 
-					if ( rotation.animated === false ) {
+			// animations
 
-						material.map.rotation = rotation.constant;
+			const tracks = skeletonData.tracks;
+			const globalTracks = skeletonData.globalTracks;
 
-					}
+			for ( let j = 0; j < tracks.length; j ++ ) {
 
-					if ( translation.animated || rotation.animated ) {
+				if ( tracks[ j ] === undefined ) continue;
 
-						const tracks = data.tracks;
-						const globalTracks = data.globalTracks;
+				const clip = new AnimationClip( 'SkeletonAnimation_' + j, - 1, [ ... tracks[ j ] ] );
+				sequenceManager.addAnimationToSequence( clip, group, j );
 
-						for ( let j = 0; j < tracks.length; j ++ ) {
+			}
 
-							if ( tracks[ j ] === undefined ) continue;
+			for ( let j = 0; j < globalTracks.length; j ++ ) {
 
-							const clip = new AnimationClip( 'TextureTransform_' + j, - 1, [ ...tracks[ j ] ] );
-							sequenceManager.addAnimationToSequence( clip, material.map, j );
+				if ( globalTracks[ j ] === undefined ) continue;
 
-						}
+				const clip = new AnimationClip( 'GlobalSkeletonAnimation_' + j, - 1, [ ... globalTracks[ j ] ] );
+				sequenceManager.addAnimationToGlobalSequence( clip, group, j );
 
-						for ( let j = 0; j < globalTracks.length; j ++ ) {
+			}
 
-							if ( globalTracks[ j ] === undefined ) continue;
+			// billboarded bones depend on the camera so they are updated right before rendering
 
-							const clip = new AnimationClip( 'GlobalTextureTransform_' + j, - 1, [ ...globalTracks[ j ] ] );
-							sequenceManager.addAnimationToGlobalSequence( clip, material.map, j );
+			const billboards = skeleton.bones.filter( bone => bone.billboardFlags !== 0 );
 
-						}
+			if ( billboards.length > 0 ) {
+
+				// all skinned meshes share the skeleton so it is only updated once per frame and camera
+
+				let lastFrame = - 1;
+				let lastCamera = null;
+
+				const updateBillboards = function ( renderer, camera ) {
+
+					const frame = renderer.info.render.frame;
+
+					if ( frame === lastFrame && camera === lastCamera ) return;
+
+					lastFrame = frame;
+					lastCamera = camera;
+
+					for ( const bone of billboards ) bone.updateBillboard( camera );
+
+					skeleton.update();
+
+				};
+
+				group.traverse( object => {
+
+					if ( object.isSkinnedMesh ) {
+
+						const onBeforeRender = object.onBeforeRender;
+
+						object.onBeforeRender = function ( renderer, scene, camera ) {
+
+							updateBillboards( renderer, camera );
+
+							onBeforeRender.apply( this, arguments );
+
+						};
 
 					}
 
+				} );
+
+			}
+
+		}
+
+		return group;
+
+	}
+
+	_buildMeshes( geometries, skeleton, materials, colors, textures, textureTransforms, textureWeights, skinData, lookupTables, sequenceManager ) {
+
+		const meshes = [];
+
+		const batches = skinData.batches;
+
+		for ( let i = 0; i < batches.length; i ++ ) {
+
+			const batch = batches[ i ];
+
+			const geometry = geometries[ batch.skinSectionIndex ];
+			const material = materials[ batch.materialIndex ].clone(); // cloning is required since the same material might be animated differently
+
+			// textures, a batch can define multiple texture stages with individual coordinates and transforms
+
+			const stages = [];
+
+			for ( let j = 0; j < batch.textureCount; j ++ ) {
+
+				const textureIndex = lookupTables.textures[ batch.textureComboIndex + j ];
+
+				if ( textureIndex === undefined ) continue;
+
+				const texture = textures[ textureIndex ].clone(); // cloning is required since the same texture might be animated differently
+
+				// texture transform animations
+
+				const textureTransformIndex = lookupTables.textureTransforms[ batch.textureTransformComboIndex + j ];
+
+				if ( textureTransformIndex !== undefined ) {
+
+					const data = textureTransforms[ textureTransformIndex ];
+
+					if ( data !== undefined ) this._applyTextureTransform( texture, data, sequenceManager );
+
+				}
+
+				// texture coordinates
+
+				const textureUnit = lookupTables.textureUnits[ batch.textureCoordComboIndex + j ];
+
+				stages.push( { texture: texture, coord: ( textureUnit !== undefined ) ? textureUnit : M2_TEXTURE_COORD_UV0 } );
+
+			}
+
+			// the vertex shader of a batch defines the texture coordinates of each stage
+
+			const shaderNames = getShaderNames( batch.shaderId, stages.length );
+
+			if ( shaderNames.vertex !== null ) {
+
+				const coords = shaderNames.vertex.split( '_' ).slice( 1 );
+
+				for ( let j = 0; j < stages.length && j < coords.length; j ++ ) {
+
+					stages[ j ].coord = M2_TEXTURE_COORDS[ coords[ j ] ];
+
 				}
 
 			}
 
+			setTextureStages( material, stages, shaderNames.pixel );
+
 			// texture weight
 
 			const textureWeightIndex = lookupTables.textureWeights[ batch.textureWeightComboIndex ];
@@ -417,66 +743,112 @@ class M2Loader extends Loader {
 
 			}
 
-			group.add( mesh );
+			// geoset IDs encode a group (e.g. hairstyles or boots) and a variant of this group
+
+			mesh.userData.geosetId = skinData.submeshes[ batch.skinSectionIndex ].skinSectionId;
+
+			meshes.push( mesh );
 
 		}
 
-		// skeleton
+		return meshes;
 
-		if ( skeleton !== null ) {
+	}
 
-			// bones must be part of the scene hierarchy
+	_buildCameras( cameraDefinitions, sequenceManager ) {
 
-			for ( const bone of skeleton.bones ) {
+		const cameras = [];
+		const converter = sequenceManager.converter;
 
-				if ( bone.parent === null ) group.add( bone );
+		for ( let i = 0; i < cameraDefinitions.length; i ++ ) {
 
-			}
+			const cameraDefinition = cameraDefinitions[ i ];
 
-			// animations
+			const camera = new ModelCamera();
+			camera.cameraType = cameraDefinition.type;
+			camera.near = cameraDefinition.nearClip;
+			camera.far = cameraDefinition.farClip;
+			camera.positionBase.copy( cameraDefinition.positionBase );
+			camera.targetPositionBase.copy( cameraDefinition.targetPositionBase );
+			converter.convertVector( camera.modelUp, 'direction' );
+			camera.name = M2_CAMERA_LIST[ cameraDefinition.type ] || ( 'Camera_' + i );
 
-			const tracks = skeletonData.tracks;
-			const globalTracks = skeletonData.globalTracks;
+			// animated camera properties, the field of view is only animated since Cataclysm
 
-			for ( let j = 0; j < tracks.length; j ++ ) {
+			const properties = [ 'translation', 'targetTranslation', 'roll' ];
 
-				if ( tracks[ j ] === undefined ) continue;
+			if ( cameraDefinition.diagonalFov !== null ) {
 
-				const clip = new AnimationClip( 'SkeletonAnimation_' + j, - 1, [ ... tracks[ j ] ] );
-				sequenceManager.addAnimationToSequence( clip, group, j );
+				properties.push( 'diagonalFov' );
+
+			} else {
+
+				camera.fov = cameraDefinition.fov;
 
 			}
 
-			for ( let j = 0; j < globalTracks.length; j ++ ) {
+			this._buildPropertyAnimations( camera, cameraDefinition, properties, 'Camera', sequenceManager );
 
-				if ( globalTracks[ j ] === undefined ) continue;
+			camera.update();
 
-				const clip = new AnimationClip( 'GlobalSkeletonAnimation_' + j, - 1, [ ... globalTracks[ j ] ] );
-				sequenceManager.addAnimationToGlobalSequence( clip, group, j );
+			sequenceManager.addDynamicObject( camera );
 
-			}
+			cameras.push( camera );
 
 		}
 
-		return group;
+		return cameras;
 
 	}
 
-	_buildColors( colorDefinitions ) {
+	_buildCollision( collisionData, header, options ) {
 
-		const colors = [];
+		if ( collisionData === null ) return null;
 
-		for ( let i = 0; i < colorDefinitions.length; i ++ ) {
+		const collision = {
+			box: header.collisionBox,
+			sphereRadius: header.collisionSphereRadius,
+			indices: collisionData.indices,
+			positions: collisionData.positions,
+			faceNormals: collisionData.faceNormals,
+			mesh: null
+		};
 
-			const colorDefinition = colorDefinitions[ i ];
+		if ( options._collisionMode === 'mesh' && collisionData.indices.length > 0 ) {
 
-			if ( colorDefinition !== undefined ) {
+			const geometry = new BufferGeometry();
+			geometry.setAttribute( 'position', new BufferAttribute( collisionData.positions, 3 ) );
+			geometry.setIndex( new BufferAttribute( collisionData.indices, 1 ) );
 
-				const data = {
-					color: {
-						constant: new Color(),
-						animated: true
-					},
+			// the mesh is invisible but can still be used for raycasting
+
+			const mesh = new Mesh( geometry, new MeshBasicMaterial( { wireframe: true } ) );
+			mesh.name = 'Collision';
+			mesh.visible = false;
+
+			collision.mesh = mesh;
+
+		}
+
+		return collision;
+
+	}
+
+	_buildColors( colorDefinitions ) {
+
+		const colors = [];
+
+		for ( let i = 0; i < colorDefinitions.length; i ++ ) {
+
+			const colorDefinition = colorDefinitions[ i ];
+
+			if ( colorDefinition !== undefined ) {
+
+				const data = {
+					color: {
+						constant: new Color(),
+						animated: true
+					},
 					alpha: {
 						constant: 1,
 						animated: true
@@ -580,6 +952,63 @@ class M2Loader extends Loader {
 
 	}
 
+	_buildEvents( eventDefinitions, sequenceManager ) {
+
+		const events = [];
+
+		for ( let i = 0; i < eventDefinitions.length; i ++ ) {
+
+			const eventDefinition = eventDefinitions[ i ];
+
+			const event = new EventPoint();
+			event.identifier = eventDefinition.identifier;
+			event.data = eventDefinition.data;
+			event.boneIndex = eventDefinition.bone;
+			event.position.copy( eventDefinition.position );
+			event.name = eventDefinition.identifier;
+
+			// each timestamp of the track represents a point in time when the event fires
+
+			const track = eventDefinition.enabled;
+
+			for ( let j = 0; j < track.timestamps.length; j ++ ) {
+
+				const times = track.timestamps[ j ];
+
+				if ( times.length === 0 ) continue;
+
+				if ( track.globalSequence >= 0 ) {
+
+					sequenceManager.addEventToGlobalSequence( times, event, track.globalSequence );
+
+				} else {
+
+					sequenceManager.addEventToSequence( times, event, j );
+
+					// external data
+
+					const externalTimestamps = track.externalTimestamps[ j ];
+
+					if ( externalTimestamps !== undefined ) {
+
+						const sequence = sequenceManager.sequences[ j ];
+
+						sequenceManager.addExternalTrack( sequence.id, sequence.variationIndex, externalTimestamps, null, { times } );
+
+					}
+
+				}
+
+			}
+
+			events.push( event );
+
+		}
+
+		return events;
+
+	}
+
 	_buildGeometries( skinData, vertices ) {
 
 		// geometry
@@ -593,6 +1022,7 @@ class M2Loader extends Loader {
 		const position = [];
 		const normal = [];
 		const uv = [];
+		const uv1 = [];
 		const skinIndex = [];
 		const skinWeight = [];
 
@@ -601,11 +1031,10 @@ class M2Loader extends Loader {
 			const vertexIndex = localVertexList[ i ];
 			const vertex = vertices[ vertexIndex ];
 
-			// TODO: Implement up-axis conversion (z-up to y-up), figure out if WoW is left- or right-handed
-
 			position.push( vertex.pos.x, vertex.pos.y, vertex.pos.z );
 			normal.push( vertex.normal.x, vertex.normal.y, vertex.normal.z );
 			uv.push( vertex.texCoords[ 0 ].x, vertex.texCoords[ 0 ].y );
+			uv1.push( vertex.texCoords[ 1 ].x, vertex.texCoords[ 1 ].y );
 			skinIndex.push( vertex.boneIndices.x, vertex.boneIndices.y, vertex.boneIndices.z, vertex.boneIndices.w );
 			skinWeight.push( vertex.boneWeights.x, vertex.boneWeights.y, vertex.boneWeights.z, vertex.boneWeights.w );
 
@@ -614,6 +1043,7 @@ class M2Loader extends Loader {
 		const positionAttribute = new Float32BufferAttribute( position, 3 );
 		const normalAttribute = new Float32BufferAttribute( normal, 3 );
 		const uvAttribute = new Float32BufferAttribute( uv, 2 );
+		const uv1Attribute = new Float32BufferAttribute( uv1, 2 );
 		const skinIndexAttribute = new Uint8BufferAttribute( skinIndex, 4 );
 		const skinWeightAttribute = new Uint8BufferAttribute( skinWeight, 4, true );
 
@@ -631,6 +1061,7 @@ class M2Loader extends Loader {
 			geometry.setAttribute( 'position', positionAttribute );
 			geometry.setAttribute( 'normal', normalAttribute );
 			geometry.setAttribute( 'uv', uvAttribute );
+			geometry.setAttribute( 'uv1', uv1Attribute );
 			geometry.setAttribute( 'skinIndex', skinIndexAttribute );
 			geometry.setAttribute( 'skinWeight', skinWeightAttribute );
 			geometry.setIndex( index );
@@ -643,6 +1074,38 @@ class M2Loader extends Loader {
 
 	}
 
+	_buildLights( lightDefinitions, sequenceManager ) {
+
+		const lights = [];
+
+		// animated light properties
+
+		// the attenuation start is not supported since the falloff of three.js lights can't start at a distance
+
+		const properties = [ 'ambientColor', 'ambientIntensity', 'diffuseColor', 'diffuseIntensity', 'attenuationEnd', 'visibility' ];
+
+		const converter = sequenceManager.converter;
+
+		for ( let i = 0; i < lightDefinitions.length; i ++ ) {
+
+			const lightDefinition = lightDefinitions[ i ];
+
+			const light = new LightSource( lightDefinition.type );
+			light.boneIndex = lightDefinition.bone;
+			light.position.copy( lightDefinition.position );
+			if ( light.diffuseLight.isDirectionalLight === true ) converter.convertVector( light.diffuseLight.target.position, 'direction' );
+			light.name = 'Light_' + i;
+
+			this._buildPropertyAnimations( light, lightDefinition, properties, 'Light', sequenceManager );
+
+			lights.push( light );
+
+		}
+
+		return lights;
+
+	}
+
 	_buildMaterials( materialDefinitions ) {
 
 		const materials = [];
@@ -654,7 +1117,7 @@ class M2Loader extends Loader {
 			const materialFlags = materialDefinition.flags;
 			const blendingMode = materialDefinition.blendingMode;
 
-			// TODO Honor remaining material flags and blending modes
+			// TODO Honor remaining material flags
 
 			const material = ( materialFlags & M2_MATERIAL_UNLIT ) ? new MeshBasicMaterial() : new MeshLambertMaterial();
 
@@ -663,46 +1126,227 @@ class M2Loader extends Loader {
 			material.depthTest = ( materialFlags & M2_MATERIAL_DEPTH_TEST ) ? false : true;
 			material.depthWrite = ( materialFlags & M2_MATERIAL_DEPTH_WRITE ) ? false : true;
 
-			switch ( blendingMode ) {
+			setBlendingMode( material, blendingMode );
 
-				case M2_BLEND_OPAQUE:
-					material.alphaTest = 0;
-					material.transparent = false;
-					break;
+			materials.push( material );
 
-				case M2_BLEND_ALPHA_KEY:
-					material.alphaTest = 0.5;
-					material.transparent = false;
-					break;
+		}
 
-				case M2_BLEND_ALPHA:
-					material.alphaTest = 0;
-					material.transparent = true;
-					break;
+		return materials;
 
-				case M2_BLEND_ADD:
-					material.alphaTest = 0;
-					material.transparent = true;
-					material.blending = AdditiveBlending;
-					break;
+	}
 
-				default:
-					console.warn( 'THREE.M2Loader: Unsupported blending mode.' );
-					break;
+	_buildParticleEmitters( particleDefinitions, textures, sequenceManager ) {
+
+		const emitters = [];
+		const converter = sequenceManager.converter;
+
+		// animated emitter properties
+
+		const properties = [ 'emissionSpeed', 'speedVariation', 'verticalRange', 'horizontalRange', 'gravity', 'lifespan', 'emissionRate', 'emissionAreaLength', 'emissionAreaWidth', 'zSource', 'enabledIn' ];
+
+		for ( let i = 0; i < particleDefinitions.length; i ++ ) {
+
+			const particleDefinition = particleDefinitions[ i ];
+
+			const emitter = new M2ParticleEmitter( particleDefinition, textures[ particleDefinition.textures[ 0 ] ] );
+			emitter.name = 'ParticleEmitter_' + i;
+			emitter.quaternion.copy( converter.quaternion ); // the emitter space represents M2 space
+			emitter.scale.setScalar( converter.unitScale );
+
+			setBlendingMode( emitter.points.material, particleDefinition.blendingType );
+			emitter.points.material.depthWrite = false;
+
+			this._buildPropertyAnimations( emitter, particleDefinition, properties, 'ParticleEmitter', sequenceManager );
+
+			sequenceManager.addDynamicObject( emitter );
+
+			emitters.push( emitter );
+
+		}
+
+		return emitters;
 
+	}
+
+	_buildPropertyAnimations( object, definition, properties, name, sequenceManager ) {
+
+		// animates the given properties of an object with the tracks of the respective definition
+
+		const tracks = [];
+		const globalTracks = [];
+
+		for ( const property of properties ) {
+
+			const track = definition[ property ];
+			const isColor = object[ property ].isColor === true;
+			const isVector = object[ property ].isVector3 === true;
+
+			if ( isStaticTrack( track ) ) {
+
+				if ( isColor || isVector ) {
+
+					object[ property ].fromArray( track.values[ 0 ] );
+
+				} else {
+
+					object[ property ] = track.values[ 0 ][ 0 ];
+
+				}
+
+				continue;
 
 			}
 
-			materials.push( material );
+			let initialized = false;
+
+			for ( let j = 0; j < track.timestamps.length; j ++ ) {
+
+				const times = track.timestamps[ j ];
+				const values = track.values[ j ];
+
+				// ignore empty tracks
+
+				if ( times.length === 0 ) continue;
+
+				// use the first keyframe as the initial value so objects are also configured without an active sequence.
+				// keyframes of external sequences are not loaded yet
+
+				const externalTimestamps = track.externalTimestamps[ j ];
+
+				if ( initialized === false && externalTimestamps === undefined ) {
+
+					if ( isColor || isVector ) {
+
+						object[ property ].fromArray( values );
+
+					} else {
+
+						object[ property ] = values[ 0 ];
+
+					}
+
+					initialized = true;
+
+				}
+
+				// interpolation type
+
+				const interpolation = getInterpolation( track.interpolationType );
+
+				// keyframe track
+
+				let keyframeTrack;
+
+				if ( isColor ) {
+
+					keyframeTrack = new ColorKeyframeTrack( '.' + property, times, values, interpolation );
+
+				} else if ( isVector ) {
+
+					keyframeTrack = new VectorKeyframeTrack( '.' + property, times, values, interpolation );
+
+				} else {
+
+					keyframeTrack = new NumberKeyframeTrack( '.' + property, times, values, interpolation );
+
+				}
+
+				if ( track.globalSequence >= 0 ) {
+
+					if ( globalTracks[ track.globalSequence ] === undefined ) globalTracks[ track.globalSequence ] = [];
+
+					globalTracks[ track.globalSequence ].push( keyframeTrack );
+
+				} else {
+
+					if ( tracks[ j ] === undefined ) tracks[ j ] = [];
+
+					tracks[ j ].push( keyframeTrack );
+
+					// external data
+
+					if ( externalTimestamps !== undefined ) {
+
+						const sequence = sequenceManager.sequences[ j ];
+
+						sequenceManager.addExternalTrack( sequence.id, sequence.variationIndex, externalTimestamps, track.externalValues[ j ], keyframeTrack );
+
+					}
+
+				}
+
+			}
 
 		}
 
-		return materials;
+		for ( let j = 0; j < tracks.length; j ++ ) {
+
+			if ( tracks[ j ] === undefined ) continue;
+
+			const clip = new AnimationClip( name + '_' + j, - 1, [ ...tracks[ j ] ] );
+			sequenceManager.addAnimationToSequence( clip, object, j );
+
+		}
+
+		for ( let j = 0; j < globalTracks.length; j ++ ) {
+
+			if ( globalTracks[ j ] === undefined ) continue;
+
+			const clip = new AnimationClip( 'Global' + name + '_' + j, - 1, [ ...globalTracks[ j ] ] );
+			sequenceManager.addAnimationToGlobalSequence( clip, object, j );
+
+		}
+
+	}
+
+	_buildRibbonEmitters( ribbonDefinitions, materials, textures, sequenceManager ) {
+
+		const emitters = [];
+		const converter = sequenceManager.converter;
+
+		// animated emitter properties
+
+		const properties = [ 'color', 'alpha', 'heightAbove', 'heightBelow', 'textureSlot', 'visibility' ];
+
+		for ( let i = 0; i < ribbonDefinitions.length; i ++ ) {
+
+			const ribbonDefinition = ribbonDefinitions[ i ];
+
+			// ribbons are unlit and visible from both sides but otherwise honor the referenced material
+
+			const material = new MeshBasicMaterial();
+			const materialIndex = ribbonDefinition.materials[ 0 ];
+
+			if ( materials[ materialIndex ] !== undefined ) material.copy( materials[ materialIndex ] );
+
+			material.side = DoubleSide;
+
+			const texture = textures[ ribbonDefinition.textures[ 0 ] ];
+
+			if ( texture !== undefined ) material.map = texture; // texture slots are selected via the uvs of the ribbon
+
+			const emitter = new M2RibbonEmitter( ribbonDefinition, material );
+			emitter.name = 'RibbonEmitter_' + i;
+			emitter.quaternion.copy( converter.quaternion ); // the emitter space represents M2 space
+			emitter.scale.setScalar( converter.unitScale );
+
+			this._buildPropertyAnimations( emitter, ribbonDefinition, properties, 'RibbonEmitter', sequenceManager );
+
+			sequenceManager.addDynamicObject( emitter );
+
+			emitters.push( emitter );
+
+		}
+
+		return emitters;
 
 	}
 
 	_buildSkeleton( boneDefinitions, sequenceManager ) {
 
+		const converter = sequenceManager.converter;
+
 		const data = {
 			tracks: [],
 			globalTracks: [],
@@ -722,6 +1366,14 @@ class M2Loader extends Loader {
 
 			const bone = new PivotBone();
 			bone.pivot.copy( boneDefinition.pivot ); // three.js does not support pivot points so a custom bone class is required
+			bone.billboardFlags = boneDefinition.flags & M2_BONE_FLAGS_BILLBOARD;
+
+			if ( bone.billboardFlags !== 0 ) {
+
+				converter.convertVector( bone.modelForward, 'direction' );
+				converter.convertVector( bone.modelUp, 'direction' );
+
+			}
 
 			bones.push( bone );
 
@@ -1113,105 +1765,328 @@ class M2Loader extends Loader {
 
 	}
 
-	_loadSkin( header, parser, skinLoader, name, chunks ) {
-
-		let promise;
+	_computeLODDistances( count, header, options ) {
 
-		if ( header.version <= M2_VERSION_THE_BURNING_CRUSADE ) {
+		const distances = [];
 
-			promise = Promise.resolve( this._readEmbeddedSkinData( parser, header ) );
+		for ( let i = 0; i < count; i ++ ) {
 
-		} else {
+			if ( options._lodDistances !== null && options._lodDistances[ i ] !== undefined ) {
 
-			let filename = ( name + '00.skin' ).toLowerCase(); // default skin name based on .m2 file
+				distances.push( options._lodDistances[ i ] );
 
-			const skinFileDataIDs = chunks.get( 'SFID' );
+			} else {
 
-			if ( skinFileDataIDs !== undefined ) {
+				// without configured distances, levels switch in steps depending on the size of the asset
 
-				filename = skinFileDataIDs[ 0 ] + '.skin';
+				distances.push( i * Math.max( header.boundingSphereRadius, 1 ) * M2_LOD_DISTANCE_FACTOR );
 
 			}
 
-			promise = new Promise( ( resolve, reject ) => {
-
-				skinLoader.load( filename, resolve, undefined, () => {
-
-					reject( new Error( 'THREE.M2Loader: Failed to load skin file: ' + filename ) );
-
-				} );
-
-			} );
-
 		}
 
-		return promise;
+		return distances;
 
 	}
 
-	_loadTextures( textureDefinitions, loader, chunks, options ) {
-
-		const promises = [];
+	_computeShaderIds( batches, materialDefinitions, lookupTables ) {
 
-		for ( let i = 0; i < textureDefinitions.length; i ++ ) {
+		for ( const batch of batches ) {
 
-			const textureDefinition = textureDefinitions[ i ];
-			let filename = textureDefinition.filename;
+			let shaderId = 0;
 
-			const textureIds = options._textureIds;
+			for ( let j = 0; j < batch.textureCount; j ++ ) {
 
-			// get filename from options if configured
+				const materialDefinition = materialDefinitions[ batch.materialIndex + j ] || materialDefinitions[ batch.materialIndex ];
+				const blendingMode = ( materialDefinition !== undefined ) ? materialDefinition.blendingMode : M2_BLEND_OPAQUE;
+				const textureUnit = lookupTables.textureUnits[ batch.textureCoordComboIndex + j ];
 
-			if ( textureDefinition.type === M2_TEX_COMPONENT_MONSTER_1 && textureIds.has( M2_TEX_COMPONENT_MONSTER_1 ) ) {
+				if ( j === 0 ) {
 
-				filename = textureIds.get( M2_TEX_COMPONENT_MONSTER_1 ) + '.blp';
+					if ( blendingMode !== M2_BLEND_OPAQUE ) shaderId |= 0x10;
+					if ( textureUnit === M2_TEXTURE_COORD_ENV ) shaderId |= 0x80;
 
-			} else if ( textureDefinition.type === M2_TEX_COMPONENT_MONSTER_2 && textureIds.has( M2_TEX_COMPONENT_MONSTER_2 ) ) {
+				} else {
 
-				filename = textureIds.get( M2_TEX_COMPONENT_MONSTER_2 ) + '.blp';
+					shaderId |= M2_BLEND_SHADER_OPS[ blendingMode ] || 0;
+					if ( textureUnit === M2_TEXTURE_COORD_ENV ) shaderId |= 0x8;
 
-			} else if ( textureDefinition.type === M2_TEX_COMPONENT_MONSTER_3 && textureIds.has( M2_TEX_COMPONENT_MONSTER_3 ) ) {
+				}
 
-				filename = textureIds.get( M2_TEX_COMPONENT_MONSTER_3 ) + '.blp';
+				if ( textureUnit === M2_TEXTURE_COORD_UV1 ) shaderId |= 0x4000;
 
 			}
 
-			// if the filename is empty, use the FileDataID field from the TXID chunk
+			batch.shaderId = shaderId;
 
-			if ( filename === '' ) {
+		}
 
-				const textureFileDataIds = chunks.get( 'TXID' );
+	}
 
-				if ( textureFileDataIds !== undefined ) {
+	_convertCoordinates( converter, header, data ) {
 
-					filename = textureFileDataIds[ i ] + '.blp';
+		// converts all positional data from M2 space into the space configured via M2Options
 
-				}
+		const unitScale = converter.unitScale;
 
-			}
+		converter.convertBox( header.boundingBox );
+		converter.convertBox( header.collisionBox );
+		header.boundingSphereRadius *= unitScale;
+		header.collisionSphereRadius *= unitScale;
 
-			//
+		for ( const sequence of data.sequences ) {
 
-			const promise = new Promise( ( resolve, reject ) => {
+			converter.convertBox( sequence.bounds.extend );
+			sequence.bounds.radius *= unitScale;
+			sequence.movespeed *= unitScale;
 
-				const config = {
-					url: filename,
-					flags: textureDefinition.flags
-				};
+		}
 
-				loader.load( config, resolve, undefined, () => {
+		for ( const vertex of data.vertices ) {
 
-					reject( new Error( 'THREE.M2Loader: Failed to load texture: ' + config.url ) );
+			converter.convertVector( vertex.pos, 'position' );
+			converter.convertVector( vertex.normal, 'direction' );
 
-				} );
+		}
 
-			} );
+		for ( const bone of data.boneDefinitions ) {
 
-			promises.push( promise );
+			converter.convertVector( bone.pivot, 'position' );
+			converter.convertTrack( bone.translation, 'position' );
+			converter.convertTrack( bone.rotation, 'quaternion' );
+			converter.convertTrack( bone.scale, 'scale' );
 
 		}
 
-		return promises;
+		// the properties of emitters are defined in their local M2 space so only their position is converted
+
+		for ( const particle of data.particleDefinitions ) {
+
+			converter.convertVector( particle.position, 'position' );
+
+		}
+
+		for ( const ribbon of data.ribbonDefinitions ) {
+
+			converter.convertVector( ribbon.position, 'position' );
+
+		}
+
+		for ( const attachment of data.attachmentDefinitions ) {
+
+			converter.convertVector( attachment.position, 'position' );
+
+		}
+
+		for ( const event of data.eventDefinitions ) {
+
+			converter.convertVector( event.position, 'position' );
+
+		}
+
+		for ( const light of data.lightDefinitions ) {
+
+			converter.convertVector( light.position, 'position' );
+			converter.convertTrack( light.attenuationStart, 'length' );
+			converter.convertTrack( light.attenuationEnd, 'length' );
+
+		}
+
+		for ( const camera of data.cameraDefinitions ) {
+
+			converter.convertVector( camera.positionBase, 'position' );
+			converter.convertVector( camera.targetPositionBase, 'position' );
+			converter.convertTrack( camera.translation, 'position' );
+			converter.convertTrack( camera.targetTranslation, 'position' );
+			camera.nearClip *= unitScale;
+			camera.farClip *= unitScale;
+
+		}
+
+		if ( data.collisionData !== null ) {
+
+			converter.convertArray( data.collisionData.positions, 'position' );
+			converter.convertArray( data.collisionData.faceNormals, 'direction' );
+
+		}
+
+	}
+
+	_getDataSource( parser, header, chunk ) {
+
+		// data of .skel files are read with the parser of the respective chunk, the remaining header fields are retained
+
+		if ( chunk === undefined ) return { parser, header };
+
+		return { parser: chunk.parser, header: Object.assign( {}, header, chunk.header ) };
+
+	}
+
+	async _loadSkeleton( fileDataID, header, resourcePath, visited = new Set() ) {
+
+		const filename = fileDataID + '.skel';
+
+		if ( visited.has( fileDataID ) ) {
+
+			throw new Error( 'THREE.M2Loader: Failed to parse skeleton file: ' + filename + '. Cyclic parent skeleton reference detected.' );
+
+		}
+
+		visited.add( fileDataID );
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( resourcePath );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+
+		let buffer;
+
+		try {
+
+			buffer = await loader.loadAsync( filename );
+
+		} catch ( e ) {
+
+			throw new Error( 'THREE.M2Loader: Failed to load skeleton file: ' + filename, { cause: e } );
+
+		}
+
+		let chunks;
+
+		try {
+
+			chunks = this._readChunks( buffer, header );
+
+		} catch ( e ) {
+
+			throw new Error( 'THREE.M2Loader: Failed to parse skeleton file: ' + filename + '. ' + e.message, { cause: e } );
+
+		}
+
+		if ( chunks.has( 'SKL1' ) === false ) {
+
+			throw new Error( 'THREE.M2Loader: Invalid skeleton file: ' + filename );
+
+		}
+
+		// data which are not defined by a skeleton are inherited from its parent skeleton
+
+		if ( chunks.has( 'SKPD' ) ) {
+
+			const parentChunks = await this._loadSkeleton( chunks.get( 'SKPD' ), header, resourcePath, visited );
+
+			for ( const [ id, data ] of parentChunks ) {
+
+				if ( chunks.has( id ) === false ) chunks.set( id, data );
+
+			}
+
+		}
+
+		return chunks;
+
+	}
+
+	_loadSkin( header, parser, skinLoader, name, chunks, index = 0 ) {
+
+		let promise;
+
+		if ( header.version <= M2_VERSION_THE_BURNING_CRUSADE ) {
+
+			promise = Promise.resolve( this._readEmbeddedSkinData( parser, header, index ) );
+
+		} else {
+
+			let filename = ( name + String( index ).padStart( 2, '0' ) + '.skin' ).toLowerCase(); // default skin name based on .m2 file
+
+			const skinFileDataIDs = chunks.get( 'SFID' );
+
+			if ( skinFileDataIDs !== undefined ) {
+
+				filename = skinFileDataIDs[ index ] + '.skin';
+
+			}
+
+			promise = new Promise( ( resolve, reject ) => {
+
+				skinLoader.load( filename, resolve, undefined, () => {
+
+					reject( new Error( 'THREE.M2Loader: Failed to load skin file: ' + filename ) );
+
+				} );
+
+			} );
+
+		}
+
+		return promise;
+
+	}
+
+	_loadTextures( textureDefinitions, loader, chunks, options ) {
+
+		const promises = [];
+
+		for ( let i = 0; i < textureDefinitions.length; i ++ ) {
+
+			const textureDefinition = textureDefinitions[ i ];
+			let filename = textureDefinition.filename;
+
+			const textureIds = options._textureIds;
+
+			// get filename from options if configured
+
+			if ( textureDefinition.type === M2_TEX_COMPONENT_MONSTER_1 && textureIds.has( M2_TEX_COMPONENT_MONSTER_1 ) ) {
+
+				filename = textureIds.get( M2_TEX_COMPONENT_MONSTER_1 ) + '.blp';
+
+			} else if ( textureDefinition.type === M2_TEX_COMPONENT_MONSTER_2 && textureIds.has( M2_TEX_COMPONENT_MONSTER_2 ) ) {
+
+				filename = textureIds.get( M2_TEX_COMPONENT_MONSTER_2 ) + '.blp';
+
+			} else if ( textureDefinition.type === M2_TEX_COMPONENT_MONSTER_3 && textureIds.has( M2_TEX_COMPONENT_MONSTER_3 ) ) {
+
+				filename = textureIds.get( M2_TEX_COMPONENT_MONSTER_3 ) + '.blp';
+
+			}
+
+			// if the filename is empty, use the FileDataID field from the TXID chunk
+
+			if ( filename === '' ) {
+
+				const textureFileDataIds = chunks.get( 'TXID' );
+
+				if ( textureFileDataIds !== undefined ) {
+
+					filename = textureFileDataIds[ i ] + '.blp';
+
+				}
+
+			}
+
+			//
+
+			const promise = new Promise( ( resolve, reject ) => {
+
+				const config = {
+					url: filename,
+					flags: textureDefinition.flags
+				};
+
+				loader.load( config, resolve, undefined, () => {
+
+					reject( new Error( 'THREE.M2Loader: Failed to load texture: ' + config.url ) );
+
+				} );
+
+			} );
+
+			promises.push( promise );
+
+		}
+
+		return promises;
 
 	}
 
@@ -1286,12 +2161,98 @@ class M2Loader extends Loader {
 		header.textureTransformsLookupTableLength = parser.readUInt32();
 		header.textureTransformsLookupTableOffset = parser.readUInt32();
 
+		header.boundingBox = new Box3();
+		header.boundingBox.min.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+		header.boundingBox.max.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+		header.boundingSphereRadius = parser.readFloat32();
+		header.collisionBox = new Box3();
+		header.collisionBox.min.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+		header.collisionBox.max.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+		header.collisionSphereRadius = parser.readFloat32();
+
+		header.collisionIndicesLength = parser.readUInt32();
+		header.collisionIndicesOffset = parser.readUInt32();
+		header.collisionPositionsLength = parser.readUInt32();
+		header.collisionPositionsOffset = parser.readUInt32();
+		header.collisionFaceNormalsLength = parser.readUInt32();
+		header.collisionFaceNormalsOffset = parser.readUInt32();
+		header.attachmentsLength = parser.readUInt32();
+		header.attachmentsOffset = parser.readUInt32();
+		header.attachmentLookupTableLength = parser.readUInt32();
+		header.attachmentLookupTableOffset = parser.readUInt32();
+		header.eventsLength = parser.readUInt32();
+		header.eventsOffset = parser.readUInt32();
+		header.lightsLength = parser.readUInt32();
+		header.lightsOffset = parser.readUInt32();
+		header.camerasLength = parser.readUInt32();
+		header.camerasOffset = parser.readUInt32();
+		header.cameraLookupTableLength = parser.readUInt32();
+		header.cameraLookupTableOffset = parser.readUInt32();
+		header.ribbonEmittersLength = parser.readUInt32();
+		header.ribbonEmittersOffset = parser.readUInt32();
+		header.particleEmittersLength = parser.readUInt32();
+		header.particleEmittersOffset = parser.readUInt32();
+
+		header.animationChunk = 'AFM2'; // external keyframes of M2 data are stored in this chunk of chunked .anim files
+
 		return header;
 
 	}
 
 	//
 
+	_readAttachmentDefinitions( parser, header, sequenceManager ) {
+
+		const length = header.attachmentsLength;
+		const offset = header.attachmentsOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const attachments = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			const attachment = new M2Attachment();
+
+			attachment.id = parser.readUInt32();
+			attachment.bone = parser.readUInt16();
+			attachment.unknown = parser.readUInt16();
+			attachment.position.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+			attachment.animateAttached = this._readTrack( parser, header, 'uint8', sequenceManager );
+
+			attachments.push( attachment );
+
+		}
+
+		parser.restoreState();
+
+		return attachments;
+
+	}
+
+	_readAttachmentLookupTable( parser, header ) {
+
+		const length = header.attachmentLookupTableLength;
+		const offset = header.attachmentLookupTableOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const lookupTable = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			lookupTable.push( parser.readInt16() );
+
+		}
+
+		parser.restoreState();
+
+		return lookupTable;
+
+	}
+
 	_readBoneLookupTable( parser, header ) {
 
 		const length = header.boneLookupTableLength;
@@ -1361,6 +2322,52 @@ class M2Loader extends Loader {
 
 	}
 
+	_readCameraDefinitions( parser, header, sequenceManager ) {
+
+		const length = header.camerasLength;
+		const offset = header.camerasOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const cameras = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			const camera = new M2Camera();
+
+			camera.type = parser.readUInt32();
+
+			if ( header.version < M2_VERSION_CATACLYSM ) {
+
+				camera.fov = parser.readFloat32() * 35; // the field of view must be multiplied by 35 to get degrees
+
+			}
+
+			camera.farClip = parser.readFloat32();
+			camera.nearClip = parser.readFloat32();
+			camera.translation = this._readTrack( parser, header, 'vec3Spline', sequenceManager );
+			camera.positionBase.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+			camera.targetTranslation = this._readTrack( parser, header, 'vec3Spline', sequenceManager );
+			camera.targetPositionBase.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+			camera.roll = this._readTrack( parser, header, 'floatSpline', sequenceManager );
+
+			if ( header.version >= M2_VERSION_CATACLYSM ) {
+
+				camera.diagonalFov = this._readTrack( parser, header, 'floatSpline', sequenceManager );
+
+			}
+
+			cameras.push( camera );
+
+		}
+
+		parser.restoreState();
+
+		return cameras;
+
+	}
+
 	_readChunks( buffer, header ) {
 
 		const parser = new BinaryParser( buffer );
@@ -1422,1853 +2429,5686 @@ class M2Loader extends Loader {
 
 		}
 
-		return data;
+		// LDV1
 
-	}
+		const ldv1 = chunkMap.get( 'LDV1' );
 
-	_readColorDefinitions( parser, header, sequenceManager ) {
+		if ( ldv1 !== undefined ) {
 
-		const length = header.colorsLength;
-		const offset = header.colorsOffset;
+			parser.moveTo( ldv1.start );
 
-		parser.saveState();
-		parser.moveTo( offset );
+			parser.offset += 2; // skip unknown field
 
-		const colors = [];
+			const lodCount = parser.readUInt16();
 
-		for ( let i = 0; i < length; i ++ ) {
+			data.set( 'LDV1', { lodCount } );
 
-			const color = new M2Color();
+		}
 
-			color.color = this._readTrack( parser, header, 'vec3', sequenceManager );
-			color.alpha = this._readTrack( parser, header, 'fixed16', sequenceManager );
+		// AFID
 
-			colors.push( color );
+		const afid = chunkMap.get( 'AFID' );
 
-		}
+		if ( afid !== undefined ) {
 
-		parser.restoreState();
+			parser.moveTo( afid.start );
 
-		return colors;
+			const animationFileDataIDs = new Map();
 
-	}
+			while ( parser.offset < afid.end ) {
 
-	_readEmbeddedSkinData( parser, header ) {
+				const sequenceId = parser.readUInt16();
+				const variationIndex = parser.readUInt16();
+				const fileDataID = parser.readUInt32();
 
-		const offset = header.skinProfilesOffset;
+				if ( fileDataID !== 0 ) animationFileDataIDs.set( computeSequenceKey( sequenceId, variationIndex ), fileDataID ); // 0 means no .anim file
 
-		parser.saveState();
-		parser.moveTo( offset );
+			}
 
-		const loader = new M2SkinLoader();
-		const skinData = loader.read( parser, header );
+			data.set( 'AFID', animationFileDataIDs );
 
-		parser.restoreState();
+		}
 
-		return skinData;
+		// SKID
 
-	}
+		const skid = chunkMap.get( 'SKID' );
 
-	_readGlobalSequences( parser, header ) {
+		if ( skid !== undefined ) {
 
-		const length = header.globalLoopsLength;
-		const offset = header.globalLoopsOffset;
+			parser.moveTo( skid.start );
 
-		parser.saveState();
-		parser.moveTo( offset );
+			data.set( 'SKID', parser.readUInt32() );
 
-		const timestamps = [];
+		}
 
-		for ( let i = 0; i < length; i ++ ) {
+		// SKL1
 
-			timestamps.push( parser.readUInt32() );
+		const skl1 = chunkMap.get( 'SKL1' );
+
+		if ( skl1 !== undefined ) {
+
+			parser.moveTo( skl1.start );
+
+			const flags = parser.readUInt32();
+
+			data.set( 'SKL1', { flags } );
 
 		}
 
-		parser.restoreState();
+		// SKPD
 
-		return timestamps;
+		const skpd = chunkMap.get( 'SKPD' );
 
-	}
+		if ( skpd !== undefined ) {
 
-	_readMaterialDefinitions( parser, header ) {
+			parser.moveTo( skpd.start );
 
-		const length = header.materialsLength;
-		const offset = header.materialsOffset;
+			parser.offset += 8; // skip unknown fields
 
-		parser.saveState();
-		parser.moveTo( offset );
+			data.set( 'SKPD', parser.readUInt32() );
 
-		const materials = [];
+		}
 
-		for ( let i = 0; i < length; i ++ ) {
+		// SKS1, SKA1 and SKB1 hold the sequences, attachments and bones of .skel files. offsets inside these chunks are relative to the chunk
 
-			const material = new M2Material();
+		const sks1 = chunkMap.get( 'SKS1' );
 
-			material.flags = parser.readUInt16();
-			material.blendingMode = parser.readUInt16();
+		if ( sks1 !== undefined ) {
 
-			materials.push( material );
+			const chunkParser = new BinaryParser( buffer );
+			chunkParser.chunkOffset = sks1.start;
+			chunkParser.moveTo( 0 );
+
+			const chunkHeader = {};
+			chunkHeader.globalLoopsLength = chunkParser.readUInt32();
+			chunkHeader.globalLoopsOffset = chunkParser.readUInt32();
+			chunkHeader.sequencesLength = chunkParser.readUInt32();
+			chunkHeader.sequencesOffset = chunkParser.readUInt32();
+			chunkHeader.sequenceIdxHashByIdLength = chunkParser.readUInt32();
+			chunkHeader.sequenceIdxHashByOffset = chunkParser.readUInt32();
+
+			data.set( 'SKS1', { parser: chunkParser, header: chunkHeader } );
 
 		}
 
-		parser.restoreState();
+		const ska1 = chunkMap.get( 'SKA1' );
 
-		return materials;
+		if ( ska1 !== undefined ) {
 
-	}
+			const chunkParser = new BinaryParser( buffer );
+			chunkParser.chunkOffset = ska1.start;
+			chunkParser.moveTo( 0 );
 
-	_readName( parser, header ) {
+			const chunkHeader = {};
+			chunkHeader.attachmentsLength = chunkParser.readUInt32();
+			chunkHeader.attachmentsOffset = chunkParser.readUInt32();
+			chunkHeader.attachmentLookupTableLength = chunkParser.readUInt32();
+			chunkHeader.attachmentLookupTableOffset = chunkParser.readUInt32();
+			chunkHeader.animationChunk = 'AFSA';
 
-		const length = header.nameLength;
-		const offset = header.nameOffset;
+			data.set( 'SKA1', { parser: chunkParser, header: chunkHeader } );
 
-		parser.saveState();
-		parser.moveTo( offset );
+		}
 
-		const name = parser.readString( length ).replace( /\0/g, '' ); // remove control characters
+		const skb1 = chunkMap.get( 'SKB1' );
 
-		parser.restoreState();
+		if ( skb1 !== undefined ) {
 
-		return name;
+			const chunkParser = new BinaryParser( buffer );
+			chunkParser.chunkOffset = skb1.start;
+			chunkParser.moveTo( 0 );
+
+			const chunkHeader = {};
+			chunkHeader.bonesLength = chunkParser.readUInt32();
+			chunkHeader.bonesOffset = chunkParser.readUInt32();
+			chunkHeader.boneIndicesByIdLength = chunkParser.readUInt32();
+			chunkHeader.boneIndicesByIdOffset = chunkParser.readUInt32();
+			chunkHeader.animationChunk = 'AFSB';
+
+			data.set( 'SKB1', { parser: chunkParser, header: chunkHeader } );
+
+		}
+
+		return data;
 
 	}
 
-	_readSequences( parser, header ) {
+	_readCollisionData( parser, header ) {
 
-		const length = header.sequencesLength;
-		const offset = header.sequencesOffset;
+		const data = {};
 
-		parser.saveState();
-		parser.moveTo( offset );
+		// indices
 
-		const sequences = [];
+		parser.saveState();
+		parser.moveTo( header.collisionIndicesOffset );
 
-		for ( let i = 0; i < length; i ++ ) {
+		data.indices = new Uint16Array( header.collisionIndicesLength );
 
-			const sequence = new M2Sequence();
+		for ( let i = 0; i < header.collisionIndicesLength; i ++ ) {
 
-			sequence.id = parser.readUInt16();
-			sequence.variationIndex = parser.readUInt16();
+			data.indices[ i ] = parser.readUInt16();
 
-			if ( header.version <= M2_VERSION_THE_BURNING_CRUSADE ) {
+		}
 
-				sequence.startTimestamp = parser.readUInt32();
-				sequence.endTimestamp = parser.readUInt32();
+		parser.restoreState();
 
-			} else {
+		// positions
 
-				sequence.duration = parser.readUInt32();
+		parser.saveState();
+		parser.moveTo( header.collisionPositionsOffset );
 
-			}
+		data.positions = new Float32Array( header.collisionPositionsLength * 3 );
 
-			sequence.movespeed = parser.readFloat32();
-			sequence.flags = parser.readUInt32();
-			sequence.frequency = parser.readInt16();
-			sequence.padding = parser.readUInt16();
-			sequence.replay.minimum = parser.readUInt32();
-			sequence.replay.maximum = parser.readUInt32();
+		for ( let i = 0; i < data.positions.length; i ++ ) {
 
-			if ( header.version < M2_VERSION_LEGION ) {
+			data.positions[ i ] = parser.readFloat32();
 
-				sequence.blendTime = parser.readUInt32();
+		}
 
-			} else {
+		parser.restoreState();
 
-				sequence.blendTimeIn = parser.readUInt16();
-				sequence.blendTimeOut = parser.readUInt16();
+		// face normals (one per triangle)
 
-			}
+		parser.saveState();
+		parser.moveTo( header.collisionFaceNormalsOffset );
 
-			sequence.bounds.extend.max.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
-			sequence.bounds.extend.min.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
-			sequence.bounds.radius = parser.readFloat32();
+		data.faceNormals = new Float32Array( header.collisionFaceNormalsLength * 3 );
 
-			sequence.variationNext = parser.readInt16();
-			sequence.aliasNext = parser.readUInt16();
+		for ( let i = 0; i < data.faceNormals.length; i ++ ) {
 
-			sequences.push( sequence );
+			data.faceNormals[ i ] = parser.readFloat32();
 
 		}
 
 		parser.restoreState();
 
-		return sequences;
+		return data;
 
 	}
 
-	_readTextureDefinitions( parser, header ) {
+	_readColorDefinitions( parser, header, sequenceManager ) {
 
-		const length = header.texturesLength;
-		const offset = header.texturesOffset;
+		const length = header.colorsLength;
+		const offset = header.colorsOffset;
 
 		parser.saveState();
 		parser.moveTo( offset );
 
-		const textures = [];
+		const colors = [];
 
 		for ( let i = 0; i < length; i ++ ) {
 
-			const texture = this._readTextureDefinition( parser );
-			textures.push( texture );
+			const color = new M2Color();
+
+			color.color = this._readTrack( parser, header, 'vec3', sequenceManager );
+			color.alpha = this._readTrack( parser, header, 'fixed16', sequenceManager );
+
+			colors.push( color );
 
 		}
 
 		parser.restoreState();
 
-		return textures;
+		return colors;
 
 	}
 
-	_readTextureDefinition( parser ) {
-
-		const texture = new M2Texture();
-
-		texture.type = parser.readUInt32();
-		texture.flags = parser.readUInt32();
+	_readEmbeddedSkinData( parser, header, index ) {
 
-		const length = parser.readUInt32();
-		const offset = parser.readUInt32();
+		const offset = header.skinProfilesOffset + index * 44; // size of an embedded skin profile
 
 		parser.saveState();
 		parser.moveTo( offset );
 
-		let filename = parser.readString( length );
-		filename = filename.replace( /\0/g, '' ); // remove control characters
-		filename = filename.replace( /^.*[\\\/]/, '' ); // remove directory path
-		filename = filename.toLowerCase(); // ensure lowercase characters
-
-		texture.filename = filename;
+		const loader = new M2SkinLoader();
+		const skinData = loader.read( parser, header );
 
 		parser.restoreState();
 
-		return texture;
+		return skinData;
 
 	}
 
-	_readTextureLookupTable( parser, header ) {
+	_readEventDefinitions( parser, header, sequenceManager ) {
 
-		const length = header.textureLookupTableLength;
-		const offset = header.textureLookupTableOffset;
+		const length = header.eventsLength;
+		const offset = header.eventsOffset;
 
 		parser.saveState();
 		parser.moveTo( offset );
 
-		const lookupTable = [];
+		const events = [];
 
 		for ( let i = 0; i < length; i ++ ) {
 
-			lookupTable.push( parser.readUInt16() );
+			const event = new M2Event();
+
+			event.identifier = parser.readString( 4 ).replace( /\0/g, '' ); // remove control characters
+			event.data = parser.readUInt32();
+			event.bone = parser.readUInt32();
+			event.position.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+			event.enabled = this._readTrack( parser, header, null, sequenceManager );
+
+			events.push( event );
 
 		}
 
 		parser.restoreState();
 
-		return lookupTable;
+		return events;
 
 	}
 
-	_readTextureTransformDefinitions( parser, header, sequenceManager ) {
+	_readFakeTrack( parser, type ) {
 
-		const length = header.textureTransformsLength;
-		const offset = header.textureTransformsOffset;
+		// fake tracks are not bound to sequences. timestamps represent the normalized age of a particle
 
-		parser.saveState();
-		parser.moveTo( offset );
+		const track = new M2FakeTrack();
 
-		const textureTransforms = [];
+		const timestampsLength = parser.readUInt32();
+		const timestampsOffset = parser.readUInt32();
+		const valuesLength = parser.readUInt32();
+		const valuesOffset = parser.readUInt32();
 
-		for ( let i = 0; i < length; i ++ ) {
+		parser.saveState();
+		parser.moveTo( timestampsOffset );
 
-			const textureTransform = this._readTextureTransformDefinition( parser, header, sequenceManager );
-			textureTransforms.push( textureTransform );
+		for ( let i = 0; i < timestampsLength; i ++ ) {
+
+			track.timestamps.push( parser.readUInt16() / 0x7fff );
 
 		}
 
 		parser.restoreState();
 
-		return textureTransforms;
-
-
-	}
-
-	_readTextureTransformDefinition( parser, header, sequenceManager ) {
+		const itemSize = getItemSize( type );
+		const values = new Array( valuesLength * itemSize );
 
-		const textureTransform = new M2TextureTransform();
+		extractValues( parser, valuesLength, valuesOffset, type, itemSize, values );
 
-		textureTransform.translation = this._readTrack( parser, header, 'vec3', sequenceManager );
-		textureTransform.rotation = this._readTrack( parser, header, 'quat', sequenceManager );
-		textureTransform.scale = this._readTrack( parser, header, 'vec3', sequenceManager );
+		track.itemSize = itemSize;
+		track.values = values;
 
-		return textureTransform;
+		return track;
 
 	}
 
-	_readTextureTransformsLookupTable( parser, header ) {
+	_readGlobalSequences( parser, header ) {
 
-		const length = header.textureTransformsLookupTableLength;
-		const offset = header.textureTransformsLookupTableOffset;
+		const length = header.globalLoopsLength;
+		const offset = header.globalLoopsOffset;
 
 		parser.saveState();
 		parser.moveTo( offset );
 
-		const lookupTable = [];
+		const timestamps = [];
 
 		for ( let i = 0; i < length; i ++ ) {
 
-			lookupTable.push( parser.readUInt16() );
+			timestamps.push( parser.readUInt32() );
 
 		}
 
 		parser.restoreState();
 
-		return lookupTable;
+		return timestamps;
 
 	}
 
-	_readTextureWeightDefinitions( parser, header, sequenceManager ) {
+	_readKeyBoneLookupTable( parser, header ) {
 
-		const length = header.textureWeightsLength;
-		const offset = header.textureWeightsOffset;
+		const length = header.boneIndicesByIdLength;
+		const offset = header.boneIndicesByIdOffset;
 
 		parser.saveState();
 		parser.moveTo( offset );
 
-		const textureWeights = [];
+		const lookupTable = [];
 
 		for ( let i = 0; i < length; i ++ ) {
 
-			const track = this._readTrack( parser, header, 'fixed16', sequenceManager );
-
-			textureWeights.push( track );
+			lookupTable.push( parser.readInt16() );
 
 		}
 
 		parser.restoreState();
 
-		return textureWeights;
+		return lookupTable;
 
 	}
 
-	_readTextureWeightsLookupTable( parser, header ) {
+	_readLegacyParticleValues( parser, particle ) {
 
-		const length = header.transparencyLookupTableLength;
-		const offset = header.transparencyLookupTableOffset;
+		// before WotLK, the values over the lifetime of a particle are defined by three keys (birth, mid point and death).
+		// they are represented as fake tracks so particles of all versions are simulated in the same way
 
-		parser.saveState();
-		parser.moveTo( offset );
+		const midPoint = parser.readFloat32();
 
-		const lookupTable = [];
+		particle.color = new M2FakeTrack();
+		particle.alpha = new M2FakeTrack();
+		particle.scale = new M2FakeTrack();
+		particle.headCell = new M2FakeTrack();
+		particle.tailCell = new M2FakeTrack();
 
-		for ( let i = 0; i < length; i ++ ) {
+		for ( const track of [ particle.color, particle.alpha, particle.scale ] ) {
 
-			lookupTable.push( parser.readUInt16() );
+			track.timestamps.push( 0, midPoint, 1 );
 
 		}
 
-		parser.restoreState();
+		particle.color.itemSize = 3;
+		particle.alpha.itemSize = 1;
+		particle.scale.itemSize = 2;
 
-		return lookupTable;
+		for ( let i = 0; i < 3; i ++ ) {
 
-	}
+			const b = parser.readUInt8();
+			const g = parser.readUInt8();
+			const r = parser.readUInt8();
+			const a = parser.readUInt8();
 
-	_readTrack( parser, header, type, sequenceManager ) {
+			particle.color.values.push( r, g, b );
+			particle.alpha.values.push( a / 255 );
 
-		const track = new M2Track();
+		}
 
-		track.interpolationType = parser.readUInt16();
-		track.globalSequence = parser.readInt16();
+		for ( let i = 0; i < 3; i ++ ) {
 
-		// timestamps
+			const scale = parser.readFloat32();
+			particle.scale.values.push( scale, scale );
 
-		if ( header.version < M2_VERSION_WRATH_OF_THE_LICH_KING ) {
+		}
 
-			// TODO: Implement track parsing for older M2 assets
+		// cells are animated from start to end during the lifespan (until the mid point) and the decay of a particle
 
-		} else {
+		const lifespanCells = [ parser.readUInt16(), parser.readUInt16(), parser.readUInt16() ]; // start, end, repeat
+		const decayCells = [ parser.readUInt16(), parser.readUInt16(), parser.readUInt16() ];
+		const tailCells = [ parser.readInt16(), parser.readInt16() ]; // start, end
+		const tailDecayCells = [ parser.readInt16(), parser.readInt16() ];
 
-			const timestampsLength = parser.readUInt32();
-			const timestampsOffset = parser.readUInt32();
+		for ( const track of [ particle.headCell, particle.tailCell ] ) {
 
-			parser.saveState();
-			parser.moveTo( timestampsOffset );
+			track.timestamps.push( 0, midPoint, midPoint, 1 );
+			track.itemSize = 1;
 
-			for ( let i = 0; i < timestampsLength; i ++ ) {
+		}
 
-				const length = parser.readUInt32();
-				const offset = parser.readUInt32();
+		particle.headCell.values.push( lifespanCells[ 0 ], lifespanCells[ 1 ], decayCells[ 0 ], decayCells[ 1 ] );
+		particle.tailCell.values.push( tailCells[ 0 ], tailCells[ 1 ], tailDecayCells[ 0 ], tailDecayCells[ 1 ] );
 
-				let values = new Array( length );
+	}
 
-				if ( sequenceManager.isEmbeddedSequence( i ) ) {
+	_readLightDefinitions( parser, header, sequenceManager ) {
 
-					extractTimestamps( parser, length, offset, values );
+		const length = header.lightsLength;
+		const offset = header.lightsOffset;
 
-				} else {
+		parser.saveState();
+		parser.moveTo( offset );
 
-					values = values.fill( 0 );
+		const lights = [];
 
-					track.externalTimestamps[ i ] = {
-						length,
-						offset,
-					};
+		for ( let i = 0; i < length; i ++ ) {
 
-				}
+			const light = new M2Light();
 
-				track.timestamps.push( values );
+			light.type = parser.readUInt16();
+			light.bone = parser.readInt16();
+			light.position.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+			light.ambientColor = this._readTrack( parser, header, 'vec3', sequenceManager );
+			light.ambientIntensity = this._readTrack( parser, header, 'float', sequenceManager );
+			light.diffuseColor = this._readTrack( parser, header, 'vec3', sequenceManager );
+			light.diffuseIntensity = this._readTrack( parser, header, 'float', sequenceManager );
+			light.attenuationStart = this._readTrack( parser, header, 'float', sequenceManager );
+			light.attenuationEnd = this._readTrack( parser, header, 'float', sequenceManager );
+			light.visibility = this._readTrack( parser, header, 'uint8', sequenceManager );
 
-			}
+			lights.push( light );
 
-			parser.restoreState();
+		}
 
-			// values
+		parser.restoreState();
 
-			const valuesLength = parser.readUInt32();
-			const valuesOffset = parser.readUInt32();
+		return lights;
 
-			parser.saveState();
-			parser.moveTo( valuesOffset );
+	}
 
-			for ( let i = 0; i < valuesLength; i ++ ) {
+	_readMaterialDefinitions( parser, header ) {
 
-				const length = parser.readUInt32();
-				const offset = parser.readUInt32();
+		const length = header.materialsLength;
+		const offset = header.materialsOffset;
 
-				const itemSize = getItemSize( type );
-				let values = new Array( length * itemSize );
+		parser.saveState();
+		parser.moveTo( offset );
 
-				if ( sequenceManager.isEmbeddedSequence( i ) ) {
+		const materials = [];
 
-					extractValues( parser, length, offset, type, itemSize, values );
+		for ( let i = 0; i < length; i ++ ) {
 
-				} else {
+			const material = new M2Material();
 
-					values = values.fill( 0 );
+			material.flags = parser.readUInt16();
+			material.blendingMode = parser.readUInt16();
 
-					track.externalValues[ i ] = {
-						length,
-						offset,
-						type,
-						itemSize
-					};
+			materials.push( material );
 
-				}
+		}
 
-				track.values.push( values );
+		parser.restoreState();
 
-			}
+		return materials;
 
-			parser.restoreState();
+	}
 
-		}
+	_readName( parser, header ) {
 
-		//
+		const length = header.nameLength;
+		const offset = header.nameOffset;
 
-		return track;
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const name = parser.readString( length ).replace( /\0/g, '' ); // remove control characters
+
+		parser.restoreState();
+
+		return name;
 
 	}
 
-	_readVertices( parser, header ) {
+	_readParticleDefinitions( parser, header, sequenceManager ) {
 
-		const length = header.verticesLength;
-		const offset = header.verticesOffset;
+		const length = header.particleEmittersLength;
+		const offset = header.particleEmittersOffset;
+
+		const particles = [];
 
 		parser.saveState();
 		parser.moveTo( offset );
 
-		const vertices = [];
-
 		for ( let i = 0; i < length; i ++ ) {
 
-			const vertex = this._readVertex( parser );
-			vertices.push( vertex );
+			const particle = this._readParticleDefinition( parser, header, sequenceManager );
+			particles.push( particle );
 
 		}
 
 		parser.restoreState();
 
-		return vertices;
+		return particles;
 
 	}
 
-	_readVertex( parser ) {
+	_readParticleDefinition( parser, header, sequenceManager ) {
 
-		const vertex = new M2Vertex();
+		const particle = new M2Particle();
 
-		vertex.pos.x = parser.readFloat32();
-		vertex.pos.y = parser.readFloat32();
-		vertex.pos.z = parser.readFloat32();
+		particle.particleId = parser.readInt32();
+		particle.flags = parser.readUInt32();
+		particle.position.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+		particle.bone = parser.readUInt16();
 
-		vertex.boneWeights.x = parser.readUInt8();
-		vertex.boneWeights.y = parser.readUInt8();
-		vertex.boneWeights.z = parser.readUInt8();
-		vertex.boneWeights.w = parser.readUInt8();
+		const texture = parser.readUInt16();
 
-		vertex.boneIndices.x = parser.readUInt8();
-		vertex.boneIndices.y = parser.readUInt8();
-		vertex.boneIndices.z = parser.readUInt8();
-		vertex.boneIndices.w = parser.readUInt8();
+		if ( particle.flags & M2_PARTICLE_MULTI_TEXTURE ) {
 
-		vertex.normal.x = parser.readFloat32();
-		vertex.normal.y = parser.readFloat32();
-		vertex.normal.z = parser.readFloat32();
+			// the texture field holds three packed texture indices (5 bits each)
 
-		vertex.texCoords[ 0 ].x = parser.readFloat32();
-		vertex.texCoords[ 0 ].y = parser.readFloat32();
+			particle.textures.push( texture & 0x1f, ( texture >> 5 ) & 0x1f, ( texture >> 10 ) & 0x1f );
 
-		vertex.texCoords[ 1 ].x = parser.readFloat32();
-		vertex.texCoords[ 1 ].y = parser.readFloat32();
+		} else {
 
-		return vertex;
+			particle.textures.push( texture );
 
-	}
+		}
 
-}
+		parser.offset += 16; // skip geometry and recursion model filenames
 
-//
+		if ( header.version >= M2_VERSION_WRATH_OF_THE_LICH_KING ) {
 
-function extractTimestamps( parser, length, offset, values ) {
+			particle.blendingType = parser.readUInt8();
+			particle.emitterType = parser.readUInt8();
+			particle.colorIndex = parser.readUInt16();
 
-	parser.saveState();
-	parser.moveTo( offset );
+		} else {
 
-	for ( let j = 0; j < length; j ++ ) {
+			particle.blendingType = parser.readUInt16();
+			particle.emitterType = parser.readUInt16();
 
-		values[ j ] = parser.readUInt32() / 1000;
+		}
 
-	}
+		parser.offset += 2; // skip particle type and head/tail (or multi texture parameters since Cataclysm)
+
+		particle.textureTileRotation = parser.readInt16();
+		particle.textureDimensions.rows = parser.readUInt16();
+		particle.textureDimensions.columns = parser.readUInt16();
+
+		particle.emissionSpeed = this._readTrack( parser, header, 'float', sequenceManager );
+		particle.speedVariation = this._readTrack( parser, header, 'float', sequenceManager );
+		particle.verticalRange = this._readTrack( parser, header, 'float', sequenceManager );
+		particle.horizontalRange = this._readTrack( parser, header, 'float', sequenceManager );
+		particle.gravity = this._readTrack( parser, header, 'float', sequenceManager );
+		particle.lifespan = this._readTrack( parser, header, 'float', sequenceManager );
+		if ( header.version >= M2_VERSION_WRATH_OF_THE_LICH_KING ) particle.lifespanVariation = parser.readFloat32();
+		particle.emissionRate = this._readTrack( parser, header, 'float', sequenceManager );
+		if ( header.version >= M2_VERSION_WRATH_OF_THE_LICH_KING ) particle.emissionRateVariation = parser.readFloat32();
+		particle.emissionAreaLength = this._readTrack( parser, header, 'float', sequenceManager );
+		particle.emissionAreaWidth = this._readTrack( parser, header, 'float', sequenceManager );
+		particle.zSource = this._readTrack( parser, header, 'float', sequenceManager );
+
+		if ( header.version >= M2_VERSION_WRATH_OF_THE_LICH_KING ) {
+
+			particle.color = this._readFakeTrack( parser, 'vec3' );
+			particle.alpha = this._readFakeTrack( parser, 'fixed16' );
+			particle.scale = this._readFakeTrack( parser, 'vec2' );
+			particle.scaleVariation.set( parser.readFloat32(), parser.readFloat32() );
+			particle.headCell = this._readFakeTrack( parser, 'uint16' );
+			particle.tailCell = this._readFakeTrack( parser, 'uint16' );
 
-	parser.restoreState();
+		} else {
 
-}
+			this._readLegacyParticleValues( parser, particle );
 
-function extractValues( parser, length, offset, type, itemSize, values ) {
+		}
 
-	parser.saveState();
-	parser.moveTo( offset );
+		particle.tailLength = parser.readFloat32();
+		particle.twinkleSpeed = parser.readFloat32();
+		particle.twinklePercent = parser.readFloat32();
+		particle.twinkleScale.min = parser.readFloat32();
+		particle.twinkleScale.max = parser.readFloat32();
+		particle.burstMultiplier = parser.readFloat32();
+		particle.drag = parser.readFloat32();
+		if ( header.version >= M2_VERSION_WRATH_OF_THE_LICH_KING ) {
 
-	for ( let j = 0; j < length; j ++ ) {
+			particle.baseSpin = parser.readFloat32();
+			particle.baseSpinVariation = parser.readFloat32();
+			particle.spin = parser.readFloat32();
+			particle.spinVariation = parser.readFloat32();
 
-		const stride = j * itemSize;
+		} else {
 
-		switch ( type ) {
+			particle.spin = parser.readFloat32();
 
-			case 'fixed16':
+		}
 
-				values[ stride ] = parser.readInt16() / 0x7fff;
+		parser.offset += 24; // skip tumble
 
-				break;
+		particle.windVector.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+		particle.windTime = parser.readFloat32();
 
-			case 'vec2':
+		parser.offset += 16; // skip follow speed and scale
+		parser.offset += 8; // skip spline points
 
-				values[ stride + 0 ] = parser.readFloat32();
-				values[ stride + 1 ] = parser.readFloat32();
+		particle.enabledIn = this._readTrack( parser, header, 'uint8', sequenceManager );
 
-				break;
+		if ( header.version >= M2_VERSION_CATACLYSM ) {
 
-			case 'vec3':
+			parser.offset += 16; // skip multi texture parameters
 
-				values[ stride + 0 ] = parser.readFloat32();
-				values[ stride + 1 ] = parser.readFloat32();
-				values[ stride + 2 ] = parser.readFloat32();
+		}
 
-				break;
+		return particle;
 
-			case 'quatCompressed':
+	}
 
-				// conversion from short to float, see https://wowdev.wiki/Quaternion_values_and_2.x
+	_readRibbonDefinitions( parser, header, sequenceManager ) {
 
-				let x = parser.readInt16();
-				let y = parser.readInt16();
-				let z = parser.readInt16();
-				let w = parser.readInt16();
+		const length = header.ribbonEmittersLength;
+		const offset = header.ribbonEmittersOffset;
 
-				x = ( x < 0 ? x + 32768 : x - 32767 ) / 32767;
-				y = ( y < 0 ? y + 32768 : y - 32767 ) / 32767;
-				z = ( z < 0 ? z + 32768 : z - 32767 ) / 32767;
-				w = ( w < 0 ? w + 32768 : w - 32767 ) / 32767;
+		parser.saveState();
+		parser.moveTo( offset );
 
-				values[ stride + 0 ] = x;
-				values[ stride + 1 ] = y;
-				values[ stride + 2 ] = z;
-				values[ stride + 3 ] = w;
+		const ribbons = [];
 
-				break;
+		for ( let i = 0; i < length; i ++ ) {
 
-			case 'quat':
+			const ribbon = this._readRibbonDefinition( parser, header, sequenceManager );
+			ribbons.push( ribbon );
 
-				values[ stride + 0 ] = parser.readFloat32();
-				values[ stride + 1 ] = parser.readFloat32();
-				values[ stride + 2 ] = parser.readFloat32();
-				values[ stride + 3 ] = parser.readFloat32();
+		}
 
-				break;
+		parser.restoreState();
 
-			default:
+		return ribbons;
 
-				console.error( 'THREE.M2Loader: Unsupported item type:', type );
-				break;
+	}
 
-		}
+	_readRibbonDefinition( parser, header, sequenceManager ) {
 
-	}
+		const ribbon = new M2Ribbon();
 
-	parser.restoreState();
+		ribbon.ribbonId = parser.readInt32();
+		ribbon.bone = parser.readUInt32();
+		ribbon.position.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
 
-}
+		// textures and materials
 
+		const texturesLength = parser.readUInt32();
+		const texturesOffset = parser.readUInt32();
+		const materialsLength = parser.readUInt32();
+		const materialsOffset = parser.readUInt32();
 
-function getInterpolation( type ) {
+		parser.saveState();
 
-	let interpolation;
+		parser.moveTo( texturesOffset );
 
-	switch ( type ) {
+		for ( let i = 0; i < texturesLength; i ++ ) {
 
-		case 0:
-			interpolation = InterpolateDiscrete;
-			break;
+			ribbon.textures.push( parser.readUInt16() );
 
-		case 1:
-			interpolation = InterpolateLinear;
-			break;
+		}
 
-		case 2:
-		case 3:
-			interpolation = InterpolateSmooth;
-			break;
+		parser.moveTo( materialsOffset );
 
-		default:
-			console.warn( 'THREE.M2Loader: Unsupported interpolation type:', type );
-			interpolation = InterpolateLinear; // fallback
-			break;
+		for ( let i = 0; i < materialsLength; i ++ ) {
 
-	}
+			ribbon.materials.push( parser.readUInt16() );
 
-	return interpolation;
+		}
 
-}
+		parser.restoreState();
 
-function getItemSize( type ) {
+		//
 
-	let size = - 1;
+		ribbon.color = this._readTrack( parser, header, 'vec3', sequenceManager );
+		ribbon.alpha = this._readTrack( parser, header, 'fixed16', sequenceManager );
+		ribbon.heightAbove = this._readTrack( parser, header, 'float', sequenceManager );
+		ribbon.heightBelow = this._readTrack( parser, header, 'float', sequenceManager );
+		ribbon.edgesPerSecond = parser.readFloat32();
+		ribbon.edgeLifetime = parser.readFloat32();
+		ribbon.gravity = parser.readFloat32();
+		ribbon.textureRows = parser.readUInt16();
+		ribbon.textureColumns = parser.readUInt16();
+		ribbon.textureSlot = this._readTrack( parser, header, 'uint16', sequenceManager );
+		ribbon.visibility = this._readTrack( parser, header, 'uint8', sequenceManager );
 
-	switch ( type ) {
+		if ( header.version >= M2_VERSION_WRATH_OF_THE_LICH_KING ) {
 
-		case 'fixed16':
+			ribbon.priorityPlane = parser.readInt16();
+			parser.offset += 2; // skip ribbon color index and texture transform lookup index
 
-			size = 1;
-			break;
+		}
 
-		case 'vec2':
+		return ribbon;
 
-			size = 2;
-			break;
+	}
 
-		case 'vec3':
+	_readSequences( parser, header ) {
 
-			size = 3;
-			break;
+		const length = header.sequencesLength;
+		const offset = header.sequencesOffset;
 
-		case 'quat':
-		case 'quatCompressed':
+		parser.saveState();
+		parser.moveTo( offset );
 
-			size = 4;
-			break;
+		const sequences = [];
 
-		default:
-			console.error( 'THREE.M2Loader: Unsupported item type:', type );
-			size = 0;
-			break;
+		for ( let i = 0; i < length; i ++ ) {
 
-	}
+			const sequence = new M2Sequence();
 
-	return size;
+			sequence.id = parser.readUInt16();
+			sequence.variationIndex = parser.readUInt16();
 
-}
+			if ( header.version <= M2_VERSION_THE_BURNING_CRUSADE ) {
 
-function isStaticTrack( track ) {
+				sequence.startTimestamp = parser.readUInt32();
+				sequence.endTimestamp = parser.readUInt32();
+				sequence.duration = sequence.endTimestamp - sequence.startTimestamp;
 
-	// used to detect static tracks (tracks with a single timestamp array that holds just "0")
+			} else {
 
-	return track.timestamps.length === 1 && track.timestamps[ 0 ].length === 1 && track.timestamps[ 0 ][ 0 ] === 0;
+				sequence.duration = parser.readUInt32();
 
-}
+			}
 
-const v0 = new Vector3();
-const v1 = new Vector3( 0, 1, 0 );
-const up = new Vector3( 0, 0, - 1 );
-const cross = new Vector3();
+			sequence.movespeed = parser.readFloat32();
+			sequence.flags = parser.readUInt32();
 
-function quaternionToAngle( q, r ) {
+			if ( header.version < M2_VERSION_WRATH_OF_THE_LICH_KING ) {
 
-	// TODO: Verify if this approach works with other assets than g_scourgerunecirclecrystal.m2
+				sequence.flags |= M2_SEQUENCE_EMBEDDED_DATA; // older assets have no .anim files
 
-	v0.copy( v1 );
-	v1.set( 0, 1, 0 ).applyQuaternion( q );
+			}
 
-	const dot = v0.dot( v1 );
-	const det = up.dot( cross.crossVectors( v0, v1 ) );
-	r += Math.atan2( det, dot );
+			sequence.frequency = parser.readInt16();
+			sequence.padding = parser.readUInt16();
+			sequence.replay.minimum = parser.readUInt32();
+			sequence.replay.maximum = parser.readUInt32();
 
-	return r;
+			if ( header.version < M2_VERSION_LEGION ) {
 
-}
+				sequence.blendTime = parser.readUInt32();
 
-// const M2_GLOBAL_FLAGS_TILT_X = 0x1;
-// const M2_GLOBAL_FLAGS_TILT_Y = 0x2;
-// const M2_GLOBAL_FLAGS_USE_TEXTURE_COMBINER_INFOS = 0x8;
-// const M2_GLOBAL_FLAGS_LOAD_PHYS_DATA = 0x20;
-// const M2_GLOBAL_FLAGS_UNK_1 = 0x80;
-// const M2_GLOBAL_FLAGS_CAMERA_RELATED = 0x100;
-// const M2_GLOBAL_FLAGS_NEW_PARTICLE_RECORD = 0x200;
-// const M2_GLOBAL_FLAGS_UNK_2 = 0x400;
-// const M2_GLOBAL_FLAGS_TEXTURE_TRANSFORMS_USE_BONE_SEQUENCES = 0x800;
-// const M2_GLOBAL_FLAGS_UNK_3 = 0x1000;
-// const M2_GLOBAL_FLAGS_CHUNKED_ANIM_FILES = 0x2000;
+				// older assets use the same blend time for both directions
 
-// const M2_VERSION_CLASSIC = 256;
-const M2_VERSION_THE_BURNING_CRUSADE = 263;
-const M2_VERSION_WRATH_OF_THE_LICH_KING = 264;
-// const M2_VERSION_CATACLYSM = 272;
-// const M2_VERSION_MISTS_OF_PANDARIA = 272;
-// const M2_VERSION_WARLORDS_OF_DRAENOR = 272;
-const M2_VERSION_LEGION = 274;
-// const M2_VERSION_BATTLE_FOR_AZEROTH = 274;
-// const M2_VERSION_SHADOWLANDS = 274;
+				sequence.blendTimeIn = sequence.blendTime;
+				sequence.blendTimeOut = sequence.blendTime;
 
-const M2_MATERIAL_UNLIT = 0x01;
-const M2_MATERIAL_UNFOGGED = 0x02;
-const M2_MATERIAL_TWO_SIDED = 0x04;
-const M2_MATERIAL_DEPTH_TEST = 0x08;
-const M2_MATERIAL_DEPTH_WRITE = 0x10;
+			} else {
 
-const M2_BLEND_OPAQUE = 0;
-const M2_BLEND_ALPHA_KEY = 1;
+				sequence.blendTimeIn = parser.readUInt16();
+				sequence.blendTimeOut = parser.readUInt16();
+
+			}
+
+			sequence.bounds.extend.max.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+			sequence.bounds.extend.min.set( parser.readFloat32(), parser.readFloat32(), parser.readFloat32() );
+			sequence.bounds.radius = parser.readFloat32();
+
+			sequence.variationNext = parser.readInt16();
+			sequence.aliasNext = parser.readUInt16();
+
+			sequences.push( sequence );
+
+		}
+
+		parser.restoreState();
+
+		return sequences;
+
+	}
+
+	_readTextureDefinitions( parser, header ) {
+
+		const length = header.texturesLength;
+		const offset = header.texturesOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const textures = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			const texture = this._readTextureDefinition( parser );
+			textures.push( texture );
+
+		}
+
+		parser.restoreState();
+
+		return textures;
+
+	}
+
+	_readTextureDefinition( parser ) {
+
+		const texture = new M2Texture();
+
+		texture.type = parser.readUInt32();
+		texture.flags = parser.readUInt32();
+
+		const length = parser.readUInt32();
+		const offset = parser.readUInt32();
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		let filename = parser.readString( length );
+		filename = filename.replace( /\0/g, '' ); // remove control characters
+		filename = filename.replace( /^.*[\\\/]/, '' ); // remove directory path
+		filename = filename.toLowerCase(); // ensure lowercase characters
+
+		texture.filename = filename;
+
+		parser.restoreState();
+
+		return texture;
+
+	}
+
+	_readTextureLookupTable( parser, header ) {
+
+		const length = header.textureLookupTableLength;
+		const offset = header.textureLookupTableOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const lookupTable = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			lookupTable.push( parser.readUInt16() );
+
+		}
+
+		parser.restoreState();
+
+		return lookupTable;
+
+	}
+
+	_readTextureTransformDefinitions( parser, header, sequenceManager ) {
+
+		const length = header.textureTransformsLength;
+		const offset = header.textureTransformsOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const textureTransforms = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			const textureTransform = this._readTextureTransformDefinition( parser, header, sequenceManager );
+			textureTransforms.push( textureTransform );
+
+		}
+
+		parser.restoreState();
+
+		return textureTransforms;
+
+
+	}
+
+	_readTextureTransformDefinition( parser, header, sequenceManager ) {
+
+		const textureTransform = new M2TextureTransform();
+
+		textureTransform.translation = this._readTrack( parser, header, 'vec3', sequenceManager );
+		textureTransform.rotation = this._readTrack( parser, header, 'quat', sequenceManager );
+		textureTransform.scale = this._readTrack( parser, header, 'vec3', sequenceManager );
+
+		return textureTransform;
+
+	}
+
+	_readTextureTransformsLookupTable( parser, header ) {
+
+		const length = header.textureTransformsLookupTableLength;
+		const offset = header.textureTransformsLookupTableOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const lookupTable = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			lookupTable.push( parser.readUInt16() );
+
+		}
+
+		parser.restoreState();
+
+		return lookupTable;
+
+	}
+
+	_readTextureUnitLookupTable( parser, header ) {
+
+		const length = header.textureUnitLookupTableLength;
+		const offset = header.textureUnitLookupTableOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const lookupTable = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			lookupTable.push( parser.readInt16() );
+
+		}
+
+		parser.restoreState();
+
+		return lookupTable;
+
+	}
+
+	_readTextureWeightDefinitions( parser, header, sequenceManager ) {
+
+		const length = header.textureWeightsLength;
+		const offset = header.textureWeightsOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const textureWeights = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			const track = this._readTrack( parser, header, 'fixed16', sequenceManager );
+
+			textureWeights.push( track );
+
+		}
+
+		parser.restoreState();
+
+		return textureWeights;
+
+	}
+
+	_readTextureWeightsLookupTable( parser, header ) {
+
+		const length = header.transparencyLookupTableLength;
+		const offset = header.transparencyLookupTableOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const lookupTable = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			lookupTable.push( parser.readUInt16() );
+
+		}
+
+		parser.restoreState();
+
+		return lookupTable;
+
+	}
+
+	_readTrack( parser, header, type, sequenceManager ) {
+
+		const track = new M2Track();
+
+		track.interpolationType = parser.readUInt16();
+		track.globalSequence = parser.readInt16();
+
+		// timestamps
+
+		if ( header.version < M2_VERSION_WRATH_OF_THE_LICH_KING ) {
+
+			// older assets store the keyframes of all sequences in a single timeline. interpolation ranges
+			// define which keyframes belong to which sequence
+
+			const rangesLength = parser.readUInt32();
+			const rangesOffset = parser.readUInt32();
+			const timestampsLength = parser.readUInt32();
+			const timestampsOffset = parser.readUInt32();
+
+			// timestamp-only tracks (e.g. events) have no values
+
+			const valuesLength = ( type !== null ) ? parser.readUInt32() : 0;
+			const valuesOffset = ( type !== null ) ? parser.readUInt32() : 0;
+
+			const itemSize = ( type !== null ) ? getItemSize( type ) : 0;
+
+			const timestamps = new Array( timestampsLength );
+			const values = new Array( valuesLength * itemSize );
+
+			extractTimestamps( parser, timestampsLength, timestampsOffset, timestamps );
+			extractValues( parser, valuesLength, valuesOffset, type, itemSize, values );
+
+			if ( track.globalSequence >= 0 ) {
+
+				// global sequences do not use interpolation ranges
+
+				track.timestamps.push( timestamps );
+				track.values.push( values );
+
+			} else if ( type !== null && timestampsLength === 1 && timestamps[ 0 ] === 0 ) {
+
+				// static values do not use interpolation ranges. like in newer assets, they are defined for each sequence
+
+				const count = Math.max( sequenceManager.sequences.length, 1 );
+
+				for ( let i = 0; i < count; i ++ ) {
+
+					track.timestamps.push( [ 0 ] );
+					track.values.push( values.slice() );
+
+				}
+
+			} else {
+
+				parser.saveState();
+				parser.moveTo( rangesOffset );
+
+				const sequences = sequenceManager.sequences;
+
+				for ( let i = 0; i < sequences.length; i ++ ) {
+
+					const sequenceTimestamps = [];
+					const sequenceValues = [];
+
+					const startTime = sequences[ i ].startTimestamp / 1000;
+					const endTime = sequences[ i ].endTimestamp / 1000;
+
+					let start, end;
+
+					if ( i < rangesLength ) {
+
+						start = parser.readUInt32();
+						end = Math.min( parser.readUInt32(), timestampsLength - 1 );
+
+					} else {
+
+						// without interpolation ranges, keyframes are assigned by the time span of the sequence
+
+						start = 0;
+						while ( start < timestampsLength && timestamps[ start ] < startTime ) start ++;
+
+						end = start - 1;
+						while ( end + 1 < timestampsLength && timestamps[ end + 1 ] <= endTime ) end ++;
+
+					}
+
+					// timestamps are relative to the start of the respective sequence
+
+					for ( let j = start; j <= end && timestampsLength > 0; j ++ ) {
+
+						sequenceTimestamps.push( timestamps[ j ] - startTime );
+
+						for ( let k = 0; k < itemSize; k ++ ) {
+
+							sequenceValues.push( values[ j * itemSize + k ] );
+
+						}
+
+					}
+
+					track.timestamps.push( sequenceTimestamps );
+					track.values.push( sequenceValues );
+
+				}
+
+				parser.restoreState();
+
+			}
+
+		} else {
+
+			const timestampsLength = parser.readUInt32();
+			const timestampsOffset = parser.readUInt32();
+
+			parser.saveState();
+			parser.moveTo( timestampsOffset );
+
+			for ( let i = 0; i < timestampsLength; i ++ ) {
+
+				const length = parser.readUInt32();
+				const offset = parser.readUInt32();
+
+				let values = new Array( length );
+
+				if ( sequenceManager.isEmbeddedSequence( i ) ) {
+
+					extractTimestamps( parser, length, offset, values );
+
+				} else {
+
+					values = values.fill( 0 );
+
+					track.externalTimestamps[ i ] = {
+						length,
+						offset,
+						chunk: header.animationChunk
+					};
+
+				}
+
+				track.timestamps.push( values );
+
+			}
+
+			parser.restoreState();
+
+			// timestamp-only tracks (e.g. events) have no values
+
+			if ( type === null ) return track;
+
+			// values
+
+			const valuesLength = parser.readUInt32();
+			const valuesOffset = parser.readUInt32();
+
+			parser.saveState();
+			parser.moveTo( valuesOffset );
+
+			for ( let i = 0; i < valuesLength; i ++ ) {
+
+				const length = parser.readUInt32();
+				const offset = parser.readUInt32();
+
+				const itemSize = getItemSize( type );
+				let values = new Array( length * itemSize );
+
+				if ( sequenceManager.isEmbeddedSequence( i ) ) {
+
+					extractValues( parser, length, offset, type, itemSize, values );
+
+				} else {
+
+					values = values.fill( 0 );
+
+					track.externalValues[ i ] = {
+						length,
+						offset,
+						type,
+						itemSize,
+						chunk: header.animationChunk
+					};
+
+				}
+
+				track.values.push( values );
+
+			}
+
+			parser.restoreState();
+
+		}
+
+		//
+
+		return track;
+
+	}
+
+	_readVertices( parser, header ) {
+
+		const length = header.verticesLength;
+		const offset = header.verticesOffset;
+
+		parser.saveState();
+		parser.moveTo( offset );
+
+		const vertices = [];
+
+		for ( let i = 0; i < length; i ++ ) {
+
+			const vertex = this._readVertex( parser );
+			vertices.push( vertex );
+
+		}
+
+		parser.restoreState();
+
+		return vertices;
+
+	}
+
+	_readVertex( parser ) {
+
+		const vertex = new M2Vertex();
+
+		vertex.pos.x = parser.readFloat32();
+		vertex.pos.y = parser.readFloat32();
+		vertex.pos.z = parser.readFloat32();
+
+		vertex.boneWeights.x = parser.readUInt8();
+		vertex.boneWeights.y = parser.readUInt8();
+		vertex.boneWeights.z = parser.readUInt8();
+		vertex.boneWeights.w = parser.readUInt8();
+
+		vertex.boneIndices.x = parser.readUInt8();
+		vertex.boneIndices.y = parser.readUInt8();
+		vertex.boneIndices.z = parser.readUInt8();
+		vertex.boneIndices.w = parser.readUInt8();
+
+		vertex.normal.x = parser.readFloat32();
+		vertex.normal.y = parser.readFloat32();
+		vertex.normal.z = parser.readFloat32();
+
+		vertex.texCoords[ 0 ].x = parser.readFloat32();
+		vertex.texCoords[ 0 ].y = parser.readFloat32();
+
+		vertex.texCoords[ 1 ].x = parser.readFloat32();
+		vertex.texCoords[ 1 ].y = parser.readFloat32();
+
+		return vertex;
+
+	}
+
+}
+
+//
+
+function evaluateFakeTrack( track, t, target ) {
+
+	// linear interpolation of fake track values based on the normalized time t
+
+	const timestamps = track.timestamps;
+	const values = track.values;
+	const itemSize = track.itemSize;
+
+	if ( timestamps.length === 0 ) return false;
+
+	let i = 0;
+
+	while ( i < timestamps.length - 1 && timestamps[ i + 1 ] <= t ) i ++;
+
+	const j = Math.min( i + 1, timestamps.length - 1 );
+
+	const t0 = timestamps[ i ];
+	const t1 = timestamps[ j ];
+
+	const alpha = ( t1 > t0 ) ? MathUtils.clamp( ( t - t0 ) / ( t1 - t0 ), 0, 1 ) : 0;
+
+	for ( let k = 0; k < itemSize; k ++ ) {
+
+		const v0 = values[ i * itemSize + k ];
+		const v1 = values[ j * itemSize + k ];
+
+		target[ k ] = v0 + ( v1 - v0 ) * alpha;
+
+	}
+
+	return true;
+
+}
+
+function extractTimestamps( parser, length, offset, values ) {
+
+	parser.saveState();
+	parser.moveTo( offset );
+
+	for ( let j = 0; j < length; j ++ ) {
+
+		values[ j ] = parser.readUInt32() / 1000;
+
+	}
+
+	parser.restoreState();
+
+}
+
+function extractValues( parser, length, offset, type, itemSize, values ) {
+
+	parser.saveState();
+	parser.moveTo( offset );
+
+	for ( let j = 0; j < length; j ++ ) {
+
+		const stride = j * itemSize;
+
+		switch ( type ) {
+
+			case 'fixed16':
+
+				values[ stride ] = parser.readInt16() / 0x7fff;
+
+				break;
+
+			case 'float':
+
+				values[ stride ] = parser.readFloat32();
+
+				break;
+
+			case 'uint8':
+
+				values[ stride ] = parser.readUInt8();
+
+				break;
+
+			case 'uint16':
+
+				values[ stride ] = parser.readUInt16();
+
+				break;
+
+			case 'floatSpline':
+
+				// only the value of a spline key is used, in and out tangents are ignored
+
+				values[ stride ] = parser.readFloat32();
+
+				parser.offset += 8;
+
+				break;
+
+			case 'vec3Spline':
+
+				// only the value of a spline key is used, in and out tangents are ignored
+
+				values[ stride + 0 ] = parser.readFloat32();
+				values[ stride + 1 ] = parser.readFloat32();
+				values[ stride + 2 ] = parser.readFloat32();
+
+				parser.offset += 24;
+
+				break;
+
+			case 'vec2':
+
+				values[ stride + 0 ] = parser.readFloat32();
+				values[ stride + 1 ] = parser.readFloat32();
+
+				break;
+
+			case 'vec3':
+
+				values[ stride + 0 ] = parser.readFloat32();
+				values[ stride + 1 ] = parser.readFloat32();
+				values[ stride + 2 ] = parser.readFloat32();
+
+				break;
+
+			case 'quatCompressed':
+
+				// conversion from short to float, see https://wowdev.wiki/Quaternion_values_and_2.x
+
+				let x = parser.readInt16();
+				let y = parser.readInt16();
+				let z = parser.readInt16();
+				let w = parser.readInt16();
+
+				x = ( x < 0 ? x + 32768 : x - 32767 ) / 32767;
+				y = ( y < 0 ? y + 32768 : y - 32767 ) / 32767;
+				z = ( z < 0 ? z + 32768 : z - 32767 ) / 32767;
+				w = ( w < 0 ? w + 32768 : w - 32767 ) / 32767;
+
+				values[ stride + 0 ] = x;
+				values[ stride + 1 ] = y;
+				values[ stride + 2 ] = z;
+				values[ stride + 3 ] = w;
+
+				break;
+
+			case 'quat':
+
+				values[ stride + 0 ] = parser.readFloat32();
+				values[ stride + 1 ] = parser.readFloat32();
+				values[ stride + 2 ] = parser.readFloat32();
+				values[ stride + 3 ] = parser.readFloat32();
+
+				break;
+
+			default:
+
+				console.error( 'THREE.M2Loader: Unsupported item type:', type );
+				break;
+
+		}
+
+	}
+
+	parser.restoreState();
+
+}
+
+
+function getInterpolation( type ) {
+
+	let interpolation;
+
+	switch ( type ) {
+
+		case 0:
+			interpolation = InterpolateDiscrete;
+			break;
+
+		case 1:
+			interpolation = InterpolateLinear;
+			break;
+
+		case 2:
+		case 3:
+			interpolation = InterpolateSmooth;
+			break;
+
+		default:
+			console.warn( 'THREE.M2Loader: Unsupported interpolation type:', type );
+			interpolation = InterpolateLinear; // fallback
+			break;
+
+	}
+
+	return interpolation;
+
+}
+
+function getItemByteSize( type ) {
+
+	let size = - 1;
+
+	switch ( type ) {
+
+		case 'uint8':
+
+			size = 1;
+			break;
+
+		case 'fixed16':
+		case 'uint16':
+
+			size = 2;
+			break;
+
+		case 'float':
+
+			size = 4;
+			break;
+
+		case 'vec2':
+		case 'quatCompressed':
+
+			size = 8;
+			break;
+
+		case 'floatSpline':
+		case 'vec3':
+
+			size = 12;
+			break;
+
+		case 'quat':
+
+			size = 16;
+			break;
+
+		case 'vec3Spline':
+
+			size = 36;
+			break;
+
+		default:
+			console.error( 'THREE.M2Loader: Unsupported item type:', type );
+			size = 0;
+			break;
+
+	}
+
+	return size;
+
+}
+
+function getItemSize( type ) {
+
+	let size = - 1;
+
+	switch ( type ) {
+
+		case 'fixed16':
+		case 'float':
+		case 'uint8':
+		case 'uint16':
+		case 'floatSpline':
+
+			size = 1;
+			break;
+
+		case 'vec2':
+
+			size = 2;
+			break;
+
+		case 'vec3':
+		case 'vec3Spline':
+
+			size = 3;
+			break;
+
+		case 'quat':
+		case 'quatCompressed':
+
+			size = 4;
+			break;
+
+		default:
+			console.error( 'THREE.M2Loader: Unsupported item type:', type );
+			size = 0;
+			break;
+
+	}
+
+	return size;
+
+}
+
+function getShaderNames( shaderId, textureCount ) {
+
+	// translates the shader ID of a batch into the names of the vertex and pixel shader, see https://wowdev.wiki/M2/.skin#Shader_types
+
+	if ( shaderId & 0x8000 ) {
+
+		const entry = M2_SHADER_TABLE[ shaderId & 0x7fff ];
+
+		if ( entry === undefined ) {
+
+			console.warn( 'THREE.M2Loader: Unsupported shader ID:', shaderId );
+			return { vertex: null, pixel: null };
+
+		}
+
+		return { vertex: entry[ 1 ], pixel: entry[ 0 ] };
+
+	}
+
+	let vertex, pixel;
+
+	if ( textureCount === 1 ) {
+
+		if ( shaderId & 0x80 ) {
+
+			vertex = 'Diffuse_Env';
+
+		} else if ( shaderId & 0x4000 ) {
+
+			vertex = 'Diffuse_T2';
+
+		} else {
+
+			vertex = 'Diffuse_T1';
+
+		}
+
+		pixel = ( shaderId & 0x70 ) ? 'Combiners_Mod' : 'Combiners_Opaque';
+
+	} else {
+
+		if ( shaderId & 0x80 ) {
+
+			vertex = ( shaderId & 0x8 ) ? 'Diffuse_Env_Env' : 'Diffuse_Env_T1';
+
+		} else if ( shaderId & 0x8 ) {
+
+			vertex = 'Diffuse_T1_Env';
+
+		} else if ( shaderId & 0x4000 ) {
+
+			vertex = 'Diffuse_T1_T2';
+
+		} else {
+
+			vertex = 'Diffuse_T1_T1';
+
+		}
+
+		const first = ( shaderId & 0x70 ) ? 'Combiners_Mod_' : 'Combiners_Opaque_';
+		const second = M2_SHADER_OPS[ shaderId & 0x7 ];
+
+		// the client uses AddAlpha for opaque batches with an additive second stage
+
+		if ( first === 'Combiners_Opaque_' && ( second === 'Add' || second === 'AddNA' ) ) {
+
+			pixel = 'Combiners_Opaque_AddAlpha';
+
+		} else {
+
+			pixel = first + second;
+
+		}
+
+	}
+
+	return { vertex, pixel };
+
+}
+
+function isStaticTrack( track ) {
+
+	// used to detect static tracks (tracks with a single timestamp array that holds just "0")
+
+	return track.timestamps.length === 1 && track.timestamps[ 0 ].length === 1 && track.timestamps[ 0 ][ 0 ] === 0;
+
+}
+
+const v0 = new Vector3();
+const v1 = new Vector3( 0, 1, 0 );
+const up = new Vector3( 0, 0, - 1 );
+const cross = new Vector3();
+
+function projectOnAxis( vector, axis, target ) {
+
+	// projects the vector onto the plane defined by the given axis, returns false if the result is degenerated
+
+	target.copy( axis ).multiplyScalar( - axis.dot( vector ) ).add( vector );
+
+	if ( target.lengthSq() < 1e-8 ) return false;
+
+	target.normalize();
+
+	return true;
+
+}
+
+function quaternionToAngle( q, r ) {
+
+	// TODO: Verify if this approach works with other assets than g_scourgerunecirclecrystal.m2
+
+	v0.copy( v1 );
+	v1.set( 0, 1, 0 ).applyQuaternion( q );
+
+	const dot = v0.dot( v1 );
+	const det = up.dot( cross.crossVectors( v0, v1 ) );
+	r += Math.atan2( det, dot );
+
+	return r;
+
+}
+
+function setBlendingMode( material, blendingMode ) {
+
+	// see https://wowdev.wiki/M2/Rendering#Blending_modes, all blending modes except opaque discard (almost) transparent fragments
+
+	switch ( blendingMode ) {
+
+		case M2_BLEND_OPAQUE:
+			material.alphaTest = 0;
+			material.transparent = false;
+			break;
+
+		case M2_BLEND_ALPHA_KEY:
+			material.alphaTest = 224 / 255;
+			material.transparent = false;
+			break;
+
+		case M2_BLEND_ALPHA:
+			material.alphaTest = 1 / 255;
+			material.transparent = true;
+			break;
+
+		case M2_BLEND_NO_ALPHA_ADD:
+			material.alphaTest = 1 / 255;
+			material.transparent = true;
+			material.blending = CustomBlending;
+			material.blendSrc = OneFactor;
+			material.blendDst = OneFactor;
+			material.blendSrcAlpha = ZeroFactor;
+			material.blendDstAlpha = OneFactor;
+			break;
+
+		case M2_BLEND_ADD:
+			material.alphaTest = 1 / 255;
+			material.transparent = true;
+			material.blending = AdditiveBlending;
+			break;
+
+		case M2_BLEND_MOD:
+			material.alphaTest = 1 / 255;
+			material.transparent = true;
+			material.blending = CustomBlending;
+			material.blendSrc = DstColorFactor;
+			material.blendDst = ZeroFactor;
+			material.blendSrcAlpha = ZeroFactor; // the destination alpha is retained
+			material.blendDstAlpha = OneFactor;
+			material.fog = false; // fogging the source color would darken the destination
+			break;
+
+		case M2_BLEND_MOD2X:
+			material.alphaTest = 1 / 255;
+			material.transparent = true;
+			material.blending = CustomBlending;
+			material.blendSrc = DstColorFactor;
+			material.blendDst = SrcColorFactor;
+			material.blendSrcAlpha = ZeroFactor;
+			material.blendDstAlpha = OneFactor;
+			material.fog = false;
+			break;
+
+		case M2_BLEND_BLEND_ADD:
+
+			// the source color is premultiplied with its alpha in the fragment shader
+
+			material.alphaTest = 1 / 255;
+			material.transparent = true;
+			material.premultipliedAlpha = true;
+			material.blending = CustomBlending;
+			material.blendSrc = OneFactor;
+			material.blendDst = OneMinusSrcAlphaFactor;
+			material.blendSrcAlpha = OneFactor;
+			material.blendDstAlpha = OneMinusSrcAlphaFactor;
+			break;
+
+		default:
+			console.warn( 'THREE.M2Loader: Unsupported blending mode.' );
+			break;
+
+
+	}
+
+}
+
+function setTextureStages( material, stages, combiner = null ) {
+
+	// a single texture stage is represented by the map of the material
+
+	if ( stages.length === 0 ) return;
+
+	if ( stages.length === 1 && stages[ 0 ].coord !== M2_TEXTURE_COORD_ENV ) {
+
+		stages[ 0 ].texture.channel = ( stages[ 0 ].coord === M2_TEXTURE_COORD_UV1 ) ? 1 : 0;
+		material.map = stages[ 0 ].texture;
+
+		return;
+
+	}
+
+	// otherwise all stages are sampled and combined in the fragment shader
+
+	let combinerCode = M2_COMBINERS[ combiner ];
+
+	if ( combinerCode === undefined ) {
+
+		combinerCode = stages.map( ( stage, i ) => `diffuseColor *= texel${i};` ).join( '\n' );
+
+	}
+
+	const cacheKey = stages.map( stage => stage.coord ).join() + ':' + combiner;
+
+	material.onBeforeCompile = function ( shader ) {
+
+		let vertexParameters = '';
+		let vertexMain = '';
+		let fragmentParameters = '';
+		let fragmentMain = '';
+
+		for ( let i = 0; i < stages.length; i ++ ) {
+
+			const stage = stages[ i ];
+
+			shader.uniforms[ 'stageMap' + i ] = { value: stage.texture };
+			shader.uniforms[ 'stageMapTransform' + i ] = { value: stage.texture.matrix };
+
+			vertexParameters += `uniform mat3 stageMapTransform${i};\nvarying vec2 vStageUv${i};\n`;
+			fragmentParameters += `uniform sampler2D stageMap${i};\nvarying vec2 vStageUv${i};\n`;
+
+			if ( stage.coord === M2_TEXTURE_COORD_ENV ) {
+
+				// sphere environment mapping, unlit materials do not compute transformed normals so the normal is not skinned
+
+				const normal = ( material.isMeshBasicMaterial === true ) ? 'normalMatrix * normal' : 'transformedNormal';
+
+				vertexMain += `vec3 stageReflect${i} = reflect( normalize( mvPosition.xyz ), normalize( ${normal} ) );\n`;
+				vertexMain += `stageReflect${i}.z += 1.0;\n`;
+				vertexMain += `vStageUv${i} = ( stageMapTransform${i} * vec3( stageReflect${i}.xy / ( 2.0 * length( stageReflect${i} ) ) + 0.5, 1.0 ) ).xy;\n`;
+
+			} else {
+
+				const uv = ( stage.coord === M2_TEXTURE_COORD_UV1 ) ? 'uv1' : 'uv';
+
+				vertexMain += `vStageUv${i} = ( stageMapTransform${i} * vec3( ${uv}, 1.0 ) ).xy;\n`;
+
+			}
+
+			fragmentMain += `vec4 texel${i} = texture2D( stageMap${i}, vStageUv${i} );\n`;
+
+		}
+
+		// combiners might reference more textures than defined by the batch
+
+		for ( let i = stages.length; i < 3; i ++ ) {
+
+			fragmentMain += `vec4 texel${i} = vec4( 1.0 );\n`;
+
+		}
+
+		// the specular term is added after lighting
+
+		fragmentMain += 'vec3 stageSpecular = vec3( 0.0 );\n';
+		fragmentMain += combinerCode;
+
+		shader.vertexShader = shader.vertexShader
+			.replace( '#include <uv_pars_vertex>', '#include <uv_pars_vertex>\n' + vertexParameters )
+			.replace( '#include <project_vertex>', '#include <project_vertex>\n' + vertexMain );
+
+		shader.fragmentShader = shader.fragmentShader
+			.replace( '#include <uv_pars_fragment>', '#include <uv_pars_fragment>\n' + fragmentParameters )
+			.replace( '#include <map_fragment>', fragmentMain )
+			.replace( '#include <opaque_fragment>', 'outgoingLight += stageSpecular;\n#include <opaque_fragment>' );
+
+	};
+
+	material.customProgramCacheKey = function () {
+
+		return cacheKey;
+
+	};
+
+	material.onBeforeRender = function () {
+
+		// texture matrices are only updated automatically for built-in maps
+
+		for ( const stage of stages ) {
+
+			if ( stage.texture.matrixAutoUpdate === true ) stage.texture.updateMatrix();
+
+		}
+
+	};
+
+}
+
+// const M2_GLOBAL_FLAGS_TILT_X = 0x1;
+// const M2_GLOBAL_FLAGS_TILT_Y = 0x2;
+const M2_GLOBAL_FLAGS_USE_TEXTURE_COMBINER_INFOS = 0x8;
+// const M2_GLOBAL_FLAGS_LOAD_PHYS_DATA = 0x20;
+// const M2_GLOBAL_FLAGS_UNK_1 = 0x80;
+// const M2_GLOBAL_FLAGS_CAMERA_RELATED = 0x100;
+// const M2_GLOBAL_FLAGS_NEW_PARTICLE_RECORD = 0x200;
+// const M2_GLOBAL_FLAGS_UNK_2 = 0x400;
+// const M2_GLOBAL_FLAGS_TEXTURE_TRANSFORMS_USE_BONE_SEQUENCES = 0x800;
+// const M2_GLOBAL_FLAGS_UNK_3 = 0x1000;
+// const M2_GLOBAL_FLAGS_CHUNKED_ANIM_FILES = 0x2000;
+
+// const M2_VERSION_CLASSIC = 256;
+const M2_VERSION_THE_BURNING_CRUSADE = 263;
+const M2_VERSION_WRATH_OF_THE_LICH_KING = 264;
+const M2_VERSION_CATACLYSM = 272;
+// const M2_VERSION_MISTS_OF_PANDARIA = 272;
+// const M2_VERSION_WARLORDS_OF_DRAENOR = 272;
+const M2_VERSION_LEGION = 274;
+// const M2_VERSION_BATTLE_FOR_AZEROTH = 274;
+// const M2_VERSION_SHADOWLANDS = 274;
+
+// const M2_BONE_FLAGS_IGNORE_PARENT_TRANSLATE = 0x1;
+// const M2_BONE_FLAGS_IGNORE_PARENT_SCALE = 0x2;
+// const M2_BONE_FLAGS_IGNORE_PARENT_ROTATION = 0x4;
+const M2_BONE_FLAGS_SPHERICAL_BILLBOARD = 0x8;
+const M2_BONE_FLAGS_CYLINDRICAL_BILLBOARD_LOCK_X = 0x10;
+const M2_BONE_FLAGS_CYLINDRICAL_BILLBOARD_LOCK_Y = 0x20;
+const M2_BONE_FLAGS_CYLINDRICAL_BILLBOARD_LOCK_Z = 0x40;
+const M2_BONE_FLAGS_BILLBOARD = 0x78;
+
+const M2_MATERIAL_UNLIT = 0x01;
+const M2_MATERIAL_UNFOGGED = 0x02;
+const M2_MATERIAL_TWO_SIDED = 0x04;
+const M2_MATERIAL_DEPTH_TEST = 0x08;
+const M2_MATERIAL_DEPTH_WRITE = 0x10;
+
+const M2_BLEND_OPAQUE = 0;
+const M2_BLEND_ALPHA_KEY = 1;
 const M2_BLEND_ALPHA = 2;
+const M2_BLEND_NO_ALPHA_ADD = 3;
 const M2_BLEND_ADD = 4;
+const M2_BLEND_MOD = 5;
+const M2_BLEND_MOD2X = 6;
+const M2_BLEND_BLEND_ADD = 7;
+
+const M2_SEQUENCE_EMBEDDED_DATA = 0x20;
+const M2_SEQUENCE_ALIAS = 0x40;
+
+const M2_YARDS_TO_METERS = 0.9144;
+
+const M2_LOD_DISTANCE_FACTOR = 10;
+
+const M2_GEOSET_BODY = 0; // group 0 also holds the hairstyles (variants 1-99)
+const M2_GEOSET_DEFAULT_VARIANT = 1;
+
+const M2_TEXTURE_COORD_ENV = - 1;
+const M2_TEXTURE_COORD_UV0 = 0;
+const M2_TEXTURE_COORD_UV1 = 1;
+
+const M2_TEXTURE_COORDS = { T1: M2_TEXTURE_COORD_UV0, T2: M2_TEXTURE_COORD_UV1, Env: M2_TEXTURE_COORD_ENV };
+
+// const M2_LIGHT_TYPE_DIRECTIONAL = 0;
+const M2_LIGHT_TYPE_POINT = 1;
+
+const M2_PARTICLE_DO_NOT_TRAIL = 0x10;
+const M2_PARTICLE_MULTI_TEXTURE = 0x10000000;
+
+const M2_PARTICLE_EMITTER_PLANE = 1;
+const M2_PARTICLE_EMITTER_SPHERE = 2;
+// const M2_PARTICLE_EMITTER_SPLINE = 3;
+// const M2_PARTICLE_EMITTER_BONE = 4;
+
+const M2_TEX_COMPONENT_MONSTER_1 = 11;
+const M2_TEX_COMPONENT_MONSTER_2 = 12;
+const M2_TEX_COMPONENT_MONSTER_3 = 13;
+
+const M2_ATTACHMENT_LIST = [ 'Shield', 'HandRight', 'HandLeft', 'ElbowRight', 'ElbowLeft', 'ShoulderRight', 'ShoulderLeft', 'KneeRight', 'KneeLeft', 'HipRight', 'HipLeft', 'Helm', 'Back', 'ShoulderFlapRight', 'ShoulderFlapLeft', 'ChestBloodFront', 'ChestBloodBack', 'Breath', 'PlayerName', 'Base', 'Head', 'SpellLeftHand', 'SpellRightHand', 'Special1', 'Special2', 'Special3', 'SheathMainHand', 'SheathOffHand', 'SheathShield', 'PlayerNameMounted', 'LargeWeaponLeft', 'LargeWeaponRight', 'HipWeaponLeft', 'HipWeaponRight', 'Chest', 'HandArrow', 'Bullet', 'SpellHandOmni', 'SpellHandDirected', 'VehicleSeat1', 'VehicleSeat2', 'VehicleSeat3', 'VehicleSeat4', 'VehicleSeat5', 'VehicleSeat6', 'VehicleSeat7', 'VehicleSeat8', 'LeftFoot', 'RightFoot', 'ShieldNoGlove', 'SpineLow', 'AlteredShoulderR', 'AlteredShoulderL', 'BeltBuckle', 'SheathCrossbow', 'HeadTop' ];
+
+const M2_KEY_BONE_LIST = [ 'ArmL', 'ArmR', 'ShoulderL', 'ShoulderR', 'SpineLow', 'Waist', 'Head', 'Jaw', 'IndexFingerR', 'MiddleFingerR', 'PinkyFingerR', 'RingFingerR', 'ThumbR', 'IndexFingerL', 'MiddleFingerL', 'PinkyFingerL', 'RingFingerL', 'ThumbL', '$BTH', '$CSR', '$CSL', '_Breath', '_Name', '_NameMount', '$CHD', '$CCH', 'Root', 'Wheel1', 'Wheel2', 'Wheel3', 'Wheel4', 'Wheel5', 'Wheel6', 'Wheel7', 'Wheel8' ];
+
+const M2_ONE_SHOT_ANIMATIONS = [ 'Death', 'Rise', 'AttackUnarmed', 'Attack1H', 'Attack2H', 'Attack2HL', 'ParryUnarmed', 'Parry1H', 'Parry2H', 'Parry2HL', 'ShieldBlock', 'Dodge', 'SpellCast', 'SpellCastArea', 'NPCWelcome', 'NPCGoodbye', 'Block', 'JumpStart', 'JumpEnd', 'AttackBow', 'FireBow', 'AttackRifle', 'SpellCastDirected', 'SpellCastOmni', 'BattleRoar', 'Special1H', 'Special2H', 'ShieldBash', 'EmoteTalkExclamation', 'EmoteTalkQuestion', 'EmoteBow', 'EmoteWave', 'EmoteCheer', 'EmoteLaugh', 'EmoteRude', 'EmoteRoar', 'EmoteKiss', 'EmoteChicken', 'EmoteApplaud', 'EmoteShout', 'EmoteFlex', 'EmoteShy', 'EmotePoint', 'Attack1HPierce', 'Attack2HLoosePierce', 'AttackOff', 'AttackOffPierce', 'Sheath', 'HipSheath', 'Kick', 'SitGroundDown', 'SitGroundUp', 'SleepDown', 'SleepUp', 'AttackThrown', 'EmoteSalute', 'KneelStart', 'KneelEnd', 'AttackUnarmedOff', 'SpecialUnarmed', 'Knockdown', 'Birth', 'UseStandingStart', 'UseStandingEnd', 'Drown', 'FishingCast', 'Spawn', 'Close', 'Open', 'Destroy', 'Rebuild', 'Despawn', 'Decay', 'BowPull', 'BowRelease', 'EmoteYes', 'EmoteNo', 'JumpLandRun', 'LootUp', 'Impact', 'LiftOff', 'EmoteDanceOnce', 'Land', 'Submerge' ];
+
+const M2_ANIMATION_CHUNKS = [ 'AFM2', 'AFSA', 'AFSB' ];
+
+const M2_CAMERA_LIST = [ 'Portrait', 'CharacterInfo' ];
+
+// operations of the second texture stage, encoded in the lower three bits of a shader ID
+
+const M2_SHADER_OPS = [ 'Opaque', 'Mod', 'Mod', 'Add', 'Mod2x', 'Mod', 'Mod2xNA', 'AddNA' ];
+
+// operations of the second texture stage derived from the blending mode of its material
+
+const M2_BLEND_SHADER_OPS = [ 0, 1, 1, 7, 3, 1, 4, 3 ];
+
+// pixel and vertex shaders of special shader IDs (shader ID & 0x8000)
+
+const M2_SHADER_TABLE = [
+	[ 'Combiners_Opaque_Mod2xNA_Alpha', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Opaque_AddAlpha', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Opaque_AddAlpha_Alpha', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Opaque_Mod2xNA_Alpha_Add', 'Diffuse_T1_Env_T1' ],
+	[ 'Combiners_Mod_AddAlpha', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Opaque_AddAlpha', 'Diffuse_T1_T1' ],
+	[ 'Combiners_Mod_AddAlpha', 'Diffuse_T1_T1' ],
+	[ 'Combiners_Mod_AddAlpha_Alpha', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Opaque_Alpha_Alpha', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Opaque_Mod2xNA_Alpha_3s', 'Diffuse_T1_Env_T1' ],
+	[ 'Combiners_Opaque_AddAlpha_Wgt', 'Diffuse_T1_T1' ],
+	[ 'Combiners_Mod_Add_Alpha', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Opaque_ModNA_Alpha', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Mod_AddAlpha_Wgt', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Mod_AddAlpha_Wgt', 'Diffuse_T1_T1' ],
+	[ 'Combiners_Opaque_AddAlpha_Wgt', 'Diffuse_T1_T2' ],
+	[ 'Combiners_Opaque_Mod_Add_Wgt', 'Diffuse_T1_Env' ],
+	[ 'Combiners_Opaque_Mod2xNA_Alpha_UnshAlpha', 'Diffuse_T1_Env_T1' ]
+];
+
+// GLSL implementations of the pixel shaders. diffuseColor holds the material color and opacity (including animated
+// colors and transparency), texel0-2 are the samples of the texture stages. Weighted variants use a weight of 1.
+
+const M2_COMBINERS = {
+	Combiners_Opaque: 'diffuseColor.rgb *= texel0.rgb;',
+	Combiners_Mod: 'diffuseColor *= texel0;',
+	Combiners_Opaque_Opaque: 'diffuseColor.rgb *= texel0.rgb * texel1.rgb;',
+	Combiners_Opaque_Mod: 'diffuseColor.rgb *= texel0.rgb * texel1.rgb; diffuseColor.a *= texel1.a;',
+	Combiners_Opaque_Mod2x: 'diffuseColor.rgb *= texel0.rgb * texel1.rgb * 2.0; diffuseColor.a *= texel1.a * 2.0;',
+	Combiners_Opaque_Mod2xNA: 'diffuseColor.rgb *= texel0.rgb * texel1.rgb * 2.0;',
+	Combiners_Opaque_AddAlpha: 'diffuseColor.rgb *= texel0.rgb; stageSpecular = texel1.rgb * texel1.a;',
+	Combiners_Opaque_AddAlpha_Alpha: 'diffuseColor.rgb *= texel0.rgb; stageSpecular = texel1.rgb * texel1.a * ( 1.0 - texel0.a );',
+	Combiners_Opaque_AddAlpha_Wgt: 'diffuseColor.rgb *= texel0.rgb; stageSpecular = texel1.rgb * texel1.a;',
+	Combiners_Opaque_Alpha_Alpha: 'diffuseColor.rgb *= mix( mix( texel0.rgb, texel1.rgb, texel1.a ), texel0.rgb, texel0.a );',
+	Combiners_Opaque_ModNA_Alpha: 'diffuseColor.rgb *= mix( texel0.rgb * texel1.rgb, texel0.rgb, texel0.a );',
+	Combiners_Opaque_Mod_Add_Wgt: 'diffuseColor.rgb *= mix( texel0.rgb, texel0.rgb * texel1.rgb, texel1.a ); stageSpecular = texel0.rgb * texel0.a;',
+	Combiners_Opaque_Mod2xNA_Alpha: 'diffuseColor.rgb *= mix( texel0.rgb * texel1.rgb * 2.0, texel0.rgb, texel0.a );',
+	Combiners_Opaque_Mod2xNA_Alpha_Add: 'diffuseColor.rgb *= mix( texel0.rgb * texel1.rgb * 2.0, texel0.rgb, texel0.a ); stageSpecular = texel2.rgb * texel2.a;',
+	Combiners_Opaque_Mod2xNA_Alpha_3s: 'diffuseColor.rgb *= mix( texel0.rgb * texel1.rgb * 2.0, texel2.rgb, texel2.a );',
+	Combiners_Opaque_Mod2xNA_Alpha_UnshAlpha: 'diffuseColor.rgb *= mix( texel0.rgb * texel1.rgb * 2.0, texel0.rgb, texel0.a ); stageSpecular = texel2.rgb * texel2.a;',
+	Combiners_Mod_Opaque: 'diffuseColor.rgb *= texel0.rgb * texel1.rgb; diffuseColor.a *= texel0.a;',
+	Combiners_Mod_Mod: 'diffuseColor *= texel0 * texel1;',
+	Combiners_Mod_Mod2x: 'diffuseColor *= texel0 * texel1 * 2.0;',
+	Combiners_Mod_Mod2xNA: 'diffuseColor.rgb *= texel0.rgb * texel1.rgb * 2.0; diffuseColor.a *= texel0.a;',
+	Combiners_Mod_Add: 'diffuseColor.rgb *= texel0.rgb; diffuseColor.a *= texel0.a + texel1.a; stageSpecular = texel1.rgb;',
+	Combiners_Mod_AddNA: 'diffuseColor *= texel0; stageSpecular = texel1.rgb;',
+	Combiners_Mod_AddAlpha: 'diffuseColor *= texel0; stageSpecular = texel1.rgb * texel1.a;',
+	Combiners_Mod_AddAlpha_Alpha: 'diffuseColor.rgb *= texel0.rgb; diffuseColor.a *= texel0.a + texel1.a * dot( texel1.rgb, vec3( 0.3, 0.59, 0.11 ) ); stageSpecular = texel1.rgb * texel1.a * ( 1.0 - texel0.a );',
+	Combiners_Mod_AddAlpha_Wgt: 'diffuseColor *= texel0; stageSpecular = texel1.rgb * texel1.a;',
+	Combiners_Mod_Add_Alpha: 'diffuseColor.rgb *= texel0.rgb; diffuseColor.a *= texel0.a + texel1.a; stageSpecular = texel1.rgb * ( 1.0 - texel0.a );'
+};
+
+const M2_ANIMATION_LIST = [ "Stand", "Death", "Spell", "Stop", "Walk", "Run", "Dead", "Rise", "StandWound", "CombatWound", "CombatCritical", "ShuffleLeft", "ShuffleRight", "Walkbackwards", "Stun", "HandsClosed", "AttackUnarmed", "Attack1H", "Attack2H", "Attack2HL", "ParryUnarmed", "Parry1H", "Parry2H", "Parry2HL", "ShieldBlock", "ReadyUnarmed", "Ready1H", "Ready2H", "Ready2HL", "ReadyBow", "Dodge", "SpellPrecast", "SpellCast", "SpellCastArea", "NPCWelcome", "NPCGoodbye", "Block", "JumpStart", "Jump", "JumpEnd", "Fall", "SwimIdle", "Swim", "SwimLeft", "SwimRight", "SwimBackwards", "AttackBow", "FireBow", "ReadyRifle", "AttackRifle", "Loot", "ReadySpellDirected", "ReadySpellOmni", "SpellCastDirected", "SpellCastOmni", "BattleRoar", "ReadyAbility", "Special1H", "Special2H", "ShieldBash", "EmoteTalk", "EmoteEat", "EmoteWork", "EmoteUseStanding", "EmoteTalkExclamation", "EmoteTalkQuestion", "EmoteBow", "EmoteWave", "EmoteCheer", "EmoteDance", "EmoteLaugh", "EmoteSleep", "EmoteSitGround", "EmoteRude", "EmoteRoar", "EmoteKneel", "EmoteKiss", "EmoteCry", "EmoteChicken", "EmoteBeg", "EmoteApplaud", "EmoteShout", "EmoteFlex", "EmoteShy", "EmotePoint", "Attack1HPierce", "Attack2HLoosePierce", "AttackOff", "AttackOffPierce", "Sheath", "HipSheath", "Mount", "RunRight", "RunLeft", "MountSpecial", "Kick", "SitGroundDown", "SitGround", "SitGroundUp", "SleepDown", "Sleep", "SleepUp", "SitChairLow", "SitChairMed", "SitChairHigh", "LoadBow", "LoadRifle", "AttackThrown", "ReadyThrown", "HoldBow", "HoldRifle", "HoldThrown", "LoadThrown", "EmoteSalute", "KneelStart", "KneelLoop", "KneelEnd", "AttackUnarmedOff", "SpecialUnarmed", "StealthWalk", "StealthStand", "Knockdown", "EatingLoop", "UseStandingLoop", "ChannelCastDirected", "ChannelCastOmni", "Whirlwind", "Birth", "UseStandingStart", "UseStandingEnd", "CreatureSpecial", "Drown", "Drowned", "FishingCast", "FishingLoop", "Fly", "EmoteWorkNoSheathe", "EmoteStunNoSheathe", "EmoteUseStandingNoSheathe", "SpellSleepDown", "SpellKneelStart", "SpellKneelLoop", "SpellKneelEnd", "Sprint", "InFlight", "Spawn", "Close", "Closed", "Open", "Opened", "Destroy", "Destroyed", "Rebuild", "Custom0", "Custom1", "Custom2", "Custom3", "Despawn", "Hold", "Decay", "BowPull", "BowRelease", "ShipStart", "ShipMoving", "ShipStop", "GroupArrow", "Arrow", "CorpseArrow", "GuideArrow", "Sway", "DruidCatPounce", "DruidCatRip", "DruidCatRake", "DruidCatRavage", "DruidCatClaw", "DruidCatCower", "DruidBearSwipe", "DruidBearBite", "DruidBearMaul", "DruidBearBash", "DragonTail", "DragonStomp", "DragonSpit", "DragonSpitHover", "DragonSpitFly", "EmoteYes", "EmoteNo", "JumpLandRun", "LootHold", "LootUp", "StandHigh", "Impact", "LiftOff", "Hover", "SuccubusEntice", "EmoteTrain", "EmoteDead", "EmoteDanceOnce", "Deflect", "EmoteEatNoSheathe", "Land", "Submerge", "Submerged", "Cannibalize", "ArrowBirth", "GroupArrowBirth", "CorpseArrowBirth", "GuideArrowBirth", "EmoteTalkNoSheathe", "EmotePointNoSheathe", "EmoteSaluteNoSheathe", "EmoteDanceSpecial", "Mutilate", "CustomSpell01", "CustomSpell02", "CustomSpell03", "CustomSpell04", "CustomSpell05", "CustomSpell06", "CustomSpell07", "CustomSpell08", "CustomSpell09", "CustomSpell10", "StealthRun", "Emerge", "Cower", "Grab", "GrabClosed", "GrabThrown", "FlyStand", "FlyDeath", "FlySpell", "FlyStop", "FlyWalk", "FlyRun", "FlyDead", "FlyRise", "FlyStandWound", "FlyCombatWound", "FlyCombatCritical", "FlyShuffleLeft", "FlyShuffleRight", "FlyWalkbackwards", "FlyStun", "FlyHandsClosed", "FlyAttackUnarmed", "FlyAttack1H", "FlyAttack2H", "FlyAttack2HL", "FlyParryUnarmed", "FlyParry1H", "FlyParry2H", "FlyParry2HL", "FlyShieldBlock", "FlyReadyUnarmed", "FlyReady1H", "FlyReady2H", "FlyReady2HL", "FlyReadyBow", "FlyDodge", "FlySpellPrecast", "FlySpellCast", "FlySpellCastArea", "FlyNPCWelcome", "FlyNPCGoodbye", "FlyBlock", "FlyJumpStart", "FlyJump", "FlyJumpEnd", "FlyFall", "FlySwimIdle", "FlySwim", "FlySwimLeft", "FlySwimRight", "FlySwimBackwards", "FlyAttackBow", "FlyFireBow", "FlyReadyRifle", "FlyAttackRifle", "FlyLoot", "FlyReadySpellDirected", "FlyReadySpellOmni", "FlySpellCastDirected", "FlySpellCastOmni", "FlyBattleRoar", "FlyReadyAbility", "FlySpecial1H", "FlySpecial2H", "FlyShieldBash", "FlyEmoteTalk", "FlyEmoteEat", "FlyEmoteWork", "FlyEmoteUseStanding", "FlyEmoteTalkExclamation", "FlyEmoteTalkQuestion", "FlyEmoteBow", "FlyEmoteWave", "FlyEmoteCheer", "FlyEmoteDance", "FlyEmoteLaugh", "FlyEmoteSleep", "FlyEmoteSitGround", "FlyEmoteRude", "FlyEmoteRoar", "FlyEmoteKneel", "FlyEmoteKiss", "FlyEmoteCry", "FlyEmoteChicken", "FlyEmoteBeg", "FlyEmoteApplaud", "FlyEmoteShout", "FlyEmoteFlex", "FlyEmoteShy", "FlyEmotePoint", "FlyAttack1HPierce", "FlyAttack2HLoosePierce", "FlyAttackOff", "FlyAttackOffPierce", "FlySheath", "FlyHipSheath", "FlyMount", "FlyRunRight", "FlyRunLeft", "FlyMountSpecial", "FlyKick", "FlySitGroundDown", "FlySitGround", "FlySitGroundUp", "FlySleepDown", "FlySleep", "FlySleepUp", "FlySitChairLow", "FlySitChairMed", "FlySitChairHigh", "FlyLoadBow", "FlyLoadRifle", "FlyAttackThrown", "FlyReadyThrown", "FlyHoldBow", "FlyHoldRifle", "FlyHoldThrown", "FlyLoadThrown", "FlyEmoteSalute", "FlyKneelStart", "FlyKneelLoop", "FlyKneelEnd", "FlyAttackUnarmedOff", "FlySpecialUnarmed", "FlyStealthWalk", "FlyStealthStand", "FlyKnockdown", "FlyEatingLoop", "FlyUseStandingLoop", "FlyChannelCastDirected", "FlyChannelCastOmni", "FlyWhirlwind", "FlyBirth", "FlyUseStandingStart", "FlyUseStandingEnd", "FlyCreatureSpecial", "FlyDrown", "FlyDrowned", "FlyFishingCast", "FlyFishingLoop", "FlyFly",
+	"FlyEmoteWorkNoSheathe", "FlyEmoteStunNoSheathe", "FlyEmoteUseStandingNoSheathe", "FlySpellSleepDown", "FlySpellKneelStart", "FlySpellKneelLoop", "FlySpellKneelEnd", "FlySprint", "FlyInFlight", "FlySpawn", "FlyClose", "FlyClosed", "FlyOpen", "FlyOpened", "FlyDestroy", "FlyDestroyed", "FlyRebuild", "FlyCustom0", "FlyCustom1", "FlyCustom2", "FlyCustom3", "FlyDespawn", "FlyHold", "FlyDecay", "FlyBowPull", "FlyBowRelease", "FlyShipStart", "FlyShipMoving", "FlyShipStop", "FlyGroupArrow", "FlyArrow", "FlyCorpseArrow", "FlyGuideArrow", "FlySway", "FlyDruidCatPounce", "FlyDruidCatRip", "FlyDruidCatRake", "FlyDruidCatRavage", "FlyDruidCatClaw", "FlyDruidCatCower", "FlyDruidBearSwipe", "FlyDruidBearBite", "FlyDruidBearMaul", "FlyDruidBearBash", "FlyDragonTail", "FlyDragonStomp", "FlyDragonSpit", "FlyDragonSpitHover", "FlyDragonSpitFly", "FlyEmoteYes", "FlyEmoteNo", "FlyJumpLandRun", "FlyLootHold", "FlyLootUp", "FlyStandHigh", "FlyImpact", "FlyLiftOff", "FlyHover", "FlySuccubusEntice", "FlyEmoteTrain", "FlyEmoteDead", "FlyEmoteDanceOnce", "FlyDeflect", "FlyEmoteEatNoSheathe", "FlyLand", "FlySubmerge", "FlySubmerged", "FlyCannibalize", "FlyArrowBirth", "FlyGroupArrowBirth", "FlyCorpseArrowBirth", "FlyGuideArrowBirth", "FlyEmoteTalkNoSheathe", "FlyEmotePointNoSheathe", "FlyEmoteSaluteNoSheathe", "FlyEmoteDanceSpecial", "FlyMutilate", "FlyCustomSpell01", "FlyCustomSpell02", "FlyCustomSpell03", "FlyCustomSpell04", "FlyCustomSpell05", "FlyCustomSpell06", "FlyCustomSpell07", "FlyCustomSpell08", "FlyCustomSpell09", "FlyCustomSpell10", "FlyStealthRun", "FlyEmerge", "FlyCower", "FlyGrab", "FlyGrabClosed", "FlyGrabThrown", "ToFly", "ToHover", "ToGround", "FlyToFly", "FlyToHover", "FlyToGround", "Settle", "FlySettle", "DeathStart", "DeathLoop", "DeathEnd", "FlyDeathStart", "FlyDeathLoop", "FlyDeathEnd", "DeathEndHold", "FlyDeathEndHold", "Strangulate", "FlyStrangulate", "ReadyJoust", "LoadJoust", "HoldJoust", "FlyReadyJoust", "FlyLoadJoust", "FlyHoldJoust", "AttackJoust", "FlyAttackJoust", "ReclinedMount", "FlyReclinedMount", "ToAltered", "FromAltered", "FlyToAltered", "FlyFromAltered", "InStocks", "FlyInStocks", "VehicleGrab", "VehicleThrow", "FlyVehicleGrab", "FlyVehicleThrow", "ToAlteredPostSwap", "FromAlteredPostSwap", "FlyToAlteredPostSwap", "FlyFromAlteredPostSwap", "ReclinedMountPassenger", "FlyReclinedMountPassenger", "Carry2H", "Carried2H", "FlyCarry2H", "FlyCarried2H", "EmoteSniff", "EmoteFlySniff", "AttackFist1H", "FlyAttackFist1H", "AttackFist1HOff", "FlyAttackFist1HOff", "ParryFist1H", "FlyParryFist1H", "ReadyFist1H", "FlyReadyFist1H", "SpecialFist1H", "FlySpecialFist1H", "EmoteReadStart", "FlyEmoteReadStart", "EmoteReadLoop", "FlyEmoteReadLoop", "EmoteReadEnd", "FlyEmoteReadEnd", "SwimRun", "FlySwimRun", "SwimWalk", "FlySwimWalk", "SwimWalkBackwards", "FlySwimWalkBackwards", "SwimSprint", "FlySwimSprint", "MountSwimIdle", "FlyMountSwimIdle", "MountSwimBackwards", "FlyMountSwimBackwards", "MountSwimLeft", "FlyMountSwimLeft", "MountSwimRight", "FlyMountSwimRight", "MountSwimRun", "FlyMountSwimRun", "MountSwimSprint", "FlyMountSwimSprint", "MountSwimWalk", "FlyMountSwimWalk", "MountSwimWalkBackwards", "FlyMountSwimWalkBackwards", "MountFlightIdle", "FlyMountFlightIdle", "MountFlightBackwards", "FlyMountFlightBackwards", "MountFlightLeft", "FlyMountFlightLeft", "MountFlightRight", "FlyMountFlightRight", "MountFlightRun", "FlyMountFlightRun", "MountFlightSprint", "FlyMountFlightSprint", "MountFlightWalk", "FlyMountFlightWalk", "MountFlightWalkBackwards", "FlyMountFlightWalkBackwards", "MountFlightStart", "FlyMountFlightStart", "MountSwimStart", "FlyMountSwimStart", "MountSwimLand", "FlyMountSwimLand", "MountSwimLandRun", "FlyMountSwimLandRun", "MountFlightLand", "FlyMountFlightLand", "MountFlightLandRun", "FlyMountFlightLandRun", "ReadyBlowDart", "FlyReadyBlowDart", "LoadBlowDart", "FlyLoadBlowDart", "HoldBlowDart", "FlyHoldBlowDart", "AttackBlowDart", "FlyAttackBlowDart", "CarriageMount", "FlyCarriageMount", "CarriagePassengerMount", "FlyCarriagePassengerMount", "CarriageMountAttack", "FlyCarriageMountAttack", "BarTendStand", "FlyBarTendStand", "BarServerWalk", "FlyBarServerWalk", "BarServerRun", "FlyBarServerRun", "BarServerShuffleLeft", "FlyBarServerShuffleLeft", "BarServerShuffleRight", "FlyBarServerShuffleRight", "BarTendEmoteTalk", "FlyBarTendEmoteTalk", "BarTendEmotePoint", "FlyBarTendEmotePoint", "BarServerStand", "FlyBarServerStand", "BarSweepWalk", "FlyBarSweepWalk", "BarSweepRun", "FlyBarSweepRun", "BarSweepShuffleLeft", "FlyBarSweepShuffleLeft", "BarSweepShuffleRight", "FlyBarSweepShuffleRight", "BarSweepEmoteTalk", "FlyBarSweepEmoteTalk", "BarPatronSitEmotePoint", "FlyBarPatronSitEmotePoint", "MountSelfIdle", "FlyMountSelfIdle", "MountSelfWalk", "FlyMountSelfWalk", "MountSelfRun", "FlyMountSelfRun", "MountSelfSprint", "FlyMountSelfSprint", "MountSelfRunLeft", "FlyMountSelfRunLeft", "MountSelfRunRight", "FlyMountSelfRunRight", "MountSelfShuffleLeft", "FlyMountSelfShuffleLeft", "MountSelfShuffleRight", "FlyMountSelfShuffleRight", "MountSelfWalkBackwards", "FlyMountSelfWalkBackwards", "MountSelfSpecial", "FlyMountSelfSpecial", "MountSelfJump", "FlyMountSelfJump", "MountSelfJumpStart", "FlyMountSelfJumpStart", "MountSelfJumpEnd", "FlyMountSelfJumpEnd", "MountSelfJumpLandRun", "FlyMountSelfJumpLandRun", "MountSelfStart", "FlyMountSelfStart", "MountSelfFall", "FlyMountSelfFall", "Stormstrike", "FlyStormstrike", "ReadyJoustNoSheathe", "FlyReadyJoustNoSheathe", "Slam", "FlySlam", "DeathStrike", "FlyDeathStrike",
+	"SwimAttackUnarmed", "FlySwimAttackUnarmed", "SpinningKick", "FlySpinningKick", "RoundHouseKick", "FlyRoundHouseKick", "RollStart", "FlyRollStart", "Roll", "FlyRoll", "RollEnd", "FlyRollEnd", "PalmStrike", "FlyPalmStrike", "MonkOffenseAttackUnarmed", "FlyMonkOffenseAttackUnarmed", "MonkOffenseAttackUnarmedOff", "FlyMonkOffenseAttackUnarmedOff", "MonkOffenseParryUnarmed", "FlyMonkOffenseParryUnarmed", "MonkOffenseReadyUnarmed", "FlyMonkOffenseReadyUnarmed", "MonkOffenseSpecialUnarmed", "FlyMonkOffenseSpecialUnarmed", "MonkDefenseAttackUnarmed", "FlyMonkDefenseAttackUnarmed", "MonkDefenseAttackUnarmedOff", "FlyMonkDefenseAttackUnarmedOff", "MonkDefenseParryUnarmed", "FlyMonkDefenseParryUnarmed", "MonkDefenseReadyUnarmed", "FlyMonkDefenseReadyUnarmed", "MonkDefenseSpecialUnarmed", "FlyMonkDefenseSpecialUnarmed", "MonkHealAttackUnarmed", "FlyMonkHealAttackUnarmed", "MonkHealAttackUnarmedOff", "FlyMonkHealAttackUnarmedOff", "MonkHealParryUnarmed", "FlyMonkHealParryUnarmed", "MonkHealReadyUnarmed", "FlyMonkHealReadyUnarmed", "MonkHealSpecialUnarmed", "FlyMonkHealSpecialUnarmed", "FlyingKick", "FlyFlyingKick", "FlyingKickStart", "FlyFlyingKickStart", "FlyingKickEnd", "FlyFlyingKickEnd", "CraneStart", "FlyCraneStart", "CraneLoop", "FlyCraneLoop", "CraneEnd", "FlyCraneEnd", "Despawned", "FlyDespawned", "ThousandFists", "FlyThousandFists", "MonkHealReadySpellDirected", "FlyMonkHealReadySpellDirected", "MonkHealReadySpellOmni", "FlyMonkHealReadySpellOmni", "MonkHealSpellCastDirected", "FlyMonkHealSpellCastDirected", "MonkHealSpellCastOmni", "FlyMonkHealSpellCastOmni", "MonkHealChannelCastDirected", "FlyMonkHealChannelCastDirected", "MonkHealChannelCastOmni", "FlyMonkHealChannelCastOmni", "Torpedo", "FlyTorpedo", "Meditate", "FlyMeditate", "BreathOfFire", "FlyBreathOfFire", "RisingSunKick", "FlyRisingSunKick", "GroundKick", "FlyGroundKick", "KickBack", "FlyKickBack", "PetBattleStand", "FlyPetBattleStand", "PetBattleDeath", "FlyPetBattleDeath", "PetBattleRun", "FlyPetBattleRun", "PetBattleWound", "FlyPetBattleWound", "PetBattleAttack", "FlyPetBattleAttack", "PetBattleReadySpell", "FlyPetBattleReadySpell", "PetBattleSpellCast", "FlyPetBattleSpellCast", "PetBattleCustom0", "FlyPetBattleCustom0", "PetBattleCustom1", "FlyPetBattleCustom1", "PetBattleCustom2", "FlyPetBattleCustom2", "PetBattleCustom3", "FlyPetBattleCustom3", "PetBattleVictory", "FlyPetBattleVictory", "PetBattleLoss", "FlyPetBattleLoss", "PetBattleStun", "FlyPetBattleStun", "PetBattleDead", "FlyPetBattleDead", "PetBattleFreeze", "FlyPetBattleFreeze", "MonkOffenseAttackWeapon", "FlyMonkOffenseAttackWeapon", "BarTendEmoteWave", "FlyBarTendEmoteWave", "BarServerEmoteTalk", "FlyBarServerEmoteTalk", "BarServerEmoteWave", "FlyBarServerEmoteWave", "BarServerPourDrinks", "FlyBarServerPourDrinks", "BarServerPickup", "FlyBarServerPickup", "BarServerPutDown", "FlyBarServerPutDown", "BarSweepStand", "FlyBarSweepStand", "BarPatronSit", "FlyBarPatronSit", "BarPatronSitEmoteTalk", "FlyBarPatronSitEmoteTalk", "BarPatronStand", "FlyBarPatronStand", "BarPatronStandEmoteTalk", "FlyBarPatronStandEmoteTalk", "BarPatronStandEmotePoint", "FlyBarPatronStandEmotePoint", "CarrionSwarm", "FlyCarrionSwarm", "WheelLoop", "FlyWheelLoop", "StandCharacterCreate", "FlyStandCharacterCreate", "MountChopper", "FlyMountChopper", "FacePose", "FlyFacePose", "CombatAbility2HBig01", "FlyCombatAbility2HBig01", "CombatAbility2H01", "FlyCombatAbility2H01", "CombatWhirlwind", "FlyCombatWhirlwind", "CombatChargeLoop", "FlyCombatChargeLoop", "CombatAbility1H01", "FlyCombatAbility1H01", "CombatChargeEnd", "FlyCombatChargeEnd", "CombatAbility1H02", "FlyCombatAbility1H02", "CombatAbility1HBig01", "FlyCombatAbility1HBig01", "CombatAbility2H02", "FlyCombatAbility2H02", "ShaSpellPrecastBoth", "FlyShaSpellPrecastBoth", "ShaSpellCastBothFront", "FlyShaSpellCastBothFront", "ShaSpellCastLeftFront", "FlyShaSpellCastLeftFront", "ShaSpellCastRightFront", "FlyShaSpellCastRightFront", "ReadyCrossbow", "FlyReadyCrossbow", "LoadCrossbow", "FlyLoadCrossbow", "AttackCrossbow", "FlyAttackCrossbow", "HoldCrossbow", "FlyHoldCrossbow", "CombatAbility2HL01", "FlyCombatAbility2HL01", "CombatAbility2HL02", "FlyCombatAbility2HL02", "CombatAbility2HLBig01", "FlyCombatAbility2HLBig01", "CombatUnarmed01", "FlyCombatUnarmed01", "CombatStompLeft", "FlyCombatStompLeft", "CombatStompRight", "FlyCombatStompRight", "CombatLeapLoop", "FlyCombatLeapLoop", "CombatLeapEnd", "FlyCombatLeapEnd", "ShaReadySpellCast", "FlyShaReadySpellCast", "ShaSpellPrecastBothChannel", "FlyShaSpellPrecastBothChannel", "ShaSpellCastBothUp", "FlyShaSpellCastBothUp", "ShaSpellCastBothUpChannel", "FlyShaSpellCastBothUpChannel", "ShaSpellCastBothFrontChannel", "FlyShaSpellCastBothFrontChannel", "ShaSpellCastLeftFrontChannel", "FlyShaSpellCastLeftFrontChannel", "ShaSpellCastRightFrontChannel", "FlyShaSpellCastRightFrontChannel", "PriReadySpellCast", "FlyPriReadySpellCast", "PriSpellPrecastBoth", "FlyPriSpellPrecastBoth", "PriSpellPrecastBothChannel", "FlyPriSpellPrecastBothChannel", "PriSpellCastBothUp", "FlyPriSpellCastBothUp", "PriSpellCastBothFront", "FlyPriSpellCastBothFront", "PriSpellCastLeftFront", "FlyPriSpellCastLeftFront", "PriSpellCastRightFront", "FlyPriSpellCastRightFront", "PriSpellCastBothUpChannel", "FlyPriSpellCastBothUpChannel", "PriSpellCastBothFrontChannel", "FlyPriSpellCastBothFrontChannel", "PriSpellCastLeftFrontChannel", "FlyPriSpellCastLeftFrontChannel", "PriSpellCastRightFrontChannel", "FlyPriSpellCastRightFrontChannel", "MagReadySpellCast",
+	"FlyMagReadySpellCast", "MagSpellPrecastBoth", "FlyMagSpellPrecastBoth", "MagSpellPrecastBothChannel", "FlyMagSpellPrecastBothChannel", "MagSpellCastBothUp", "FlyMagSpellCastBothUp", "MagSpellCastBothFront", "FlyMagSpellCastBothFront", "MagSpellCastLeftFront", "FlyMagSpellCastLeftFront", "MagSpellCastRightFront", "FlyMagSpellCastRightFront", "MagSpellCastBothUpChannel", "FlyMagSpellCastBothUpChannel", "MagSpellCastBothFrontChannel", "FlyMagSpellCastBothFrontChannel", "MagSpellCastLeftFrontChannel", "FlyMagSpellCastLeftFrontChannel", "MagSpellCastRightFrontChannel", "FlyMagSpellCastRightFrontChannel", "LocReadySpellCast", "FlyLocReadySpellCast", "LocSpellPrecastBoth", "FlyLocSpellPrecastBoth", "LocSpellPrecastBothChannel", "FlyLocSpellPrecastBothChannel", "LocSpellCastBothUp", "FlyLocSpellCastBothUp", "LocSpellCastBothFront", "FlyLocSpellCastBothFront", "LocSpellCastLeftFront", "FlyLocSpellCastLeftFront", "LocSpellCastRightFront", "FlyLocSpellCastRightFront", "LocSpellCastBothUpChannel", "FlyLocSpellCastBothUpChannel", "LocSpellCastBothFrontChannel", "FlyLocSpellCastBothFrontChannel", "LocSpellCastLeftFrontChannel", "FlyLocSpellCastLeftFrontChannel", "LocSpellCastRightFrontChannel", "FlyLocSpellCastRightFrontChannel", "DruReadySpellCast", "FlyDruReadySpellCast", "DruSpellPrecastBoth", "FlyDruSpellPrecastBoth", "DruSpellPrecastBothChannel", "FlyDruSpellPrecastBothChannel", "DruSpellCastBothUp", "FlyDruSpellCastBothUp", "DruSpellCastBothFront", "FlyDruSpellCastBothFront", "DruSpellCastLeftFront", "FlyDruSpellCastLeftFront", "DruSpellCastRightFront", "FlyDruSpellCastRightFront", "DruSpellCastBothUpChannel", "FlyDruSpellCastBothUpChannel", "DruSpellCastBothFrontChannel", "FlyDruSpellCastBothFrontChannel", "DruSpellCastLeftFrontChannel", "FlyDruSpellCastLeftFrontChannel", "DruSpellCastRightFrontChannel", "FlyDruSpellCastRightFrontChannel", "ArtMainLoop", "FlyArtMainLoop", "ArtDualLoop", "FlyArtDualLoop", "ArtFistsLoop", "FlyArtFistsLoop", "ArtBowLoop", "FlyArtBowLoop", "CombatAbility1H01Off", "FlyCombatAbility1H01Off", "CombatAbility1H02Off", "FlyCombatAbility1H02Off", "CombatFuriousStrike01", "FlyCombatFuriousStrike01", "CombatFuriousStrike02", "FlyCombatFuriousStrike02", "CombatFuriousStrikes", "FlyCombatFuriousStrikes", "CombatReadySpellCast", "FlyCombatReadySpellCast", "CombatShieldThrow", "FlyCombatShieldThrow", "PalSpellCast1HUp", "FlyPalSpellCast1HUp", "CombatReadyPostSpellCast", "FlyCombatReadyPostSpellCast", "PriReadyPostSpellCast", "FlyPriReadyPostSpellCast", "DHCombatRun", "FlyDHCombatRun", "CombatShieldBash", "FlyCombatShieldBash", "CombatThrow", "FlyCombatThrow", "CombatAbility1HPierce", "FlyCombatAbility1HPierce", "CombatAbility1HOffPierce", "FlyCombatAbility1HOffPierce", "CombatMutilate", "FlyCombatMutilate", "CombatBladeStorm", "FlyCombatBladeStorm", "CombatFinishingMove", "FlyCombatFinishingMove", "CombatLeapStart", "FlyCombatLeapStart", "GlvThrowMain", "FlyGlvThrowMain", "GlvThrownOff", "FlyGlvThrownOff", "DHCombatSprint", "FlyDHCombatSprint", "CombatAbilityGlv01", "FlyCombatAbilityGlv01", "CombatAbilityGlv02", "FlyCombatAbilityGlv02", "CombatAbilityGlvOff01", "FlyCombatAbilityGlvOff01", "CombatAbilityGlvOff02", "FlyCombatAbilityGlvOff02", "CombatAbilityGlvBig01", "FlyCombatAbilityGlvBig01", "CombatAbilityGlvBig02", "FlyCombatAbilityGlvBig02", "ReadyGlv", "FlyReadyGlv", "CombatAbilityGlvBig03", "FlyCombatAbilityGlvBig03", "DoubleJumpStart", "FlyDoubleJumpStart", "DoubleJump", "FlyDoubleJump", "CombatEviscerate", "FlyCombatEviscerate", "DoubleJumpLandRun", "FlyDoubleJumpLandRun", "BackFlipStart", "FlyBackFlipStart", "BackFlipLoop", "FlyBackFlipLoop", "FelRushLoop", "FlyFelRushLoop", "FelRushEnd", "FlyFelRushEnd", "DHToAlteredStart", "FlyDHToAlteredStart", "DHToAlteredEnd", "FlyDHToAlteredEnd", "DHGlide", "FlyDHGlide", "FanOfKnives", "FlyFanOfKnives", "SingleJumpStart", "FlySingleJumpStart", "DHBladeDance1", "FlyDHBladeDance1", "DHBladeDance2", "FlyDHBladeDance2", "DHBladeDance3", "FlyDHBladeDance3", "DHMeteorStrike", "FlyDHMeteorStrike", "CombatExecute", "FlyCombatExecute", "ArtLoop", "FlyArtLoop", "ParryGlv", "FlyParryGlv", "CombatUnarmed02", "FlyCombatUnarmed02", "CombatPistolShot", "FlyCombatPistolShot", "CombatPistolShotOff", "FlyCombatPistolShotOff", "Monk2HLIdle", "FlyMonk2HLIdle", "ArtShieldLoop", "FlyArtShieldLoop", "CombatAbility2H03", "FlyCombatAbility2H03", "CombatStomp", "FlyCombatStomp", "CombatRoar", "FlyCombatRoar", "PalReadySpellCast", "FlyPalReadySpellCast", "PalSpellPrecastRight", "FlyPalSpellPrecastRight", "PalSpellPrecastRightChannel", "FlyPalSpellPrecastRightChannel", "PalSpellCastRightFront", "FlyPalSpellCastRightFront", "ShaSpellCastBothOut", "FlyShaSpellCastBothOut", "AttackWeapon", "FlyAttackWeapon", "ReadyWeapon", "FlyReadyWeapon", "AttackWeaponOff", "FlyAttackWeaponOff", "SpecialDual", "FlySpecialDual", "DkCast1HFront", "FlyDkCast1HFront", "CastStrongRight", "FlyCastStrongRight", "CastStrongLeft", "FlyCastStrongLeft", "CastCurseRight", "FlyCastCurseRight", "CastCurseLeft", "FlyCastCurseLeft", "CastSweepRight", "FlyCastSweepRight", "CastSweepLeft", "FlyCastSweepLeft", "CastStrongUpLeft", "FlyCastStrongUpLeft", "CastTwistUpBoth", "FlyCastTwistUpBoth", "CastOutStrong", "FlyCastOutStrong", "DrumLoop", "FlyDrumLoop", "ParryWeapon", "FlyParryWeapon", "ReadyFL", "FlyReadyFL", "AttackFL", "FlyAttackFL", "AttackFLOff", "FlyAttackFLOff", "ParryFL", "FlyParryFL", "SpecialFL", "FlySpecialFL", "PriHoverForward", "FlyPriHoverForward", "PriHoverBackward", "FlyPriHoverBackward",
+	"PriHoverRight", "FlyPriHoverRight", "PriHoverLeft", "FlyPriHoverLeft", "RunBackwards", "FlyRunBackwards", "CastStrongUpRight", "FlyCastStrongUpRight", "WAWalk", "FlyWAWalk", "WARun", "FlyWARun", "WADrunkStand", "FlyWADrunkStand", "WADrunkShuffleLeft", "FlyWADrunkShuffleLeft", "WADrunkShuffleRight", "FlyWADrunkShuffleRight", "WADrunkWalk", "FlyWADrunkWalk", "WADrunkWalkBackwards", "FlyWADrunkWalkBackwards", "WADrunkWound", "FlyWADrunkWound", "WADrunkTalk", "FlyWADrunkTalk", "WATrance01", "FlyWATrance01", "WATrance02", "FlyWATrance02", "WAChant01", "FlyWAChant01", "WAChant02", "FlyWAChant02", "WAChant03", "FlyWAChant03", "WAHang01", "FlyWAHang01", "WAHang02", "FlyWAHang02", "WASummon01", "FlyWASummon01", "WASummon02", "FlyWASummon02", "WABeggarTalk", "FlyWABeggarTalk", "WABeggarStand", "FlyWABeggarStand", "WABeggarPoint", "FlyWABeggarPoint", "WABeggarBeg", "FlyWABeggarBeg", "WASit01", "FlyWASit01", "WASit02", "FlyWASit02", "WASit03", "FlyWASit03", "WACrierStand01", "FlyWACrierStand01", "WACrierStand02", "FlyWACrierStand02", "WACrierStand03", "FlyWACrierStand03", "WACrierTalk", "FlyWACrierTalk", "WACrateHold", "FlyWACrateHold", "WABarrelHold", "FlyWABarrelHold", "WASackHold", "FlyWASackHold", "WAWheelBarrowStand", "FlyWAWheelBarrowStand", "WAWheelBarrowWalk", "FlyWAWheelBarrowWalk", "WAWheelBarrowRun", "FlyWAWheelBarrowRun", "WAHammerLoop", "FlyWAHammerLoop", "WACrankLoop", "FlyWACrankLoop", "WAPourStart", "FlyWAPourStart", "WAPourLoop", "FlyWAPourLoop", "WAPourEnd", "FlyWAPourEnd", "WAEmotePour", "FlyWAEmotePour", "WARowingStandRight", "FlyWARowingStandRight", "WARowingStandLeft", "FlyWARowingStandLeft", "WARowingRight", "FlyWARowingRight", "WARowingLeft", "FlyWARowingLeft", "WAGuardStand01", "FlyWAGuardStand01", "WAGuardStand02", "FlyWAGuardStand02", "WAGuardStand03", "FlyWAGuardStand03", "WAGuardStand04", "FlyWAGuardStand04", "WAFreezing01", "FlyWAFreezing01", "WAFreezing02", "FlyWAFreezing02", "WAVendorStand01", "FlyWAVendorStand01", "WAVendorStand02", "FlyWAVendorStand02", "WAVendorStand03", "FlyWAVendorStand03", "WAVendorTalk", "FlyWAVendorTalk", "WALean01", "FlyWALean01", "WALean02", "FlyWALean02", "WALean03", "FlyWALean03", "WALeanTalk", "FlyWALeanTalk", "WABoatWheel", "FlyWABoatWheel", "WASmithLoop", "FlyWASmithLoop", "WAScrubbing", "FlyWAScrubbing", "WAWeaponSharpen", "FlyWAWeaponSharpen", "WAStirring", "FlyWAStirring", "WAPerch01", "FlyWAPerch01", "WAPerch02", "FlyWAPerch02", "HoldWeapon", "FlyHoldWeapon", "WABarrelWalk", "FlyWABarrelWalk", "WAPourHold", "FlyWAPourHold", "CastStrong", "FlyCastStrong", "CastCurse", "FlyCastCurse", "CastSweep", "FlyCastSweep", "CastStrongUp", "FlyCastStrongUp", "WABoatWheelStand", "FlyWABoatWheelStand", "WASmithStand", "FlyWASmithStand", "WACrankStand", "FlyWACrankStand", "WAPourWalk", "FlyWAPourWalk", "FalconeerStart", "FlyFalconeerStart", "FalconeerLoop", "FlyFalconeerLoop", "FalconeerEnd", "FlyFalconeerEnd", "WADrunkDrink", "FlyWADrunkDrink", "WAStandEat", "FlyWAStandEat", "WAStandDrink", "FlyWAStandDrink", "WABound01", "FlyWABound01", "WABound02", "FlyWABound02", "CombatAbility1H03Off", "FlyCombatAbility1H03Off", "CombatAbilityDualWield01", "FlyCombatAbilityDualWield01", "WACradle01", "FlyWACradle01", "LocSummon", "FlyLocSummon", "LoadWeapon", "FlyLoadWeapon", "ArtOffLoop", "FlyArtOffLoop", "WADead01", "FlyWADead01", "WADead02", "FlyWADead02", "WADead03", "FlyWADead03", "WADead04", "FlyWADead04", "WADead05", "FlyWADead05", "WADead06", "FlyWADead06", "WADead07", "FlyWADead07", "GiantRun", "FlyGiantRun", "BarTendEmoteCheer", "FlyBarTendEmoteCheer", "BarTendEmoteTalkQuestion", "FlyBarTendEmoteTalkQuestion", "BarTendEmoteTalkExclamation", "FlyBarTendEmoteTalkExclamation", "BarTendWalk", "FlyBarTendWalk", "BartendShuffleLeft", "FlyBartendShuffleLeft", "BarTendShuffleRight", "FlyBarTendShuffleRight", "BarTendCustomSpell01", "FlyBarTendCustomSpell01", "BarTendCustomSpell02", "FlyBarTendCustomSpell02", "BarTendCustomSpell03", "FlyBarTendCustomSpell03", "BarServerEmoteCheer", "FlyBarServerEmoteCheer", "BarServerEmoteTalkQuestion", "FlyBarServerEmoteTalkQuestion", "BarServerEmoteTalkExclamation", "FlyBarServerEmoteTalkExclamation", "BarServerCustomSpell01", "FlyBarServerCustomSpell01", "BarServerCustomSpell02", "FlyBarServerCustomSpell02", "BarServerCustomSpell03", "FlyBarServerCustomSpell03", "BarPatronEmoteDrink", "FlyBarPatronEmoteDrink", "BarPatronEmoteCheer", "FlyBarPatronEmoteCheer", "BarPatronCustomSpell01", "FlyBarPatronCustomSpell01", "BarPatronCustomSpell02", "FlyBarPatronCustomSpell02", "BarPatronCustomSpell03", "FlyBarPatronCustomSpell03", "HoldDart", "FlyHoldDart", "ReadyDart", "FlyReadyDart", "AttackDart", "FlyAttackDart", "LoadDart", "FlyLoadDart", "WADartTargetStand", "FlyWADartTargetStand", "WADartTargetEmoteTalk", "FlyWADartTargetEmoteTalk", "BarPatronSitEmoteCheer", "FlyBarPatronSitEmoteCheer", "BarPatronSitCustomSpell01", "FlyBarPatronSitCustomSpell01", "BarPatronSitCustomSpell02", "FlyBarPatronSitCustomSpell02", "BarPatronSitCustomSpell03", "FlyBarPatronSitCustomSpell03", "BarPianoStand", "FlyBarPianoStand", "BarPianoEmoteTalk", "FlyBarPianoEmoteTalk", "WAHearthSit", "FlyWAHearthSit", "WAHearthSitEmoteCry", "FlyWAHearthSitEmoteCry", "WAHearthSitEmoteCheer", "FlyWAHearthSitEmoteCheer", "WAHearthSitCustomSpell01", "FlyWAHearthSitCustomSpell01", "WAHearthSitCustomSpell02", "FlyWAHearthSitCustomSpell02", "WAHearthSitCustomSpell03", "FlyWAHearthSitCustomSpell03", "WAHearthStand", "FlyWAHearthStand", "WAHearthStandEmoteCheer", "FlyWAHearthStandEmoteCheer",
+	"WAHearthStandEmoteTalk", "FlyWAHearthStandEmoteTalk", "WAHearthStandCustomSpell01", "FlyWAHearthStandCustomSpell01", "WAHearthStandCustomSpell02", "FlyWAHearthStandCustomSpell02", "WAHearthStandCustomSpell03", "FlyWAHearthStandCustomSpell03", "WAScribeStart", "FlyWAScribeStart", "WAScribeLoop", "FlyWAScribeLoop", "WAScribeEnd", "FlyWAScribeEnd", "WAEmoteScribe", "FlyWAEmoteScribe", "Haymaker", "FlyHaymaker", "HaymakerPrecast", "FlyHaymakerPrecast", "ChannelCastOmniUp", "FlyChannelCastOmniUp", "DHJumpLandRun", "FlyDHJumpLandRun", "Cinematic01", "FlyCinematic01", "Cinematic02", "FlyCinematic02", "Cinematic03", "FlyCinematic03", "Cinematic04", "FlyCinematic04", "Cinematic05", "FlyCinematic05", "Cinematic06", "FlyCinematic06", "Cinematic07", "FlyCinematic07", "Cinematic08", "FlyCinematic08", "Cinematic09", "FlyCinematic09", "Cinematic10", "FlyCinematic10", "TakeOffStart", "FlyTakeOffStart", "TakeOffFinish", "FlyTakeOffFinish", "LandStart", "FlyLandStart", "LandFinish", "FlyLandFinish", "WAWalkTalk", "FlyWAWalkTalk", "WAPerch03", "FlyWAPerch03", "CarriageMountMoving", "FlyCarriageMountMoving", "TakeOffFinishFly", "FlyTakeOffFinishFly", "CombatAbility2HBig02", "FlyCombatAbility2HBig02", "MountWide", "FlyMountWide", "EmoteTalkSubdued", "FlyEmoteTalkSubdued", "WASit04", "FlyWASit04", "MountSummon", "FlyMountSummon", "EmoteSelfie", "FlyEmoteSelfie", "CustomSpell11", "FlyCustomSpell11", "CustomSpell12", "FlyCustomSpell12", "CustomSpell13", "FlyCustomSpell13", "CustomSpell14", "FlyCustomSpell14", "CustomSpell15", "FlyCustomSpell15", "CustomSpell16", "FlyCustomSpell16", "CustomSpell17", "FlyCustomSpell17", "CustomSpell18", "FlyCustomSpell18", "CustomSpell19", "FlyCustomSpell19", "CustomSpell20", "FlyCustomSpell20", "AdvFlyLeft", "FlyAdvFlyLeft", "AdvFlyRight", "FlyAdvFlyRight", "AdvFlyForward", "FlyAdvFlyForward", "AdvFlyBackward", "FlyAdvFlyBackward", "AdvFlyUp", "FlyAdvFlyUp", "AdvFlyDown", "FlyAdvFlyDown", "AdvFlyForwardGlide", "FlyAdvFlyForwardGlide", "AdvFlyRoll", "FlyAdvFlyRoll", "ProfCookingLoop", "FlyProfCookingLoop", "ProfCookingStart", "FlyProfCookingStart", "ProfCookingEnd", "FlyProfCookingEnd", "WACurious", "FlyWACurious", "WAAlert", "FlyWAAlert", "WAInvestigate", "FlyWAInvestigate", "WAInteraction", "FlyWAInteraction", "WAThreaten", "FlyWAThreaten", "WAReact01", "FlyWAReact01", "WAReact02", "FlyWAReact02", "AdvFlyRollStart", "FlyAdvFlyRollStart", "AdvFlyRollEnd", "FlyAdvFlyRollEnd", "EmpBreathPrecast", "FlyEmpBreathPrecast", "EmpBreathPrecastChannel", "FlyEmpBreathPrecastChannel", "EmpBreathSpellCast", "FlyEmpBreathSpellCast", "EmpBreathSpellCastChannel", "FlyEmpBreathSpellCastChannel", "DracFlyBreathTakeoffStart", "FlyDracFlyBreathTakeoffStart", "DracFlyBreathTakeoffFinish", "FlyDracFlyBreathTakeoffFinish", "DracFlyBreath", "FlyDracFlyBreath", "DracFlyBreathLandStart", "FlyDracFlyBreathLandStart", "DracFlyBreathLandFinish", "FlyDracFlyBreathLandFinish", "DracAirDashLeft", "FlyDracAirDashLeft", "DracAirDashForward", "FlyDracAirDashForward", "DracAirDashBackward", "FlyDracAirDashBackward", "DracAirDashRight", "FlyDracAirDashRight", "LivingWorldProximityEnter", "FlyLivingWorldProximityEnter", "AdvFlyDownEnd", "FlyAdvFlyDownEnd", "LivingWorldProximityLoop", "FlyLivingWorldProximityLoop", "LivingWorldProximityLeave", "FlyLivingWorldProximityLeave", "EmpAirBarragePrecast", "FlyEmpAirBarragePrecast", "EmpAirBarragePrecastChannel", "FlyEmpAirBarragePrecastChannel", "EmpAirBarrageSpellCast", "FlyEmpAirBarrageSpellCast", "DracClawSwipeLeft", "FlyDracClawSwipeLeft", "DracClawSwipeRight", "FlyDracClawSwipeRight", "DracHoverIdle", "FlyDracHoverIdle", "DracHoverLeft", "FlyDracHoverLeft", "DracHoverRight", "FlyDracHoverRight", "DracHoverBackward", "FlyDracHoverBackward", "DracHoverForward", "FlyDracHoverForward", "DracAttackWings", "FlyDracAttackWings", "DracAttackTail", "FlyDracAttackTail", "AdvFlyStart", "FlyAdvFlyStart", "AdvFlyLand", "FlyAdvFlyLand", "AdvFlyLandRun", "FlyAdvFlyLandRun", "AdvFlyStrafeLeft", "FlyAdvFlyStrafeLeft", "AdvFlyStrafeRight", "FlyAdvFlyStrafeRight", "AdvFlyIdle", "FlyAdvFlyIdle", "AdvFlyRollRight", "FlyAdvFlyRollRight", "AdvFlyRollRightEnd", "FlyAdvFlyRollRightEnd", "AdvFlyRollLeft", "FlyAdvFlyRollLeft", "AdvFlyRollLeftEnd", "FlyAdvFlyRollLeftEnd", "AdvFlyFlap", "FlyAdvFlyFlap", "DracHoverDracClawSwipeLeft", "FlyDracHoverDracClawSwipeLeft", "DracHoverDracClawSwipeRight", "FlyDracHoverDracClawSwipeRight", "DracHoverDracAttackWings", "FlyDracHoverDracAttackWings", "DracHoverReadySpellOmni", "FlyDracHoverReadySpellOmni", "DracHoverSpellCastOmni", "FlyDracHoverSpellCastOmni", "DracHoverChannelSpellOmni", "FlyDracHoverChannelSpellOmni", "DracHoverReadySpellDirected", "FlyDracHoverReadySpellDirected", "DracHoverChannelSpellDirected", "FlyDracHoverChannelSpellDirected", "DracHoverSpellCastDirected", "FlyDracHoverSpellCastDirected", "DracHoverCastOutStrong", "FlyDracHoverCastOutStrong", "DracHoverBattleRoar", "FlyDracHoverBattleRoar", "DracHoverEmpBreathSpellCast", "FlyDracHoverEmpBreathSpellCast", "DracHoverEmpBreathSpellCastChannel", "FlyDracHoverEmpBreathSpellCastChannel", "LivingWorldTimeOfDayEnter", "FlyLivingWorldTimeOfDayEnter", "LivingWorldTimeOfDayLoop", "FlyLivingWorldTimeOfDayLoop", "LivingWorldTimeOfDayLeave", "FlyLivingWorldTimeOfDayLeave", "LivingWorldWeatherEnter", "FlyLivingWorldWeatherEnter", "LivingWorldWeatherLoop", "FlyLivingWorldWeatherLoop", "LivingWorldWeatherLeave", "FlyLivingWorldWeatherLeave", "AdvFlyDownStart", "FlyAdvFlyDownStart", "AdvFlyFlapBig", "FlyAdvFlyFlapBig",
+	"DracHoverReadyUnarmed", "FlyDracHoverReadyUnarmed", "DracHoverAttackUnarmed", "FlyDracHoverAttackUnarmed", "DracHoverParryUnarmed", "FlyDracHoverParryUnarmed", "DracHoverCombatWound", "FlyDracHoverCombatWound", "DracHoverCombatCritical", "FlyDracHoverCombatCritical", "DracHoverAttackTail", "FlyDracHoverAttackTail", "Glide", "FlyGlide", "GlideEnd", "FlyGlideEnd", "DracClawSwipe", "FlyDracClawSwipe", "DracHoverDracClawSwipe", "FlyDracHoverDracClawSwipe", "AdvFlyFlapUp", "FlyAdvFlyFlapUp", "AdvFlySlowFall", "FlyAdvFlySlowFall", "AdvFlyFlapFoward", "FlyAdvFlyFlapFoward", "DracSpellCastWings", "FlyDracSpellCastWings", "DracHoverDracSpellCastWings", "FlyDracHoverDracSpellCastWings", "DracAirDashVertical", "FlyDracAirDashVertical", "DracAirDashRefresh", "FlyDracAirDashRefresh", "SkinningLoop", "FlySkinningLoop", "SkinningStart", "FlySkinningStart", "SkinningEnd", "FlySkinningEnd", "AdvFlyForwardGlideSlow", "FlyAdvFlyForwardGlideSlow", "AdvFlyForwardGlideFast", "FlyAdvFlyForwardGlideFast" ];
+
+//
+
+class M2SkinLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+		this.version = null;
+
+	}
+
+	setVersion( version ) {
+
+		this.version = version;
+
+	}
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( this.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+		loader.load( url, ( buffer ) => {
+
+			try {
+
+				onLoad( this.parse( buffer ) );
+
+			} catch ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				this.manager.itemError( url );
+
+			}
+
+		}, onProgress, onError );
+
+	}
+
+	parse( buffer ) {
+
+		const parser = new BinaryParser( buffer );
+
+		if ( this.version >= M2_VERSION_WRATH_OF_THE_LICH_KING ) {
+
+			const magic = parser.readString( 4 );
+
+			if ( magic !== 'SKIN' ) {
+
+				throw new Error( 'THREE.M2SkinLoader: Invalid magic data' );
+
+			}
+
+		}
+
+		return this.read( parser );
+
+	}
+
+	read( parser ) {
+
+		// header
+
+		const verticesLength = parser.readUInt32();
+		const verticesOffset = parser.readUInt32();
+		const indicesLength = parser.readUInt32();
+		const indicesOffset = parser.readUInt32();
+		const bonesLength = parser.readUInt32();
+		const bonesOffset = parser.readUInt32();
+		const submeshesLength = parser.readUInt32();
+		const submeshesOffset = parser.readUInt32();
+		const batchesLength = parser.readUInt32();
+		const batchesOffset = parser.readUInt32();
+		const boneCountMax = parser.readUInt32();
+
+		// local vertex list
+
+		const localVertexList = [];
+
+		parser.moveTo( verticesOffset + 0x00 );
+
+		for ( let i = 0; i < verticesLength; i ++ ) {
+
+			localVertexList.push( parser.readUInt16() );
+
+		}
+
+		// indices
+
+		const indices = [];
+
+		parser.moveTo( indicesOffset + 0x00 );
+
+		for ( let i = 0; i < indicesLength; i ++ ) {
+
+			indices.push( parser.readUInt16() );
+
+		}
+
+		// bones
+
+		const bones = [];
+
+		parser.moveTo( bonesOffset + 0x00 );
+
+		for ( let i = 0; i < bonesLength; i ++ ) {
+
+			// each entry represents 4 bone indices
+
+			bones.push( parser.readUInt8(), parser.readUInt8(), parser.readUInt8(), parser.readUInt8() );
+
+		}
+
+		// submeshes
+
+		const submeshes = [];
+
+		parser.moveTo( submeshesOffset + 0x00 );
+
+		for ( let i = 0; i < submeshesLength; i ++ ) {
+
+			const submesh = this._readSubmesh( parser );
+			submeshes.push( submesh );
+
+		}
+
+		// batches
+
+		const batches = [];
+
+		parser.moveTo( batchesOffset + 0x00 );
+
+		for ( let i = 0; i < batchesLength; i ++ ) {
+
+			const batch = this._readBatch( parser );
+			batches.push( batch );
+
+		}
+
+		// TODO read shadow batches
+
+		return { localVertexList, indices, bones, submeshes, batches, boneCountMax };
+
+	}
+
+	_readBatch( parser ) {
+
+		const batch = new M2Batch();
+
+		batch.flags = parser.readUInt8();
+		batch.priorityPlane = parser.readInt8();
+		batch.shaderId = parser.readUInt16();
+		batch.skinSectionIndex = parser.readUInt16();
+		batch.geosetIndex = parser.readUInt16();
+		batch.colorIndex = parser.readUInt16();
+		batch.materialIndex = parser.readUInt16();
+		batch.materialLayer = parser.readUInt16();
+		batch.textureCount = parser.readUInt16();
+		batch.textureComboIndex = parser.readUInt16();
+		batch.textureCoordComboIndex = parser.readUInt16();
+		batch.textureWeightComboIndex = parser.readUInt16();
+		batch.textureTransformComboIndex = parser.readUInt16();
+
+		return batch;
+
+	}
+
+	_readSubmesh( parser ) {
+
+		const submesh = new M2SkinSection();
+
+		submesh.skinSectionId = parser.readUInt16();
+		submesh.Level = parser.readUInt16();
+		submesh.vertexStart = parser.readUInt16();
+		submesh.vertexCount = parser.readUInt16();
+		submesh.indexStart = parser.readUInt16();
+		submesh.indexCount = parser.readUInt16();
+		submesh.boneCount = parser.readUInt16();
+		submesh.boneComboIndex = parser.readUInt16();
+		submesh.boneInfluences = parser.readUInt16();
+		submesh.centerBoneIndex = parser.readUInt16();
+
+		submesh.centerPosition.set(
+			parser.readFloat32(),
+			parser.readFloat32(),
+			parser.readFloat32()
+		);
+
+		if ( this.version >= M2_VERSION_THE_BURNING_CRUSADE ) {
+
+			submesh.sortCenterPosition.set(
+				parser.readFloat32(),
+				parser.readFloat32(),
+				parser.readFloat32()
+			);
+
+			submesh.sortRadius = parser.readFloat32();
+
+		}
+
+		return submesh;
+
+	}
+
+}
+
+//
+
+class BLPLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+		this.version = null;
+
+	}
+
+	setVersion( version ) {
+
+		this.version = version;
+
+	}
+
+	load( config, onLoad, onProgress, onError ) {
+
+		const url = config.url;
+		const flags = config.flags;
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( this.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+		loader.load( url, ( buffer ) => {
+
+			try {
+
+				const texture = this.parse( buffer, flags );
+				texture.name = url;
+
+				onLoad( texture );
+
+			} catch ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				this.manager.itemError( url );
+
+			}
+
+		}, onProgress, onError );
+
+	}
+
+	parse( buffer, flags = 0 ) {
+
+		const parser = new BinaryParser( buffer );
+
+		const magic = parser.readString( 4 );
+
+		if ( magic !== 'BLP2' ) {
+
+			throw new Error( 'THREE.BLPLoader: Invalid magic data.' );
+
+		}
+
+		// header
+
+		const header = {};
+
+		header.version = parser.readUInt32();
+		header.colorEncoding = parser.readUInt8();
+		header.alphaSize = parser.readUInt8();
+		header.preferredFormat = parser.readUInt8();
+		header.hasMips = parser.readUInt8();
+		header.width = parser.readUInt32();
+		header.height = parser.readUInt32();
+
+		header.mipOffsets = [];
+		header.mipSizes = [];
+
+		for ( let i = 0; i < 16; i ++ ) {
+
+			header.mipOffsets.push( parser.readUInt32() );
+
+		}
+
+		header.mipSizes = [];
+
+		for ( let i = 0; i < 16; i ++ ) {
+
+			header.mipSizes.push( parser.readUInt32() );
+
+		}
+
+		header.palette = [];
+
+		for ( let i = 0; i < 256; i ++ ) {
+
+			// BGRA colors
+
+			header.palette.push(
+				parser.readUInt8(),
+				parser.readUInt8(),
+				parser.readUInt8(),
+				parser.readUInt8()
+			);
+
+		}
+
+		// data
+
+		const mipmaps = [];
+
+		let currentWidth = header.width;
+		let currentHeight = header.height;
+
+		for ( let i = 0; i < header.mipOffsets.length; i ++ ) {
+
+			const offset = header.mipOffsets[ i ];
+
+			if ( offset === 0 || currentWidth === 0 || currentHeight === 0 ) break;
+
+			const size = header.mipSizes[ i ];
+			const data = new Uint8Array( buffer, offset, size );
+
+			mipmaps.push( { data: data, width: currentWidth, height: currentHeight } );
+
+			currentWidth = Math.floor( currentWidth / 2 );
+			currentHeight = Math.floor( currentHeight / 2 );
+
+		}
+
+		// setup texture
+
+		let texture;
+
+		if ( header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_DXT1 ||
+			header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_DXT3 ||
+			header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_DXT5 ||
+			header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_BC5 ) {
+
+			texture = new CompressedTexture( mipmaps, header.width, header.height );
+			texture.colorSpace = SRGBColorSpace;
+			texture.center.set( 0.5, 0.5 );
+			texture.needsUpdate = true;
+
+			switch ( header.preferredFormat ) {
+
+				case BLP_PIXEL_FORMAT_PIXEL_DXT1:
+					texture.format = RGBA_S3TC_DXT1_Format;
+					break;
+
+				case BLP_PIXEL_FORMAT_PIXEL_DXT3:
+					texture.format = RGBA_S3TC_DXT3_Format;
+					break;
+
+				case BLP_PIXEL_FORMAT_PIXEL_DXT5:
+					texture.format = RGBA_S3TC_DXT5_Format;
+					break;
+
+				case BLP_PIXEL_FORMAT_PIXEL_BC5:
+					texture.format = RGBA_BPTC_Format;
+					break;
+
+				default:
+					throw new Error( 'THREE.BLPLoader: Unsupported compressed texture format: ' + header.preferredFormat );
+
+			}
+
+		} else if ( header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_UNSPECIFIED ) {
+
+			if ( header.colorEncoding === BLP_COLOR_ENCODING_COLOR_PALETTE ) {
+
+				const newMips = [];
+
+				for ( let i = 0; i < mipmaps.length; i ++ ) {
+
+					const mip = mipmaps[ i ];
+
+					const data = new Uint8Array( mip.width * mip.height * 4 );
+
+					for ( let j = 0, k = 0; j < mip.data.length; j ++, k += 4 ) {
+
+						const index = mip.data[ j ];
+
+						data[ k + 0 ] = header.palette[ index * 4 + 2 ];
+						data[ k + 1 ] = header.palette[ index * 4 + 1 ];
+						data[ k + 2 ] = header.palette[ index * 4 + 0 ];
+						data[ k + 3 ] = header.palette[ index * 4 + 3 ];
+
+					}
+
+					newMips.push( { data, width: mip.width, height: mip.height } );
+
+				}
+
+				texture = new DataTexture( newMips[ 0 ].data, header.width, header.height );
+				texture.colorSpace = SRGBColorSpace;
+				texture.mipmaps = newMips;
+				texture.magFilter = LinearFilter;
+				texture.minFilter = LinearMipmapLinearFilter;
+				texture.needsUpdate = true;
+
+			} else {
+
+				// TODO Handle more unsupported color encodings
+
+				console.error( 'THREE.M2Loader: Unsupported color encoding.', header.colorEncoding );
+
+			}
+
+		} else {
+
+			// TODO Handle more unsupported pixel formats
+
+			console.error( 'THREE.M2Loader: Unsupported pixel format.', header.preferredFormat );
+
+		}
+
+		//
+
+		if ( flags & 0x1 ) texture.wrapS = RepeatWrapping;
+		if ( flags & 0x2 ) texture.wrapT = RepeatWrapping;
+
+		return texture;
+
+	}
+
+}
+
+// const BLP_COLOR_ENCODING_COLOR_JPEG = 0;
+const BLP_COLOR_ENCODING_COLOR_PALETTE = 1;
+// const BLP_COLOR_ENCODING_COLOR_DXT = 2;
+// const BLP_COLOR_ENCODING_ARGB8888 = 3;
+
+const BLP_PIXEL_FORMAT_PIXEL_DXT1 = 0;
+const BLP_PIXEL_FORMAT_PIXEL_DXT3 = 1;
+// const BLP_PIXEL_FORMAT_PIXEL_ARGB8888 = 2;
+// const BLP_PIXEL_FORMAT_PIXEL_ARGB1555 = 3;
+// const BLP_PIXEL_FORMAT_PIXEL_ARGB4444 = 4;
+// const BLP_PIXEL_FORMAT_PIXEL_RGB565 = 5;
+// const BLP_PIXEL_FORMAT_PIXEL_A8 = 6;
+const BLP_PIXEL_FORMAT_PIXEL_DXT5 = 7;
+const BLP_PIXEL_FORMAT_PIXEL_UNSPECIFIED = 8;
+// const BLP_PIXEL_FORMAT_PIXEL_ARGB2565 = 9;
+const BLP_PIXEL_FORMAT_PIXEL_BC5 = 11;
+// const BLP_PIXEL_FORMAT_NUM_PIXEL_FORMATS = 12;
+
+//
+
+class BinaryParser {
+
+	constructor( buffer ) {
+
+		this.view = new DataView( buffer );
+
+		this.offset = 0;
+		this.chunkOffset = 0;
+
+		this._savedOffsets = [];
+
+	}
+
+	moveTo( offset ) {
+
+		this.offset = offset + this.chunkOffset;
+
+	}
+
+	readFloat32() {
+
+		const float = this.view.getFloat32( this.offset, true );
+		this.offset += 4;
+		return float;
+
+	}
+
+	readInt8() {
+
+		return this.view.getInt8( this.offset ++ );
+
+	}
+
+	readInt16() {
+
+		const int = this.view.getInt16( this.offset, true );
+		this.offset += 2;
+		return int;
+
+	}
+
+	readInt32() {
+
+		const int = this.view.getInt32( this.offset, true );
+		this.offset += 4;
+		return int;
+
+	}
+
+	readString( bytes ) {
+
+		let string = '';
+
+		for ( let i = 0; i < bytes; i ++ ) {
+
+			string += String.fromCharCode( this.readUInt8() );
+
+		}
+
+		return string;
+
+	}
+
+	readUInt8() {
+
+		return this.view.getUint8( this.offset ++ );
+
+	}
+
+	readUInt16() {
+
+		const int = this.view.getUint16( this.offset, true );
+		this.offset += 2;
+		return int;
+
+	}
+
+	readUInt32() {
+
+		const int = this.view.getUint32( this.offset, true );
+		this.offset += 4;
+		return int;
+
+	}
+
+	saveState() {
+
+		this._savedOffsets.push( this.offset );
+
+	}
+
+	restoreState() {
+
+		this.offset = this._savedOffsets.pop();
+
+	}
+
+}
+
+class CoordinateConverter {
+
+	constructor( upAxis = 'z', unitScale = 1 ) {
+
+		// M2 uses a right-handed z-up coordinate system, the conversion into y-up space is a rotation around the x-axis
+
+		this.yUp = ( upAxis === 'y' );
+		this.unitScale = unitScale;
+
+		this.quaternion = new Quaternion();
+		if ( this.yUp === true ) this.quaternion.setFromAxisAngle( new Vector3( 1, 0, 0 ), - Math.PI / 2 );
+
+	}
+
+	get isIdentity() {
+
+		return this.yUp === false && this.unitScale === 1;
+
+	}
+
+	convert( values, kind, offset = 0 ) {
+
+		const s = this.unitScale;
+
+		switch ( kind ) {
+
+			case 'position': {
+
+				const x = values[ offset ], y = values[ offset + 1 ], z = values[ offset + 2 ];
+
+				values[ offset + 0 ] = x * s;
+				values[ offset + 1 ] = ( this.yUp ? z : y ) * s;
+				values[ offset + 2 ] = ( this.yUp ? - y : z ) * s;
+
+				break;
+
+			}
+
+			case 'direction':
+			case 'quaternion': {
+
+				// quaternions are converted like directions since the rotation axis is transformed, w is not affected
+
+				if ( this.yUp === false ) break;
+
+				const y = values[ offset + 1 ], z = values[ offset + 2 ];
+
+				values[ offset + 1 ] = z;
+				values[ offset + 2 ] = - y;
+
+				break;
+
+			}
+
+			case 'scale': {
+
+				if ( this.yUp === false ) break;
+
+				const y = values[ offset + 1 ], z = values[ offset + 2 ];
+
+				values[ offset + 1 ] = z;
+				values[ offset + 2 ] = y;
+
+				break;
+
+			}
+
+			case 'length':
+
+				values[ offset ] *= s;
+
+				break;
+
+			default:
+				console.error( 'THREE.M2Loader: Unsupported conversion type:', kind );
+				break;
+
+		}
+
+	}
+
+	convertArray( array, kind ) {
+
+		const itemSize = ( kind === 'length' ) ? 1 : ( kind === 'quaternion' ) ? 4 : 3;
+
+		for ( let i = 0; i < array.length; i += itemSize ) {
+
+			this.convert( array, kind, i );
+
+		}
+
+	}
+
+	convertBox( box ) {
+
+		// both corners are converted since the rotation swaps the min/max values of an axis
+
+		const min = box.min.toArray();
+		const max = box.max.toArray();
+
+		this.convert( min, 'position' );
+		this.convert( max, 'position' );
+
+		box.makeEmpty();
+		box.expandByPoint( box.min.fromArray( min ) );
+		box.expandByPoint( box.max.fromArray( max ) );
+
+	}
+
+	convertTrack( track, kind ) {
+
+		for ( const values of track.values ) {
+
+			this.convertArray( values, kind );
+
+		}
+
+		// external values are converted when they are loaded
+
+		for ( const i in track.externalValues ) {
+
+			track.externalValues[ i ].conversion = kind;
+
+		}
+
+	}
+
+	convertVector( vector, kind ) {
+
+		const array = vector.toArray();
+		this.convert( array, kind );
+		vector.fromArray( array );
+
+	}
+
+}
+
+class SequenceManager extends EventDispatcher {
+
+	constructor( sequences, globalSequences, filename, resourcePath, converter, animationFileDataIDs = new Map() ) {
+
+		super();
+
+		this.sequences = sequences;
+		this.globalSequences = globalSequences;
+		this.filename = filename;
+		this.resourcePath = resourcePath;
+		this.converter = converter;
+		this.animationFileDataIDs = animationFileDataIDs;
+
+		this.timeScale = 1; // scales the playback speed of all sequences and global sequences
+
+		this._sequenceMap = new Map();
+		this._globalSequenceMap = new Map();
+		this._mixers = new Map();
+		this._globalMixers = new Map();
+		this._externalSequences = new Map();
+		this._externalSequencesInitialized = new Map();
+		this._externalSequencePromises = new Map();
+		this._dynamicObjects = []; // objects like emitters or cameras which must be updated per frame
+		this._events = new Map();
+		this._globalEvents = new Map();
+		this._sequenceDefinitionMap = new Map();
+		this._activeSequences = new Map();
+		this._randomSequences = new Map();
+		this._fadingSequences = new Map();
+		this._rootMotion = false;
+		this._rootMotionObject = null;
+		this._displacement = new Vector3();
+		this._layers = []; // masked layers for partial-body playback, layer 0 is the base layer
+		this._timeScales = new Map();
+		this._loops = new Map(); // loop states which have been set by the user, keyed by animation ID
+		this._pausedSequences = new Set();
+		this._paused = false;
+		this._globalSequenceTimes = globalSequences.map( () => 0 );
+		this._globalSequencesActive = false;
+
+		// setup maps
+
+		for ( let i = 0; i < sequences.length; i ++ ) {
+
+			const sequence = sequences[ i ];
+
+			const key = computeSequenceKey( sequence.id, sequence.variationIndex );
+
+			this._sequenceMap.set( key, [] );
+			this._sequenceDefinitionMap.set( key, sequence );
+			this._events.set( key, [] );
+
+			if ( ! this.isEmbeddedSequence( i ) ) {
+
+				this._externalSequencesInitialized.set( key, false );
+				this._externalSequences.set( key, [] );
+
+			}
+
+		}
+
+		for ( let i = 0; i < globalSequences.length; i ++ ) {
+
+			this._globalSequenceMap.set( i, [] );
+			this._globalEvents.set( i, [] );
+
+		}
+
+	}
+
+	addAnimationToSequence( clip, root, i ) {
+
+		const sequence = this.sequences[ i ];
+
+		const key = computeSequenceKey( sequence.id, sequence.variationIndex );
+
+		const animations = this._sequenceMap.get( key );
+		animations.push( { clip, root, flags: sequence.flags } );
+
+		// the duration of clips is defined by the sequence, not by the last keyframe
+
+		if ( sequence.duration > 0 ) clip.duration = sequence.duration / 1000;
+
+		if ( this._mixers.has( root ) === false ) {
+
+			this._mixers.set( root, new AnimationMixer( root ) );
+
+		}
+
+	}
+
+	addAnimationToGlobalSequence( clip, root, i ) {
+
+		const globalSequence = this._globalSequenceMap.get( i );
+		globalSequence.push( { clip, root } );
+
+		if ( this.globalSequences[ i ] > 0 ) clip.duration = this.globalSequences[ i ] / 1000;
+
+		if ( this._globalMixers.has( root ) === false ) {
+
+			this._globalMixers.set( root, new AnimationMixer( root ) );
+
+		}
+
+	}
+
+	addDynamicObject( object ) {
+
+		this._dynamicObjects.push( object );
+
+	}
+
+	addEventToSequence( times, object, i ) {
+
+		const sequence = this.sequences[ i ];
+
+		const key = computeSequenceKey( sequence.id, sequence.variationIndex );
+
+		const events = this._events.get( key );
+		events.push( { times, object } );
+
+	}
+
+	addEventToGlobalSequence( times, object, i ) {
+
+		const events = this._globalEvents.get( i );
+		events.push( { times, object } );
+
+	}
+
+	addExternalTrack( id, subId, externalTimestamps, externalValues, track ) {
+
+		const key = computeSequenceKey( id, subId );
+
+		const data = this._externalSequences.get( key );
+
+		data.push( { externalTimestamps, externalValues, track } );
+
+	}
+
+	isEmbeddedSequence( i ) {
+
+		const sequence = this.sequences[ i ];
+
+		return sequence.flags & M2_SEQUENCE_EMBEDDED_DATA;
+
+	}
+
+	playSequence( id, variationIndex = 0, layer = 0 ) {
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		if ( definition === null ) return;
+
+		if ( layer > 0 ) {
+
+			this._playLayeredSequence( layer, definition );
+
+		} else {
+
+			this._playSequence( definition );
+
+		}
+
+	}
+
+	playRandomSequence( id ) {
+
+		// like the game does for idle fidgets, the next variation is picked based on the frequency of all variations
+
+		const variations = this._getVariations( id );
+
+		if ( variations.length === 0 ) {
+
+			console.warn( 'THREE.M2Loader: Unknown sequence:', id );
+			return;
+
+		}
+
+		const previous = this._randomSequences.get( id );
+		if ( previous !== undefined ) this._stopActions( previous.sequence );
+
+		const state = { variations: variations, sequence: null, time: 0, delay: 0 };
+		this._randomSequences.set( id, state );
+
+		this._playRandomVariation( state );
+
+	}
+
+	stopSequence( id, variationIndex ) {
+
+		// random playback is stopped if no variation or the randomly chosen one is specified
+
+		const state = this._randomSequences.get( id );
+
+		if ( state !== undefined && ( variationIndex === undefined || this._resolveSequence( id, variationIndex ) === state.sequence ) ) {
+
+			this._randomSequences.delete( id );
+			this._stopActions( state.sequence );
+			return;
+
+		}
+
+		const definition = this._resolveSequence( id, ( variationIndex !== undefined ) ? variationIndex : 0 );
+
+		if ( definition === null ) return;
+
+		this._stopActions( definition );
+
+		for ( const layer of this._layers ) {
+
+			if ( layer !== undefined && layer.state !== null && layer.state.sequence === definition ) layer.state = null;
+
+		}
+
+	}
+
+	transitionTo( id, variationIndex = 0, duration = null ) {
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		if ( definition === null ) return;
+
+		const key = computeSequenceKey( definition.id, definition.variationIndex );
+
+		// durations are defined in the M2 asset unless an explicit duration (in seconds) is provided
+
+		const fadeIn = ( duration !== null ) ? duration : definition.blendTimeIn / 1000;
+
+		this._randomSequences.clear();
+
+		for ( const [ activeKey, state ] of this._activeSequences ) {
+
+			if ( activeKey === key ) continue;
+
+			const fadeOut = ( duration !== null ) ? duration : state.sequence.blendTimeOut / 1000;
+
+			this._fadeOutSequence( state.sequence, fadeOut );
+
+		}
+
+		if ( this._activeSequences.has( key ) === false ) this._playSequence( definition, fadeIn );
+
+	}
+
+	stopAllSequences() {
+
+		this._activeSequences.clear();
+		this._randomSequences.clear();
+		this._fadingSequences.clear();
+
+		for ( const mixer of this._mixers.values() ) {
+
+			mixer.stopAllAction();
+
+		}
+
+		for ( const layer of this._layers ) {
+
+			if ( layer !== undefined ) layer.state = null;
+
+		}
+
+	}
+
+	playGlobalSequences() {
+
+		this._globalSequencesActive = true;
+		this._globalSequenceTimes.fill( 0 );
+
+		for ( const globalSequence of this._globalSequenceMap.values() ) {
+
+			for ( const animation of globalSequence ) {
+
+				const mixer = this._globalMixers.get( animation.root );
+				const action = mixer.clipAction( animation.clip );
+				action.play();
+
+			}
+
+		}
+
+	}
+
+	stopGlobalSequences() {
+
+		this._globalSequencesActive = false;
+
+		for ( const globalSequence of this._globalSequenceMap.values() ) {
+
+			for ( const animation of globalSequence ) {
+
+				const mixer = this._globalMixers.get( animation.root );
+				mixer.stopAllAction();
+
+			}
+
+		}
+
+	}
+
+	getDuration( id, variationIndex = 0 ) {
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		return ( definition !== null ) ? definition.duration : 0;
+
+	}
+
+	getGlobalSequenceDuration( index ) {
+
+		return this.globalSequences[ index ] || 0;
+
+	}
+
+	getGlobalSequenceProgress( index ) {
+
+		const duration = this.getGlobalSequenceDuration( index ) / 1000;
+
+		return ( duration > 0 ) ? this._globalSequenceTimes[ index ] / duration : 0;
+
+	}
+
+	getMovespeed( id, variationIndex = 0 ) {
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		return ( definition !== null ) ? definition.movespeed : 0;
+
+	}
+
+	getProgress( id, variationIndex = 0 ) {
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		if ( definition === null ) return 0;
+
+		const state = this._getStates( definition )[ 0 ];
+		const duration = definition.duration / 1000;
+
+		return ( state !== undefined && duration > 0 ) ? state.time / duration : 0;
+
+	}
+
+	isLoopingSequence( id, variationIndex = 0 ) {
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		return ( definition !== null ) ? this._isLooping( definition ) : false;
+
+	}
+
+	listSequences() {
+
+		const list = [];
+
+		for ( const sequence of this.sequences ) {
+
+			if ( sequence.variationIndex > 0 ) continue; // ignore variations
+
+			let name = M2_ANIMATION_LIST[ sequence.id ];
+
+			if ( name === undefined ) {
+
+				console.warn( 'THREE.M2Loader: Unknown animation ID:', sequence.id );
+				name = '';
+
+			}
+
+			list.push( {
+				id: sequence.id,
+				name: name,
+				loop: this.isLoopingSequence( sequence.id ),
+				movespeed: sequence.movespeed
+			} );
+
+		}
+
+		list.sort( compareId );
+
+		return list;
+
+	}
+
+	listVariations( id ) {
+
+		const list = [];
+
+		for ( const sequence of this.sequences ) {
+
+			if ( sequence.id === id ) list.push( sequence.variationIndex );
+
+		}
+
+		list.sort( compareNumber );
+
+		return list;
+
+	}
+
+	hasGlobalSequences() {
+
+		return this.globalSequences.length > 0;
+
+	}
+
+	pause( id = null, variationIndex = 0 ) {
+
+		if ( id === null ) {
+
+			this._paused = true;
+			return;
+
+		}
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		if ( definition === null ) return;
+
+		this._pausedSequences.add( computeSequenceKey( definition.id, definition.variationIndex ) );
+		this._applyTimeScale( definition );
+
+	}
+
+	resume( id = null, variationIndex = 0 ) {
+
+		if ( id === null ) {
+
+			this._paused = false;
+			return;
+
+		}
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		if ( definition === null ) return;
+
+		this._pausedSequences.delete( computeSequenceKey( definition.id, definition.variationIndex ) );
+		this._applyTimeScale( definition );
+
+	}
+
+	setGlobalSequenceTime( index, time ) {
+
+		const duration = this.getGlobalSequenceDuration( index ) / 1000;
+
+		if ( duration === 0 ) return;
+
+		// times are defined in milliseconds like all timestamps of M2 assets
+
+		const t = MathUtils.euclideanModulo( time / 1000, duration );
+
+		this._globalSequenceTimes[ index ] = t;
+
+		for ( const animation of this._globalSequenceMap.get( index ) ) {
+
+			const action = this._globalMixers.get( animation.root ).existingAction( animation.clip );
+
+			if ( action !== null ) action.time = t;
+
+		}
+
+	}
+
+	setLayerMask( layer, bones, recursive = true ) {
+
+		if ( Number.isInteger( layer ) === false || layer < 1 ) {
+
+			console.warn( 'THREE.M2Loader: Invalid layer:', layer );
+			return;
+
+		}
+
+		const data = this._getLayer( layer );
+
+		this._restoreLayers();
+
+		// masks are defined by single bones (e.g. key bones) or by bone subtrees
+
+		data.bones = [];
+
+		for ( const bone of ( Array.isArray( bones ) ? bones : [ bones ] ) ) {
+
+			if ( bone === null ) continue; // key bones which are not defined by the asset
+
+			if ( recursive === true ) {
+
+				bone.traverse( object => {
+
+					if ( object.isBone === true && data.bones.includes( object ) === false ) data.bones.push( object );
+
+				} );
+
+			} else if ( data.bones.includes( bone ) === false ) {
+
+				data.bones.push( bone );
+
+			}
+
+		}
+
+		data.mask = new Map( data.bones.map( bone => [ bone.uuid, bone ] ) );
+		data.poses = data.bones.map( () => ( { position: new Vector3(), quaternion: new Quaternion(), scale: new Vector3() } ) );
+		data.tracks.clear();
+
+	}
+
+	setLayerWeight( layer, weight ) {
+
+		if ( Number.isInteger( layer ) === false || layer < 1 ) {
+
+			console.warn( 'THREE.M2Loader: Invalid layer:', layer );
+			return;
+
+		}
+
+		this._getLayer( layer ).weight = MathUtils.clamp( weight, 0, 1 );
+
+	}
+
+	setTime( id, variationIndex, time ) {
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		if ( definition === null ) return;
+
+		const states = this._getStates( definition );
+
+		if ( states.length === 0 ) {
+
+			console.warn( 'THREE.M2Loader: Sequence is not playing:', id, variationIndex );
+			return;
+
+		}
+
+		// times are defined in milliseconds like all timestamps of M2 assets
+
+		const duration = definition.duration / 1000;
+
+		let t = Math.max( time / 1000, 0 );
+
+		if ( duration > 0 ) t = this._isLooping( definition ) ? t % duration : Math.min( t, duration );
+
+		for ( const state of states ) {
+
+			state.time = t;
+			state.finished = false;
+
+		}
+
+		// external sequences which are not loaded yet have no actions. they start at the time of the sequence when loaded
+
+		for ( const animation of this._sequenceMap.get( computeSequenceKey( definition.id, definition.variationIndex ) ) ) {
+
+			const action = this._mixers.get( animation.root ).existingAction( animation.clip );
+
+			if ( action !== null ) {
+
+				action.time = t;
+				action.paused = false; // finished one-shot sequences are paused
+
+			}
+
+		}
+
+	}
+
+	setLooping( id, loop ) {
+
+		// overrides the loop state of all variations of the given animation, null restores the default
+
+		if ( loop === null ) {
+
+			this._loops.delete( id );
+
+		} else {
+
+			this._loops.set( id, loop );
+
+		}
+
+		for ( const definition of this._getVariations( id ) ) {
+
+			const looping = this._isLooping( definition );
+
+			for ( const state of this._getStates( definition ) ) {
+
+				state.loop = looping;
+				if ( looping === true ) state.finished = false;
+
+			}
+
+			for ( const animation of this._sequenceMap.get( computeSequenceKey( definition.id, definition.variationIndex ) ) ) {
+
+				const action = this._mixers.get( animation.root ).existingAction( animation.clip );
+
+				if ( action !== null ) {
+
+					action.setLoop( looping ? LoopRepeat : LoopOnce );
+					action.clampWhenFinished = ( looping === false );
+					if ( looping === true ) action.paused = false; // finished one-shot sequences are paused
+
+				}
+
+			}
+
+		}
+
+	}
+
+	setTimeScale( id, variationIndex, timeScale ) {
+
+		const definition = this._resolveSequence( id, variationIndex );
+
+		if ( definition === null ) return;
+
+		this._timeScales.set( computeSequenceKey( definition.id, definition.variationIndex ), timeScale );
+		this._applyTimeScale( definition );
+
+	}
+
+	setRootMotion( enabled = true, object = null ) {
+
+		// locomotion sequences are animated in place, the movement is defined by the movespeed of the sequence
+
+		this._rootMotion = enabled;
+		this._rootMotionObject = object;
+
+	}
+
+	update( delta ) {
+
+		// a paused manager is still updated so times which have been set in the meanwhile are applied
+
+		delta = ( this._paused === true ) ? 0 : delta * this.timeScale;
+
+		this._restoreLayers();
+		this._updateFadingSequences( delta );
+		this._updateRandomSequences( delta );
+
+		for ( const mixer of this._mixers.values() ) {
+
+			mixer.update( delta );
+
+		}
+
+		for ( const mixer of this._globalMixers.values() ) {
+
+			mixer.update( delta );
+
+		}
+
+		this._updateEvents( delta );
+		this._updateLayers();
+
+		if ( this._rootMotion === true ) this._updateRootMotion( delta );
+
+		// dynamic objects are updated last so they use the current state of their animated properties
+
+		for ( const object of this._dynamicObjects ) {
+
+			object.update( delta );
+
+		}
+
+	}
+
+	_applyTimeScale( definition ) {
+
+		const timeScale = this._getTimeScale( definition );
+
+		for ( const animation of this._sequenceMap.get( computeSequenceKey( definition.id, definition.variationIndex ) ) ) {
+
+			const action = this._mixers.get( animation.root ).existingAction( animation.clip );
+
+			if ( action !== null ) action.timeScale = timeScale;
+
+		}
+
+	}
+
+	_advanceSequence( state, delta ) {
+
+		const sequence = state.sequence;
+		const duration = sequence.duration / 1000;
+
+		if ( state.finished === true ) return;
+
+		const from = state.time;
+		let to = from + delta * this._getTimeScale( sequence );
+		let loops = 0;
+
+		if ( duration > 0 && to >= duration ) {
+
+			// variations of a random playback are not wrapped, they are restarted when the replay delay has elapsed
+
+			if ( state.loop === true && state.random !== true ) {
+
+				loops = Math.floor( to / duration );
+				to %= duration;
+
+			} else {
+
+				to = duration;
+				state.finished = true;
+
+			}
+
+		}
+
+		state.time = to;
+
+		const key = computeSequenceKey( sequence.id, sequence.variationIndex );
+
+		// the event times of external sequences are placeholders until the .anim file has been loaded
+
+		if ( this._externalSequencesInitialized.get( key ) !== false ) {
+
+			this._dispatchEvents( this._events.get( key ), from, to, loops, sequence, state.finished );
+
+		}
+
+		if ( state.finished === true && state.loop === false ) {
+
+			this.dispatchEvent( { type: 'finished', sequence: sequence } );
+
+		}
+
+	}
+
+	_dispatchEvents( events, from, to, loops, sequence, finished = false ) {
+
+		for ( const event of events ) {
+
+			const object = event.object;
+
+			for ( const time of event.times ) {
+
+				// the interval [from,to) wraps around when the sequence has been looped. events are fired once per crossed loop.
+				// the end of a finished sequence is included so events at its last frame (e.g. $DTH) are fired as well
+
+				let count;
+
+				if ( loops > 0 ) {
+
+					count = ( loops - 1 ) + ( ( time >= from ) ? 1 : 0 ) + ( ( time < to ) ? 1 : 0 );
+
+				} else {
+
+					count = ( time >= from && ( time < to || finished === true ) ) ? 1 : 0;
+
+				}
+
+				for ( let i = 0; i < count; i ++ ) {
+
+					const data = {
+						id: object.identifier,
+						data: object.data,
+						bone: ( object.parent !== null && object.parent.isBone === true ) ? object.parent : null,
+						position: object.getWorldPosition( new Vector3() ),
+						sequence: sequence
+					};
+
+					this.dispatchEvent( { type: object.identifier, ...data } );
+					this.dispatchEvent( { type: 'event', ...data } );
+
+				}
+
+			}
+
+		}
+
+	}
+
+	_fadeOutSequence( definition, duration ) {
+
+		const key = computeSequenceKey( definition.id, definition.variationIndex );
+
+		this._activeSequences.delete( key );
+
+		if ( duration <= 0 ) {
+
+			this._stopActions( definition );
+			return;
+
+		}
+
+		for ( const animation of this._sequenceMap.get( key ) ) {
+
+			const action = this._mixers.get( animation.root ).existingAction( animation.clip );
+
+			if ( action !== null ) action.fadeOut( duration );
+
+		}
+
+		// the actions are stopped when the fade out has been completed
+
+		this._fadingSequences.set( key, { sequence: definition, time: duration } );
+
+	}
+
+	_getAnimationChunk( chunks, id, offset, byteLength, sequenceId, subSequenceId ) {
+
+		const chunk = chunks.get( id );
+
+		if ( chunk === undefined ) {
+
+			throw new Error( 'THREE.M2Loader: Animation file of sequence ' + computeSequenceKey( sequenceId, subSequenceId ) + ' has no ' + id + ' chunk.' );
+
+		}
+
+		if ( offset + byteLength > chunk.size ) {
+
+			throw new Error( 'THREE.M2Loader: Keyframes of sequence ' + computeSequenceKey( sequenceId, subSequenceId ) + ' exceed the ' + id + ' data of the animation file.' );
+
+		}
+
+		return chunk;
+
+	}
+
+	_getAnimationPath( id, variationIndex ) {
+
+		// chunked assets reference .anim files by their FileDataID
+
+		const fileDataID = this.animationFileDataIDs.get( computeSequenceKey( id, variationIndex ) );
+
+		if ( fileDataID !== undefined ) return this.resourcePath + fileDataID + '.anim';
+
+		const sequenceId = id.toString().padStart( 4, '0' );
+		const subSequenceId = variationIndex.toString().padStart( 2, '0' );
+
+		return this.resourcePath + this.filename + sequenceId + '-' + subSequenceId + '.anim';
+
+	}
+
+	_getLayer( index ) {
+
+		let layer = this._layers[ index ];
+
+		if ( layer === undefined ) {
+
+			layer = { bones: [], mask: new Map(), poses: [], weight: 1, state: null, tracks: new Map(), applied: false };
+			this._layers[ index ] = layer;
+
+		}
+
+		return layer;
+
+	}
+
+	_getLayerTracks( layer, key ) {
+
+		let tracks = layer.tracks.get( key );
+
+		if ( tracks === undefined ) {
+
+			tracks = [];
+
+			// layers only evaluate the tracks of their masked bones
+
+			for ( const animation of this._sequenceMap.get( key ) ) {
+
+				for ( const track of animation.clip.tracks ) {
+
+					const [ uuid, property ] = track.name.split( '.' );
+
+					const bone = layer.mask.get( uuid );
+
+					if ( bone === undefined ) continue;
+
+					tracks.push( { bone: bone, property: property, interpolant: track.createInterpolant() } );
+
+				}
+
+			}
+
+			layer.tracks.set( key, tracks );
+
+		}
+
+		return tracks;
+
+	}
+
+	_getStates( definition ) {
+
+		// a sequence can be played on the base layer and on masked layers at the same time
+
+		const states = [];
+
+		const state = this._activeSequences.get( computeSequenceKey( definition.id, definition.variationIndex ) );
+
+		if ( state !== undefined ) states.push( state );
+
+		for ( const layer of this._layers ) {
+
+			if ( layer !== undefined && layer.state !== null && layer.state.sequence === definition ) states.push( layer.state );
+
+		}
+
+		return states;
+
+	}
+
+	_getTimeScale( definition ) {
+
+		const key = computeSequenceKey( definition.id, definition.variationIndex );
+
+		if ( this._pausedSequences.has( key ) ) return 0;
+
+		const timeScale = this._timeScales.get( key );
+
+		return ( timeScale !== undefined ) ? timeScale : 1;
+
+	}
+
+	_getVariations( id ) {
+
+		// variations of a sequence are chained via their indices, starting with the primary variation
+
+		const variations = [];
+
+		let definition = this._sequenceDefinitionMap.get( computeSequenceKey( id, 0 ) );
+
+		while ( definition !== undefined && variations.includes( definition ) === false ) {
+
+			variations.push( definition );
+
+			definition = this.sequences[ definition.variationNext ]; // undefined for the last variation (-1)
+
+		}
+
+		// robustness: variations which are not part of the chain are appended
+
+		for ( const sequence of this.sequences ) {
+
+			if ( sequence.id === id && variations.includes( sequence ) === false ) variations.push( sequence );
+
+		}
+
+		return variations;
+
+	}
+
+	_isLooping( definition ) {
+
+		const loop = this._loops.get( definition.id );
+
+		if ( loop !== undefined ) return loop;
+
+		// sequences with a replay range are repeated
+
+		if ( definition.replay.maximum > 0 ) return true;
+
+		// M2 assets have no flag for one-shot sequences so they are identified by their animation (heuristic)
+
+		return M2_ONE_SHOT_ANIMATIONS.includes( M2_ANIMATION_LIST[ definition.id ] ) === false;
+
+	}
+
+	_loadExternalSequence( definition ) {
+
+		const key = computeSequenceKey( definition.id, definition.variationIndex );
+
+		// all animations of a sequence share the same .anim file so it is only requested once
+
+		let promise = this._externalSequencePromises.get( key );
+
+		if ( promise === undefined ) {
+
+			const path = this._getAnimationPath( definition.id, definition.variationIndex );
+
+			promise = fetch( path ).then( ( response ) => {
+
+				if ( response.ok === false ) {
+
+					throw new Error( 'THREE.M2Loader: Unable to load animation file. HTTP error, response status: ' + response.status );
+
+				}
+
+				return response.arrayBuffer();
+
+			} ).then( ( buffer ) => {
+
+				this._updateKeyframes( definition.id, definition.variationIndex, buffer );
+				this._externalSequencesInitialized.set( key, true );
+
+			} ).catch( ( error ) => {
+
+				this._externalSequencePromises.delete( key ); // allows a retry the next time the sequence is played
+				throw error;
+
+			} );
+
+			this._externalSequencePromises.set( key, promise );
+
+		}
+
+		return promise;
+
+	}
+
+	_onLoadError( definition, error ) {
+
+		// failed .anim files are reported via an error event. without listeners, the error is logged instead
+
+		const listeners = ( this._listeners !== undefined ) ? this._listeners.error : undefined;
+
+		if ( listeners !== undefined && listeners.length > 0 ) {
+
+			this.dispatchEvent( { type: 'error', sequence: definition, error: error } );
+
+		} else {
+
+			console.error( error );
+
+		}
+
+	}
+
+	_playAction( mixer, clip, fadeIn, state ) {
+
+		const action = mixer.clipAction( clip );
+
+		// one-shot sequences stop on their last frame
+
+		action.setLoop( state.loop ? LoopRepeat : LoopOnce );
+		action.clampWhenFinished = ( state.loop === false );
+		action.timeScale = this._getTimeScale( state.sequence );
+
+		if ( action.isRunning() === false ) {
+
+			action.reset();
+			action.time = state.time; // external sequences start delayed, the time of the sequence might have been advanced or set in the meanwhile
+
+		}
+
+		action.play();
+
+		if ( fadeIn > 0 ) action.fadeIn( fadeIn );
+
+	}
+
+	_playLayeredSequence( index, definition ) {
+
+		const layer = this._getLayer( index );
+
+		if ( layer.bones.length === 0 ) console.warn( 'THREE.M2Loader: No bone mask defined for layer:', index );
+
+		// a layer plays only one sequence at a time. it is evaluated with the time of the sequence, not with a mixer
+
+		layer.state = { sequence: definition, time: 0, loop: this._isLooping( definition ), finished: false };
+
+		const key = computeSequenceKey( definition.id, definition.variationIndex );
+
+		if ( this._externalSequencesInitialized.get( key ) === false ) {
+
+			this._loadExternalSequence( definition ).catch( ( error ) => this._onLoadError( definition, error ) );
+
+		}
+
+	}
+
+	_playRandomVariation( state ) {
+
+		const variations = state.variations;
+
+		let total = 0;
+
+		for ( const variation of variations ) total += variation.frequency;
+
+		// without frequencies, all variations are equally likely
+
+		let sequence = variations[ 0 ];
+
+		if ( total > 0 ) {
+
+			let r = Math.random() * total;
+
+			for ( const variation of variations ) {
+
+				r -= variation.frequency;
+
+				if ( r < 0 ) {
+
+					sequence = variation;
+					break;
+
+				}
+
+			}
+
+		} else {
+
+			sequence = variations[ Math.floor( Math.random() * variations.length ) ];
+
+		}
+
+		const replay = sequence.replay;
+
+		state.sequence = this._resolveSequence( sequence.id, sequence.variationIndex );
+		state.time = 0;
+		state.delay = MathUtils.randInt( Math.min( replay.minimum, replay.maximum ), Math.max( replay.minimum, replay.maximum ) ) / 1000;
+
+		this._playSequence( state.sequence );
+
+		this._activeSequences.get( computeSequenceKey( state.sequence.id, state.sequence.variationIndex ) ).random = true;
+
+	}
+
+	_playSequence( definition, fadeIn = 0 ) {
+
+		const id = definition.id;
+		const variationIndex = definition.variationIndex;
+
+		const key = computeSequenceKey( id, variationIndex );
+
+		const sequence = this._sequenceMap.get( key );
+
+		// sequences which are still fading out are restarted
+
+		if ( this._fadingSequences.has( key ) ) {
+
+			this._fadingSequences.delete( key );
+			this._stopActions( definition );
+
+		}
+
+		const state = { sequence: definition, time: 0, loop: this._isLooping( definition ), finished: false };
+
+		this._activeSequences.set( key, state );
+
+		const externalAnimations = [];
+
+		for ( const animation of sequence ) {
+
+			if ( ( animation.flags & M2_SEQUENCE_EMBEDDED_DATA ) || this._externalSequencesInitialized.get( key ) === true ) {
+
+				this._playAction( this._mixers.get( animation.root ), animation.clip, fadeIn, state );
+
+			} else {
+
+				externalAnimations.push( animation );
+
+			}
+
+		}
+
+		if ( externalAnimations.length > 0 ) {
+
+			this._loadExternalSequence( definition ).then( () => {
+
+				for ( const animation of externalAnimations ) {
+
+					if ( definition.duration === 0 ) animation.clip.resetDuration();
+
+					// the sequence might have been stopped or replaced in the meanwhile
+
+					if ( this._activeSequences.get( key ) === state ) this._playAction( this._mixers.get( animation.root ), animation.clip, fadeIn, state );
+
+				}
+
+			} ).catch( ( error ) => this._onLoadError( definition, error ) );
+
+		}
+
+	}
+
+	_readAnimationChunks( buffer, sequenceId, subSequenceId ) {
+
+		const parser = new BinaryParser( buffer );
+		const chunks = new Map();
+
+		const magic = ( buffer.byteLength >= 8 ) ? parser.readString( 4 ) : '';
+
+		if ( M2_ANIMATION_CHUNKS.includes( magic ) === false ) {
+
+			// older .anim files hold the raw keyframe data, offsets are relative to the file
+
+			chunks.set( 'AFM2', { parser: new BinaryParser( buffer ), size: buffer.byteLength } );
+
+			return chunks;
+
+		}
+
+		// newer .anim files are chunked. AFM2 holds the keyframes of the M2, AFSA and AFSB the keyframes of the attachments and bones of .skel files
+
+		parser.offset = 0;
+
+		while ( parser.offset < buffer.byteLength ) {
+
+			const id = parser.readString( 4 );
+			const size = parser.readUInt32();
+
+			if ( M2_ANIMATION_CHUNKS.includes( id ) === false || parser.offset + size > buffer.byteLength ) {
+
+				throw new Error( 'THREE.M2Loader: Invalid chunk ' + id + ' in animation file of sequence ' + computeSequenceKey( sequenceId, subSequenceId ) + '.' );
+
+			}
+
+			const chunkParser = new BinaryParser( buffer );
+			chunkParser.chunkOffset = parser.offset; // offsets inside chunks are relative to the chunk
+
+			chunks.set( id, { parser: chunkParser, size } );
+
+			parser.offset += size;
+
+		}
+
+		return chunks;
+
+	}
+
+	_resolveSequence( id, variationIndex ) {
+
+		let definition = this._sequenceDefinitionMap.get( computeSequenceKey( id, variationIndex ) );
+
+		if ( definition === undefined ) {
+
+			console.warn( 'THREE.M2Loader: Unknown sequence:', id, variationIndex );
+			return null;
+
+		}
+
+		// alias sequences have no data of their own, they refer to other sequences
+
+		let count = 0;
+
+		while ( ( definition.flags & M2_SEQUENCE_ALIAS ) && count < this.sequences.length ) {
+
+			const target = this.sequences[ definition.aliasNext ];
+
+			if ( target === undefined ) break;
+
+			definition = target;
+			count ++;
+
+		}
+
+		return definition;
+
+	}
+
+	_restoreLayers() {
+
+		// mixers only write values which have changed so the pose of the lower layers is restored before they are updated.
+		// layers are restored in reverse order since masks can overlap
+
+		for ( let i = this._layers.length - 1; i > 0; i -- ) {
+
+			const layer = this._layers[ i ];
+
+			if ( layer === undefined || layer.applied === false ) continue;
+
+			for ( let j = 0; j < layer.bones.length; j ++ ) {
+
+				const bone = layer.bones[ j ];
+				const pose = layer.poses[ j ];
+
+				bone.position.copy( pose.position );
+				bone.quaternion.copy( pose.quaternion );
+				bone.scale.copy( pose.scale );
+
+			}
+
+			layer.applied = false;
+
+		}
+
+	}
+
+	_stopActions( definition ) {
+
+		const key = computeSequenceKey( definition.id, definition.variationIndex );
+
+		this._activeSequences.delete( key );
+
+		for ( const animation of this._sequenceMap.get( key ) ) {
+
+			const mixer = this._mixers.get( animation.root );
+			const action = mixer.existingAction( animation.clip );
+
+			if ( action !== null ) action.stop();
+
+		}
+
+	}
+
+	_updateEvents( delta ) {
+
+		for ( const state of this._activeSequences.values() ) {
+
+			this._advanceSequence( state, delta );
+
+		}
+
+		for ( const layer of this._layers ) {
+
+			if ( layer !== undefined && layer.state !== null ) this._advanceSequence( layer.state, delta );
+
+		}
+
+		if ( this._globalSequencesActive === true ) {
+
+			for ( let i = 0; i < this.globalSequences.length; i ++ ) {
+
+				const duration = this.globalSequences[ i ] / 1000;
+
+				const from = this._globalSequenceTimes[ i ];
+				let to = from + delta;
+				let loops = 0;
+
+				if ( duration > 0 && to >= duration ) {
+
+					loops = Math.floor( to / duration );
+					to %= duration;
+
+				}
+
+				this._globalSequenceTimes[ i ] = to;
+
+				this._dispatchEvents( this._globalEvents.get( i ), from, to, loops, null );
+
+			}
+
+		}
+
+	}
+
+	_updateFadingSequences( delta ) {
+
+		for ( const [ key, state ] of this._fadingSequences ) {
+
+			state.time -= delta;
+
+			if ( state.time <= 0 ) {
+
+				this._fadingSequences.delete( key );
+				this._stopActions( state.sequence );
+
+			}
+
+		}
+
+	}
+
+	_updateRootMotion( delta ) {
+
+		// the displacement is the weighted movespeed of all playing sequences along the forward axis (x) of the asset
+
+		let speed = 0;
+
+		for ( const state of [ ...this._activeSequences.values(), ...this._fadingSequences.values() ] ) {
+
+			const sequence = state.sequence;
+
+			if ( sequence.movespeed === 0 || state.finished === true ) continue;
+
+			const animation = this._sequenceMap.get( computeSequenceKey( sequence.id, sequence.variationIndex ) )[ 0 ];
+			const action = ( animation !== undefined ) ? this._mixers.get( animation.root ).existingAction( animation.clip ) : null;
+
+			speed += sequence.movespeed * this._getTimeScale( sequence ) * ( ( action !== null ) ? action.getEffectiveWeight() : 1 );
+
+		}
+
+		const displacement = this._displacement.set( speed * delta, 0, 0 );
+
+		this.dispatchEvent( { type: 'rootmotion', displacement: displacement, delta: delta } );
+
+		const object = this._rootMotionObject;
+
+		if ( object !== null ) {
+
+			_vector.copy( displacement ).multiply( object.scale ).applyQuaternion( object.quaternion );
+			object.position.add( _vector );
+
+		}
+
+	}
+
+	_updateKeyframes( sequenceId, subSequenceId, buffer ) {
+
+		const data = this._externalSequences.get( computeSequenceKey( sequenceId, subSequenceId ) );
+
+		const chunks = this._readAnimationChunks( buffer, sequenceId, subSequenceId );
+
+		for ( let keyframes of data ) {
+
+			// times
+
+			let length = keyframes.externalTimestamps.length;
+			let offset = keyframes.externalTimestamps.offset;
+			let chunk = this._getAnimationChunk( chunks, keyframes.externalTimestamps.chunk, offset, length * 4, sequenceId, subSequenceId );
+
+			extractTimestamps( chunk.parser, length, offset, keyframes.track.times );
+
+			// values
+
+			if ( keyframes.externalValues === null ) continue; // timestamp-only tracks (e.g. events)
+
+			length = keyframes.externalValues.length;
+			offset = keyframes.externalValues.offset;
+			const type = keyframes.externalValues.type;
+			const itemSize = keyframes.externalValues.itemSize;
+			chunk = this._getAnimationChunk( chunks, keyframes.externalValues.chunk, offset, length * getItemByteSize( type ), sequenceId, subSequenceId );
 
-const M2_SEQUENCE_EMBEDDED_DATA = 0x20;
+			extractValues( chunk.parser, length, offset, type, itemSize, keyframes.track.values );
 
-const M2_TEX_COMPONENT_MONSTER_1 = 11;
-const M2_TEX_COMPONENT_MONSTER_2 = 12;
-const M2_TEX_COMPONENT_MONSTER_3 = 13;
+			if ( keyframes.externalValues.conversion !== undefined ) {
 
-const M2_ANIMATION_LIST = [ "Stand", "Death", "Spell", "Stop", "Walk", "Run", "Dead", "Rise", "StandWound", "CombatWound", "CombatCritical", "ShuffleLeft", "ShuffleRight", "Walkbackwards", "Stun", "HandsClosed", "AttackUnarmed", "Attack1H", "Attack2H", "Attack2HL", "ParryUnarmed", "Parry1H", "Parry2H", "Parry2HL", "ShieldBlock", "ReadyUnarmed", "Ready1H", "Ready2H", "Ready2HL", "ReadyBow", "Dodge", "SpellPrecast", "SpellCast", "SpellCastArea", "NPCWelcome", "NPCGoodbye", "Block", "JumpStart", "Jump", "JumpEnd", "Fall", "SwimIdle", "Swim", "SwimLeft", "SwimRight", "SwimBackwards", "AttackBow", "FireBow", "ReadyRifle", "AttackRifle", "Loot", "ReadySpellDirected", "ReadySpellOmni", "SpellCastDirected", "SpellCastOmni", "BattleRoar", "ReadyAbility", "Special1H", "Special2H", "ShieldBash", "EmoteTalk", "EmoteEat", "EmoteWork", "EmoteUseStanding", "EmoteTalkExclamation", "EmoteTalkQuestion", "EmoteBow", "EmoteWave", "EmoteCheer", "EmoteDance", "EmoteLaugh", "EmoteSleep", "EmoteSitGround", "EmoteRude", "EmoteRoar", "EmoteKneel", "EmoteKiss", "EmoteCry", "EmoteChicken", "EmoteBeg", "EmoteApplaud", "EmoteShout", "EmoteFlex", "EmoteShy", "EmotePoint", "Attack1HPierce", "Attack2HLoosePierce", "AttackOff", "AttackOffPierce", "Sheath", "HipSheath", "Mount", "RunRight", "RunLeft", "MountSpecial", "Kick", "SitGroundDown", "SitGround", "SitGroundUp", "SleepDown", "Sleep", "SleepUp", "SitChairLow", "SitChairMed", "SitChairHigh", "LoadBow", "LoadRifle", "AttackThrown", "ReadyThrown", "HoldBow", "HoldRifle", "HoldThrown", "LoadThrown", "EmoteSalute", "KneelStart", "KneelLoop", "KneelEnd", "AttackUnarmedOff", "SpecialUnarmed", "StealthWalk", "StealthStand", "Knockdown", "EatingLoop", "UseStandingLoop", "ChannelCastDirected", "ChannelCastOmni", "Whirlwind", "Birth", "UseStandingStart", "UseStandingEnd", "CreatureSpecial", "Drown", "Drowned", "FishingCast", "FishingLoop", "Fly", "EmoteWorkNoSheathe", "EmoteStunNoSheathe", "EmoteUseStandingNoSheathe", "SpellSleepDown", "SpellKneelStart", "SpellKneelLoop", "SpellKneelEnd", "Sprint", "InFlight", "Spawn", "Close", "Closed", "Open", "Opened", "Destroy", "Destroyed", "Rebuild", "Custom0", "Custom1", "Custom2", "Custom3", "Despawn", "Hold", "Decay", "BowPull", "BowRelease", "ShipStart", "ShipMoving", "ShipStop", "GroupArrow", "Arrow", "CorpseArrow", "GuideArrow", "Sway", "DruidCatPounce", "DruidCatRip", "DruidCatRake", "DruidCatRavage", "DruidCatClaw", "DruidCatCower", "DruidBearSwipe", "DruidBearBite", "DruidBearMaul", "DruidBearBash", "DragonTail", "DragonStomp", "DragonSpit", "DragonSpitHover", "DragonSpitFly", "EmoteYes", "EmoteNo", "JumpLandRun", "LootHold", "LootUp", "StandHigh", "Impact", "LiftOff", "Hover", "SuccubusEntice", "EmoteTrain", "EmoteDead", "EmoteDanceOnce", "Deflect", "EmoteEatNoSheathe", "Land", "Submerge", "Submerged", "Cannibalize", "ArrowBirth", "GroupArrowBirth", "CorpseArrowBirth", "GuideArrowBirth", "EmoteTalkNoSheathe", "EmotePointNoSheathe", "EmoteSaluteNoSheathe", "EmoteDanceSpecial", "Mutilate", "CustomSpell01", "CustomSpell02", "CustomSpell03", "CustomSpell04", "CustomSpell05", "CustomSpell06", "CustomSpell07", "CustomSpell08", "CustomSpell09", "CustomSpell10", "StealthRun", "Emerge", "Cower", "Grab", "GrabClosed", "GrabThrown", "FlyStand", "FlyDeath", "FlySpell", "FlyStop", "FlyWalk", "FlyRun", "FlyDead", "FlyRise", "FlyStandWound", "FlyCombatWound", "FlyCombatCritical", "FlyShuffleLeft", "FlyShuffleRight", "FlyWalkbackwards", "FlyStun", "FlyHandsClosed", "FlyAttackUnarmed", "FlyAttack1H", "FlyAttack2H", "FlyAttack2HL", "FlyParryUnarmed", "FlyParry1H", "FlyParry2H", "FlyParry2HL", "FlyShieldBlock", "FlyReadyUnarmed", "FlyReady1H", "FlyReady2H", "FlyReady2HL", "FlyReadyBow", "FlyDodge", "FlySpellPrecast", "FlySpellCast", "FlySpellCastArea", "FlyNPCWelcome", "FlyNPCGoodbye", "FlyBlock", "FlyJumpStart", "FlyJump", "FlyJumpEnd", "FlyFall", "FlySwimIdle", "FlySwim", "FlySwimLeft", "FlySwimRight", "FlySwimBackwards", "FlyAttackBow", "FlyFireBow", "FlyReadyRifle", "FlyAttackRifle", "FlyLoot", "FlyReadySpellDirected", "FlyReadySpellOmni", "FlySpellCastDirected", "FlySpellCastOmni", "FlyBattleRoar", "FlyReadyAbility", "FlySpecial1H", "FlySpecial2H", "FlyShieldBash", "FlyEmoteTalk", "FlyEmoteEat", "FlyEmoteWork", "FlyEmoteUseStanding", "FlyEmoteTalkExclamation", "FlyEmoteTalkQuestion", "FlyEmoteBow", "FlyEmoteWave", "FlyEmoteCheer", "FlyEmoteDance", "FlyEmoteLaugh", "FlyEmoteSleep", "FlyEmoteSitGround", "FlyEmoteRude", "FlyEmoteRoar", "FlyEmoteKneel", "FlyEmoteKiss", "FlyEmoteCry", "FlyEmoteChicken", "FlyEmoteBeg", "FlyEmoteApplaud", "FlyEmoteShout", "FlyEmoteFlex", "FlyEmoteShy", "FlyEmotePoint", "FlyAttack1HPierce", "FlyAttack2HLoosePierce", "FlyAttackOff", "FlyAttackOffPierce", "FlySheath", "FlyHipSheath", "FlyMount", "FlyRunRight", "FlyRunLeft", "FlyMountSpecial", "FlyKick", "FlySitGroundDown", "FlySitGround", "FlySitGroundUp", "FlySleepDown", "FlySleep", "FlySleepUp", "FlySitChairLow", "FlySitChairMed", "FlySitChairHigh", "FlyLoadBow", "FlyLoadRifle", "FlyAttackThrown", "FlyReadyThrown", "FlyHoldBow", "FlyHoldRifle", "FlyHoldThrown", "FlyLoadThrown", "FlyEmoteSalute", "FlyKneelStart", "FlyKneelLoop", "FlyKneelEnd", "FlyAttackUnarmedOff", "FlySpecialUnarmed", "FlyStealthWalk", "FlyStealthStand", "FlyKnockdown", "FlyEatingLoop", "FlyUseStandingLoop", "FlyChannelCastDirected", "FlyChannelCastOmni", "FlyWhirlwind", "FlyBirth", "FlyUseStandingStart", "FlyUseStandingEnd", "FlyCreatureSpecial", "FlyDrown", "FlyDrowned", "FlyFishingCast", "FlyFishingLoop", "FlyFly",
-	"FlyEmoteWorkNoSheathe", "FlyEmoteStunNoSheathe", "FlyEmoteUseStandingNoSheathe", "FlySpellSleepDown", "FlySpellKneelStart", "FlySpellKneelLoop", "FlySpellKneelEnd", "FlySprint", "FlyInFlight", "FlySpawn", "FlyClose", "FlyClosed", "FlyOpen", "FlyOpened", "FlyDestroy", "FlyDestroyed", "FlyRebuild", "FlyCustom0", "FlyCustom1", "FlyCustom2", "FlyCustom3", "FlyDespawn", "FlyHold", "FlyDecay", "FlyBowPull", "FlyBowRelease", "FlyShipStart", "FlyShipMoving", "FlyShipStop", "FlyGroupArrow", "FlyArrow", "FlyCorpseArrow", "FlyGuideArrow", "FlySway", "FlyDruidCatPounce", "FlyDruidCatRip", "FlyDruidCatRake", "FlyDruidCatRavage", "FlyDruidCatClaw", "FlyDruidCatCower", "FlyDruidBearSwipe", "FlyDruidBearBite", "FlyDruidBearMaul", "FlyDruidBearBash", "FlyDragonTail", "FlyDragonStomp", "FlyDragonSpit", "FlyDragonSpitHover", "FlyDragonSpitFly", "FlyEmoteYes", "FlyEmoteNo", "FlyJumpLandRun", "FlyLootHold", "FlyLootUp", "FlyStandHigh", "FlyImpact", "FlyLiftOff", "FlyHover", "FlySuccubusEntice", "FlyEmoteTrain", "FlyEmoteDead", "FlyEmoteDanceOnce", "FlyDeflect", "FlyEmoteEatNoSheathe", "FlyLand", "FlySubmerge", "FlySubmerged", "FlyCannibalize", "FlyArrowBirth", "FlyGroupArrowBirth", "FlyCorpseArrowBirth", "FlyGuideArrowBirth", "FlyEmoteTalkNoSheathe", "FlyEmotePointNoSheathe", "FlyEmoteSaluteNoSheathe", "FlyEmoteDanceSpecial", "FlyMutilate", "FlyCustomSpell01", "FlyCustomSpell02", "FlyCustomSpell03", "FlyCustomSpell04", "FlyCustomSpell05", "FlyCustomSpell06", "FlyCustomSpell07", "FlyCustomSpell08", "FlyCustomSpell09", "FlyCustomSpell10", "FlyStealthRun", "FlyEmerge", "FlyCower", "FlyGrab", "FlyGrabClosed", "FlyGrabThrown", "ToFly", "ToHover", "ToGround", "FlyToFly", "FlyToHover", "FlyToGround", "Settle", "FlySettle", "DeathStart", "DeathLoop", "DeathEnd", "FlyDeathStart", "FlyDeathLoop", "FlyDeathEnd", "DeathEndHold", "FlyDeathEndHold", "Strangulate", "FlyStrangulate", "ReadyJoust", "LoadJoust", "HoldJoust", "FlyReadyJoust", "FlyLoadJoust", "FlyHoldJoust", "AttackJoust", "FlyAttackJoust", "ReclinedMount", "FlyReclinedMount", "ToAltered", "FromAltered", "FlyToAltered", "FlyFromAltered", "InStocks", "FlyInStocks", "VehicleGrab", "VehicleThrow", "FlyVehicleGrab", "FlyVehicleThrow", "ToAlteredPostSwap", "FromAlteredPostSwap", "FlyToAlteredPostSwap", "FlyFromAlteredPostSwap", "ReclinedMountPassenger", "FlyReclinedMountPassenger", "Carry2H", "Carried2H", "FlyCarry2H", "FlyCarried2H", "EmoteSniff", "EmoteFlySniff", "AttackFist1H", "FlyAttackFist1H", "AttackFist1HOff", "FlyAttackFist1HOff", "ParryFist1H", "FlyParryFist1H", "ReadyFist1H", "FlyReadyFist1H", "SpecialFist1H", "FlySpecialFist1H", "EmoteReadStart", "FlyEmoteReadStart", "EmoteReadLoop", "FlyEmoteReadLoop", "EmoteReadEnd", "FlyEmoteReadEnd", "SwimRun", "FlySwimRun", "SwimWalk", "FlySwimWalk", "SwimWalkBackwards", "FlySwimWalkBackwards", "SwimSprint", "FlySwimSprint", "MountSwimIdle", "FlyMountSwimIdle", "MountSwimBackwards", "FlyMountSwimBackwards", "MountSwimLeft", "FlyMountSwimLeft", "MountSwimRight", "FlyMountSwimRight", "MountSwimRun", "FlyMountSwimRun", "MountSwimSprint", "FlyMountSwimSprint", "MountSwimWalk", "FlyMountSwimWalk", "MountSwimWalkBackwards", "FlyMountSwimWalkBackwards", "MountFlightIdle", "FlyMountFlightIdle", "MountFlightBackwards", "FlyMountFlightBackwards", "MountFlightLeft", "FlyMountFlightLeft", "MountFlightRight", "FlyMountFlightRight", "MountFlightRun", "FlyMountFlightRun", "MountFlightSprint", "FlyMountFlightSprint", "MountFlightWalk", "FlyMountFlightWalk", "MountFlightWalkBackwards", "FlyMountFlightWalkBackwards", "MountFlightStart", "FlyMountFlightStart", "MountSwimStart", "FlyMountSwimStart", "MountSwimLand", "FlyMountSwimLand", "MountSwimLandRun", "FlyMountSwimLandRun", "MountFlightLand", "FlyMountFlightLand", "MountFlightLandRun", "FlyMountFlightLandRun", "ReadyBlowDart", "FlyReadyBlowDart", "LoadBlowDart", "FlyLoadBlowDart", "HoldBlowDart", "FlyHoldBlowDart", "AttackBlowDart", "FlyAttackBlowDart", "CarriageMount", "FlyCarriageMount", "CarriagePassengerMount", "FlyCarriagePassengerMount", "CarriageMountAttack", "FlyCarriageMountAttack", "BarTendStand", "FlyBarTendStand", "BarServerWalk", "FlyBarServerWalk", "BarServerRun", "FlyBarServerRun", "BarServerShuffleLeft", "FlyBarServerShuffleLeft", "BarServerShuffleRight", "FlyBarServerShuffleRight", "BarTendEmoteTalk", "FlyBarTendEmoteTalk", "BarTendEmotePoint", "FlyBarTendEmotePoint", "BarServerStand", "FlyBarServerStand", "BarSweepWalk", "FlyBarSweepWalk", "BarSweepRun", "FlyBarSweepRun", "BarSweepShuffleLeft", "FlyBarSweepShuffleLeft", "BarSweepShuffleRight", "FlyBarSweepShuffleRight", "BarSweepEmoteTalk", "FlyBarSweepEmoteTalk", "BarPatronSitEmotePoint", "FlyBarPatronSitEmotePoint", "MountSelfIdle", "FlyMountSelfIdle", "MountSelfWalk", "FlyMountSelfWalk", "MountSelfRun", "FlyMountSelfRun", "MountSelfSprint", "FlyMountSelfSprint", "MountSelfRunLeft", "FlyMountSelfRunLeft", "MountSelfRunRight", "FlyMountSelfRunRight", "MountSelfShuffleLeft", "FlyMountSelfShuffleLeft", "MountSelfShuffleRight", "FlyMountSelfShuffleRight", "MountSelfWalkBackwards", "FlyMountSelfWalkBackwards", "MountSelfSpecial", "FlyMountSelfSpecial", "MountSelfJump", "FlyMountSelfJump", "MountSelfJumpStart", "FlyMountSelfJumpStart", "MountSelfJumpEnd", "FlyMountSelfJumpEnd", "MountSelfJumpLandRun", "FlyMountSelfJumpLandRun", "MountSelfStart", "FlyMountSelfStart", "MountSelfFall", "FlyMountSelfFall", "Stormstrike", "FlyStormstrike", "ReadyJoustNoSheathe", "FlyReadyJoustNoSheathe", "Slam", "FlySlam", "DeathStrike", "FlyDeathStrike",
-	"SwimAttackUnarmed", "FlySwimAttackUnarmed", "SpinningKick", "FlySpinningKick", "RoundHouseKick", "FlyRoundHouseKick", "RollStart", "FlyRollStart", "Roll", "FlyRoll", "RollEnd", "FlyRollEnd", "PalmStrike", "FlyPalmStrike", "MonkOffenseAttackUnarmed", "FlyMonkOffenseAttackUnarmed", "MonkOffenseAttackUnarmedOff", "FlyMonkOffenseAttackUnarmedOff", "MonkOffenseParryUnarmed", "FlyMonkOffenseParryUnarmed", "MonkOffenseReadyUnarmed", "FlyMonkOffenseReadyUnarmed", "MonkOffenseSpecialUnarmed", "FlyMonkOffenseSpecialUnarmed", "MonkDefenseAttackUnarmed", "FlyMonkDefenseAttackUnarmed", "MonkDefenseAttackUnarmedOff", "FlyMonkDefenseAttackUnarmedOff", "MonkDefenseParryUnarmed", "FlyMonkDefenseParryUnarmed", "MonkDefenseReadyUnarmed", "FlyMonkDefenseReadyUnarmed", "MonkDefenseSpecialUnarmed", "FlyMonkDefenseSpecialUnarmed", "MonkHealAttackUnarmed", "FlyMonkHealAttackUnarmed", "MonkHealAttackUnarmedOff", "FlyMonkHealAttackUnarmedOff", "MonkHealParryUnarmed", "FlyMonkHealParryUnarmed", "MonkHealReadyUnarmed", "FlyMonkHealReadyUnarmed", "MonkHealSpecialUnarmed", "FlyMonkHealSpecialUnarmed", "FlyingKick", "FlyFlyingKick", "FlyingKickStart", "FlyFlyingKickStart", "FlyingKickEnd", "FlyFlyingKickEnd", "CraneStart", "FlyCraneStart", "CraneLoop", "FlyCraneLoop", "CraneEnd", "FlyCraneEnd", "Despawned", "FlyDespawned", "ThousandFists", "FlyThousandFists", "MonkHealReadySpellDirected", "FlyMonkHealReadySpellDirected", "MonkHealReadySpellOmni", "FlyMonkHealReadySpellOmni", "MonkHealSpellCastDirected", "FlyMonkHealSpellCastDirected", "MonkHealSpellCastOmni", "FlyMonkHealSpellCastOmni", "MonkHealChannelCastDirected", "FlyMonkHealChannelCastDirected", "MonkHealChannelCastOmni", "FlyMonkHealChannelCastOmni", "Torpedo", "FlyTorpedo", "Meditate", "FlyMeditate", "BreathOfFire", "FlyBreathOfFire", "RisingSunKick", "FlyRisingSunKick", "GroundKick", "FlyGroundKick", "KickBack", "FlyKickBack", "PetBattleStand", "FlyPetBattleStand", "PetBattleDeath", "FlyPetBattleDeath", "PetBattleRun", "FlyPetBattleRun", "PetBattleWound", "FlyPetBattleWound", "PetBattleAttack", "FlyPetBattleAttack", "PetBattleReadySpell", "FlyPetBattleReadySpell", "PetBattleSpellCast", "FlyPetBattleSpellCast", "PetBattleCustom0", "FlyPetBattleCustom0", "PetBattleCustom1", "FlyPetBattleCustom1", "PetBattleCustom2", "FlyPetBattleCustom2", "PetBattleCustom3", "FlyPetBattleCustom3", "PetBattleVictory", "FlyPetBattleVictory", "PetBattleLoss", "FlyPetBattleLoss", "PetBattleStun", "FlyPetBattleStun", "PetBattleDead", "FlyPetBattleDead", "PetBattleFreeze", "FlyPetBattleFreeze", "MonkOffenseAttackWeapon", "FlyMonkOffenseAttackWeapon", "BarTendEmoteWave", "FlyBarTendEmoteWave", "BarServerEmoteTalk", "FlyBarServerEmoteTalk", "BarServerEmoteWave", "FlyBarServerEmoteWave", "BarServerPourDrinks", "FlyBarServerPourDrinks", "BarServerPickup", "FlyBarServerPickup", "BarServerPutDown", "FlyBarServerPutDown", "BarSweepStand", "FlyBarSweepStand", "BarPatronSit", "FlyBarPatronSit", "BarPatronSitEmoteTalk", "FlyBarPatronSitEmoteTalk", "BarPatronStand", "FlyBarPatronStand", "BarPatronStandEmoteTalk", "FlyBarPatronStandEmoteTalk", "BarPatronStandEmotePoint", "FlyBarPatronStandEmotePoint", "CarrionSwarm", "FlyCarrionSwarm", "WheelLoop", "FlyWheelLoop", "StandCharacterCreate", "FlyStandCharacterCreate", "MountChopper", "FlyMountChopper", "FacePose", "FlyFacePose", "CombatAbility2HBig01", "FlyCombatAbility2HBig01", "CombatAbility2H01", "FlyCombatAbility2H01", "CombatWhirlwind", "FlyCombatWhirlwind", "CombatChargeLoop", "FlyCombatChargeLoop", "CombatAbility1H01", "FlyCombatAbility1H01", "CombatChargeEnd", "FlyCombatChargeEnd", "CombatAbility1H02", "FlyCombatAbility1H02", "CombatAbility1HBig01", "FlyCombatAbility1HBig01", "CombatAbility2H02", "FlyCombatAbility2H02", "ShaSpellPrecastBoth", "FlyShaSpellPrecastBoth", "ShaSpellCastBothFront", "FlyShaSpellCastBothFront", "ShaSpellCastLeftFront", "FlyShaSpellCastLeftFront", "ShaSpellCastRightFront", "FlyShaSpellCastRightFront", "ReadyCrossbow", "FlyReadyCrossbow", "LoadCrossbow", "FlyLoadCrossbow", "AttackCrossbow", "FlyAttackCrossbow", "HoldCrossbow", "FlyHoldCrossbow", "CombatAbility2HL01", "FlyCombatAbility2HL01", "CombatAbility2HL02", "FlyCombatAbility2HL02", "CombatAbility2HLBig01", "FlyCombatAbility2HLBig01", "CombatUnarmed01", "FlyCombatUnarmed01", "CombatStompLeft", "FlyCombatStompLeft", "CombatStompRight", "FlyCombatStompRight", "CombatLeapLoop", "FlyCombatLeapLoop", "CombatLeapEnd", "FlyCombatLeapEnd", "ShaReadySpellCast", "FlyShaReadySpellCast", "ShaSpellPrecastBothChannel", "FlyShaSpellPrecastBothChannel", "ShaSpellCastBothUp", "FlyShaSpellCastBothUp", "ShaSpellCastBothUpChannel", "FlyShaSpellCastBothUpChannel", "ShaSpellCastBothFrontChannel", "FlyShaSpellCastBothFrontChannel", "ShaSpellCastLeftFrontChannel", "FlyShaSpellCastLeftFrontChannel", "ShaSpellCastRightFrontChannel", "FlyShaSpellCastRightFrontChannel", "PriReadySpellCast", "FlyPriReadySpellCast", "PriSpellPrecastBoth", "FlyPriSpellPrecastBoth", "PriSpellPrecastBothChannel", "FlyPriSpellPrecastBothChannel", "PriSpellCastBothUp", "FlyPriSpellCastBothUp", "PriSpellCastBothFront", "FlyPriSpellCastBothFront", "PriSpellCastLeftFront", "FlyPriSpellCastLeftFront", "PriSpellCastRightFront", "FlyPriSpellCastRightFront", "PriSpellCastBothUpChannel", "FlyPriSpellCastBothUpChannel", "PriSpellCastBothFrontChannel", "FlyPriSpellCastBothFrontChannel", "PriSpellCastLeftFrontChannel", "FlyPriSpellCastLeftFrontChannel", "PriSpellCastRightFrontChannel", "FlyPriSpellCastRightFrontChannel", "MagReadySpellCast",
-	"FlyMagReadySpellCast", "MagSpellPrecastBoth", "FlyMagSpellPrecastBoth", "MagSpellPrecastBothChannel", "FlyMagSpellPrecastBothChannel", "MagSpellCastBothUp", "FlyMagSpellCastBothUp", "MagSpellCastBothFront", "FlyMagSpellCastBothFront", "MagSpellCastLeftFront", "FlyMagSpellCastLeftFront", "MagSpellCastRightFront", "FlyMagSpellCastRightFront", "MagSpellCastBothUpChannel", "FlyMagSpellCastBothUpChannel", "MagSpellCastBothFrontChannel", "FlyMagSpellCastBothFrontChannel", "MagSpellCastLeftFrontChannel", "FlyMagSpellCastLeftFrontChannel", "MagSpellCastRightFrontChannel", "FlyMagSpellCastRightFrontChannel", "LocReadySpellCast", "FlyLocReadySpellCast", "LocSpellPrecastBoth", "FlyLocSpellPrecastBoth", "LocSpellPrecastBothChannel", "FlyLocSpellPrecastBothChannel", "LocSpellCastBothUp", "FlyLocSpellCastBothUp", "LocSpellCastBothFront", "FlyLocSpellCastBothFront", "LocSpellCastLeftFront", "FlyLocSpellCastLeftFront", "LocSpellCastRightFront", "FlyLocSpellCastRightFront", "LocSpellCastBothUpChannel", "FlyLocSpellCastBothUpChannel", "LocSpellCastBothFrontChannel", "FlyLocSpellCastBothFrontChannel", "LocSpellCastLeftFrontChannel", "FlyLocSpellCastLeftFrontChannel", "LocSpellCastRightFrontChannel", "FlyLocSpellCastRightFrontChannel", "DruReadySpellCast", "FlyDruReadySpellCast", "DruSpellPrecastBoth", "FlyDruSpellPrecastBoth", "DruSpellPrecastBothChannel", "FlyDruSpellPrecastBothChannel", "DruSpellCastBothUp", "FlyDruSpellCastBothUp", "DruSpellCastBothFront", "FlyDruSpellCastBothFront", "DruSpellCastLeftFront", "FlyDruSpellCastLeftFront", "DruSpellCastRightFront", "FlyDruSpellCastRightFront", "DruSpellCastBothUpChannel", "FlyDruSpellCastBothUpChannel", "DruSpellCastBothFrontChannel", "FlyDruSpellCastBothFrontChannel", "DruSpellCastLeftFrontChannel", "FlyDruSpellCastLeftFrontChannel", "DruSpellCastRightFrontChannel", "FlyDruSpellCastRightFrontChannel", "ArtMainLoop", "FlyArtMainLoop", "ArtDualLoop", "FlyArtDualLoop", "ArtFistsLoop", "FlyArtFistsLoop", "ArtBowLoop", "FlyArtBowLoop", "CombatAbility1H01Off", "FlyCombatAbility1H01Off", "CombatAbility1H02Off", "FlyCombatAbility1H02Off", "CombatFuriousStrike01", "FlyCombatFuriousStrike01", "CombatFuriousStrike02", "FlyCombatFuriousStrike02", "CombatFuriousStrikes", "FlyCombatFuriousStrikes", "CombatReadySpellCast", "FlyCombatReadySpellCast", "CombatShieldThrow", "FlyCombatShieldThrow", "PalSpellCast1HUp", "FlyPalSpellCast1HUp", "CombatReadyPostSpellCast", "FlyCombatReadyPostSpellCast", "PriReadyPostSpellCast", "FlyPriReadyPostSpellCast", "DHCombatRun", "FlyDHCombatRun", "CombatShieldBash", "FlyCombatShieldBash", "CombatThrow", "FlyCombatThrow", "CombatAbility1HPierce", "FlyCombatAbility1HPierce", "CombatAbility1HOffPierce", "FlyCombatAbility1HOffPierce", "CombatMutilate", "FlyCombatMutilate", "CombatBladeStorm", "FlyCombatBladeStorm", "CombatFinishingMove", "FlyCombatFinishingMove", "CombatLeapStart", "FlyCombatLeapStart", "GlvThrowMain", "FlyGlvThrowMain", "GlvThrownOff", "FlyGlvThrownOff", "DHCombatSprint", "FlyDHCombatSprint", "CombatAbilityGlv01", "FlyCombatAbilityGlv01", "CombatAbilityGlv02", "FlyCombatAbilityGlv02", "CombatAbilityGlvOff01", "FlyCombatAbilityGlvOff01", "CombatAbilityGlvOff02", "FlyCombatAbilityGlvOff02", "CombatAbilityGlvBig01", "FlyCombatAbilityGlvBig01", "CombatAbilityGlvBig02", "FlyCombatAbilityGlvBig02", "ReadyGlv", "FlyReadyGlv", "CombatAbilityGlvBig03", "FlyCombatAbilityGlvBig03", "DoubleJumpStart", "FlyDoubleJumpStart", "DoubleJump", "FlyDoubleJump", "CombatEviscerate", "FlyCombatEviscerate", "DoubleJumpLandRun", "FlyDoubleJumpLandRun", "BackFlipStart", "FlyBackFlipStart", "BackFlipLoop", "FlyBackFlipLoop", "FelRushLoop", "FlyFelRushLoop", "FelRushEnd", "FlyFelRushEnd", "DHToAlteredStart", "FlyDHToAlteredStart", "DHToAlteredEnd", "FlyDHToAlteredEnd", "DHGlide", "FlyDHGlide", "FanOfKnives", "FlyFanOfKnives", "SingleJumpStart", "FlySingleJumpStart", "DHBladeDance1", "FlyDHBladeDance1", "DHBladeDance2", "FlyDHBladeDance2", "DHBladeDance3", "FlyDHBladeDance3", "DHMeteorStrike", "FlyDHMeteorStrike", "CombatExecute", "FlyCombatExecute", "ArtLoop", "FlyArtLoop", "ParryGlv", "FlyParryGlv", "CombatUnarmed02", "FlyCombatUnarmed02", "CombatPistolShot", "FlyCombatPistolShot", "CombatPistolShotOff", "FlyCombatPistolShotOff", "Monk2HLIdle", "FlyMonk2HLIdle", "ArtShieldLoop", "FlyArtShieldLoop", "CombatAbility2H03", "FlyCombatAbility2H03", "CombatStomp", "FlyCombatStomp", "CombatRoar", "FlyCombatRoar", "PalReadySpellCast", "FlyPalReadySpellCast", "PalSpellPrecastRight", "FlyPalSpellPrecastRight", "PalSpellPrecastRightChannel", "FlyPalSpellPrecastRightChannel", "PalSpellCastRightFront", "FlyPalSpellCastRightFront", "ShaSpellCastBothOut", "FlyShaSpellCastBothOut", "AttackWeapon", "FlyAttackWeapon", "ReadyWeapon", "FlyReadyWeapon", "AttackWeaponOff", "FlyAttackWeaponOff", "SpecialDual", "FlySpecialDual", "DkCast1HFront", "FlyDkCast1HFront", "CastStrongRight", "FlyCastStrongRight", "CastStrongLeft", "FlyCastStrongLeft", "CastCurseRight", "FlyCastCurseRight", "CastCurseLeft", "FlyCastCurseLeft", "CastSweepRight", "FlyCastSweepRight", "CastSweepLeft", "FlyCastSweepLeft", "CastStrongUpLeft", "FlyCastStrongUpLeft", "CastTwistUpBoth", "FlyCastTwistUpBoth", "CastOutStrong", "FlyCastOutStrong", "DrumLoop", "FlyDrumLoop", "ParryWeapon", "FlyParryWeapon", "ReadyFL", "FlyReadyFL", "AttackFL", "FlyAttackFL", "AttackFLOff", "FlyAttackFLOff", "ParryFL", "FlyParryFL", "SpecialFL", "FlySpecialFL", "PriHoverForward", "FlyPriHoverForward", "PriHoverBackward", "FlyPriHoverBackward",
-	"PriHoverRight", "FlyPriHoverRight", "PriHoverLeft", "FlyPriHoverLeft", "RunBackwards", "FlyRunBackwards", "CastStrongUpRight", "FlyCastStrongUpRight", "WAWalk", "FlyWAWalk", "WARun", "FlyWARun", "WADrunkStand", "FlyWADrunkStand", "WADrunkShuffleLeft", "FlyWADrunkShuffleLeft", "WADrunkShuffleRight", "FlyWADrunkShuffleRight", "WADrunkWalk", "FlyWADrunkWalk", "WADrunkWalkBackwards", "FlyWADrunkWalkBackwards", "WADrunkWound", "FlyWADrunkWound", "WADrunkTalk", "FlyWADrunkTalk", "WATrance01", "FlyWATrance01", "WATrance02", "FlyWATrance02", "WAChant01", "FlyWAChant01", "WAChant02", "FlyWAChant02", "WAChant03", "FlyWAChant03", "WAHang01", "FlyWAHang01", "WAHang02", "FlyWAHang02", "WASummon01", "FlyWASummon01", "WASummon02", "FlyWASummon02", "WABeggarTalk", "FlyWABeggarTalk", "WABeggarStand", "FlyWABeggarStand", "WABeggarPoint", "FlyWABeggarPoint", "WABeggarBeg", "FlyWABeggarBeg", "WASit01", "FlyWASit01", "WASit02", "FlyWASit02", "WASit03", "FlyWASit03", "WACrierStand01", "FlyWACrierStand01", "WACrierStand02", "FlyWACrierStand02", "WACrierStand03", "FlyWACrierStand03", "WACrierTalk", "FlyWACrierTalk", "WACrateHold", "FlyWACrateHold", "WABarrelHold", "FlyWABarrelHold", "WASackHold", "FlyWASackHold", "WAWheelBarrowStand", "FlyWAWheelBarrowStand", "WAWheelBarrowWalk", "FlyWAWheelBarrowWalk", "WAWheelBarrowRun", "FlyWAWheelBarrowRun", "WAHammerLoop", "FlyWAHammerLoop", "WACrankLoop", "FlyWACrankLoop", "WAPourStart", "FlyWAPourStart", "WAPourLoop", "FlyWAPourLoop", "WAPourEnd", "FlyWAPourEnd", "WAEmotePour", "FlyWAEmotePour", "WARowingStandRight", "FlyWARowingStandRight", "WARowingStandLeft", "FlyWARowingStandLeft", "WARowingRight", "FlyWARowingRight", "WARowingLeft", "FlyWARowingLeft", "WAGuardStand01", "FlyWAGuardStand01", "WAGuardStand02", "FlyWAGuardStand02", "WAGuardStand03", "FlyWAGuardStand03", "WAGuardStand04", "FlyWAGuardStand04", "WAFreezing01", "FlyWAFreezing01", "WAFreezing02", "FlyWAFreezing02", "WAVendorStand01", "FlyWAVendorStand01", "WAVendorStand02", "FlyWAVendorStand02", "WAVendorStand03", "FlyWAVendorStand03", "WAVendorTalk", "FlyWAVendorTalk", "WALean01", "FlyWALean01", "WALean02", "FlyWALean02", "WALean03", "FlyWALean03", "WALeanTalk", "FlyWALeanTalk", "WABoatWheel", "FlyWABoatWheel", "WASmithLoop", "FlyWASmithLoop", "WAScrubbing", "FlyWAScrubbing", "WAWeaponSharpen", "FlyWAWeaponSharpen", "WAStirring", "FlyWAStirring", "WAPerch01", "FlyWAPerch01", "WAPerch02", "FlyWAPerch02", "HoldWeapon", "FlyHoldWeapon", "WABarrelWalk", "FlyWABarrelWalk", "WAPourHold", "FlyWAPourHold", "CastStrong", "FlyCastStrong", "CastCurse", "FlyCastCurse", "CastSweep", "FlyCastSweep", "CastStrongUp", "FlyCastStrongUp", "WABoatWheelStand", "FlyWABoatWheelStand", "WASmithStand", "FlyWASmithStand", "WACrankStand", "FlyWACrankStand", "WAPourWalk", "FlyWAPourWalk", "FalconeerStart", "FlyFalconeerStart", "FalconeerLoop", "FlyFalconeerLoop", "FalconeerEnd", "FlyFalconeerEnd", "WADrunkDrink", "FlyWADrunkDrink", "WAStandEat", "FlyWAStandEat", "WAStandDrink", "FlyWAStandDrink", "WABound01", "FlyWABound01", "WABound02", "FlyWABound02", "CombatAbility1H03Off", "FlyCombatAbility1H03Off", "CombatAbilityDualWield01", "FlyCombatAbilityDualWield01", "WACradle01", "FlyWACradle01", "LocSummon", "FlyLocSummon", "LoadWeapon", "FlyLoadWeapon", "ArtOffLoop", "FlyArtOffLoop", "WADead01", "FlyWADead01", "WADead02", "FlyWADead02", "WADead03", "FlyWADead03", "WADead04", "FlyWADead04", "WADead05", "FlyWADead05", "WADead06", "FlyWADead06", "WADead07", "FlyWADead07", "GiantRun", "FlyGiantRun", "BarTendEmoteCheer", "FlyBarTendEmoteCheer", "BarTendEmoteTalkQuestion", "FlyBarTendEmoteTalkQuestion", "BarTendEmoteTalkExclamation", "FlyBarTendEmoteTalkExclamation", "BarTendWalk", "FlyBarTendWalk", "BartendShuffleLeft", "FlyBartendShuffleLeft", "BarTendShuffleRight", "FlyBarTendShuffleRight", "BarTendCustomSpell01", "FlyBarTendCustomSpell01", "BarTendCustomSpell02", "FlyBarTendCustomSpell02", "BarTendCustomSpell03", "FlyBarTendCustomSpell03", "BarServerEmoteCheer", "FlyBarServerEmoteCheer", "BarServerEmoteTalkQuestion", "FlyBarServerEmoteTalkQuestion", "BarServerEmoteTalkExclamation", "FlyBarServerEmoteTalkExclamation", "BarServerCustomSpell01", "FlyBarServerCustomSpell01", "BarServerCustomSpell02", "FlyBarServerCustomSpell02", "BarServerCustomSpell03", "FlyBarServerCustomSpell03", "BarPatronEmoteDrink", "FlyBarPatronEmoteDrink", "BarPatronEmoteCheer", "FlyBarPatronEmoteCheer", "BarPatronCustomSpell01", "FlyBarPatronCustomSpell01", "BarPatronCustomSpell02", "FlyBarPatronCustomSpell02", "BarPatronCustomSpell03", "FlyBarPatronCustomSpell03", "HoldDart", "FlyHoldDart", "ReadyDart", "FlyReadyDart", "AttackDart", "FlyAttackDart", "LoadDart", "FlyLoadDart", "WADartTargetStand", "FlyWADartTargetStand", "WADartTargetEmoteTalk", "FlyWADartTargetEmoteTalk", "BarPatronSitEmoteCheer", "FlyBarPatronSitEmoteCheer", "BarPatronSitCustomSpell01", "FlyBarPatronSitCustomSpell01", "BarPatronSitCustomSpell02", "FlyBarPatronSitCustomSpell02", "BarPatronSitCustomSpell03", "FlyBarPatronSitCustomSpell03", "BarPianoStand", "FlyBarPianoStand", "BarPianoEmoteTalk", "FlyBarPianoEmoteTalk", "WAHearthSit", "FlyWAHearthSit", "WAHearthSitEmoteCry", "FlyWAHearthSitEmoteCry", "WAHearthSitEmoteCheer", "FlyWAHearthSitEmoteCheer", "WAHearthSitCustomSpell01", "FlyWAHearthSitCustomSpell01", "WAHearthSitCustomSpell02", "FlyWAHearthSitCustomSpell02", "WAHearthSitCustomSpell03", "FlyWAHearthSitCustomSpell03", "WAHearthStand", "FlyWAHearthStand", "WAHearthStandEmoteCheer", "FlyWAHearthStandEmoteCheer",
-	"WAHearthStandEmoteTalk", "FlyWAHearthStandEmoteTalk", "WAHearthStandCustomSpell01", "FlyWAHearthStandCustomSpell01", "WAHearthStandCustomSpell02", "FlyWAHearthStandCustomSpell02", "WAHearthStandCustomSpell03", "FlyWAHearthStandCustomSpell03", "WAScribeStart", "FlyWAScribeStart", "WAScribeLoop", "FlyWAScribeLoop", "WAScribeEnd", "FlyWAScribeEnd", "WAEmoteScribe", "FlyWAEmoteScribe", "Haymaker", "FlyHaymaker", "HaymakerPrecast", "FlyHaymakerPrecast", "ChannelCastOmniUp", "FlyChannelCastOmniUp", "DHJumpLandRun", "FlyDHJumpLandRun", "Cinematic01", "FlyCinematic01", "Cinematic02", "FlyCinematic02", "Cinematic03", "FlyCinematic03", "Cinematic04", "FlyCinematic04", "Cinematic05", "FlyCinematic05", "Cinematic06", "FlyCinematic06", "Cinematic07", "FlyCinematic07", "Cinematic08", "FlyCinematic08", "Cinematic09", "FlyCinematic09", "Cinematic10", "FlyCinematic10", "TakeOffStart", "FlyTakeOffStart", "TakeOffFinish", "FlyTakeOffFinish", "LandStart", "FlyLandStart", "LandFinish", "FlyLandFinish", "WAWalkTalk", "FlyWAWalkTalk", "WAPerch03", "FlyWAPerch03", "CarriageMountMoving", "FlyCarriageMountMoving", "TakeOffFinishFly", "FlyTakeOffFinishFly", "CombatAbility2HBig02", "FlyCombatAbility2HBig02", "MountWide", "FlyMountWide", "EmoteTalkSubdued", "FlyEmoteTalkSubdued", "WASit04", "FlyWASit04", "MountSummon", "FlyMountSummon", "EmoteSelfie", "FlyEmoteSelfie", "CustomSpell11", "FlyCustomSpell11", "CustomSpell12", "FlyCustomSpell12", "CustomSpell13", "FlyCustomSpell13", "CustomSpell14", "FlyCustomSpell14", "CustomSpell15", "FlyCustomSpell15", "CustomSpell16", "FlyCustomSpell16", "CustomSpell17", "FlyCustomSpell17", "CustomSpell18", "FlyCustomSpell18", "CustomSpell19", "FlyCustomSpell19", "CustomSpell20", "FlyCustomSpell20", "AdvFlyLeft", "FlyAdvFlyLeft", "AdvFlyRight", "FlyAdvFlyRight", "AdvFlyForward", "FlyAdvFlyForward", "AdvFlyBackward", "FlyAdvFlyBackward", "AdvFlyUp", "FlyAdvFlyUp", "AdvFlyDown", "FlyAdvFlyDown", "AdvFlyForwardGlide", "FlyAdvFlyForwardGlide", "AdvFlyRoll", "FlyAdvFlyRoll", "ProfCookingLoop", "FlyProfCookingLoop", "ProfCookingStart", "FlyProfCookingStart", "ProfCookingEnd", "FlyProfCookingEnd", "WACurious", "FlyWACurious", "WAAlert", "FlyWAAlert", "WAInvestigate", "FlyWAInvestigate", "WAInteraction", "FlyWAInteraction", "WAThreaten", "FlyWAThreaten", "WAReact01", "FlyWAReact01", "WAReact02", "FlyWAReact02", "AdvFlyRollStart", "FlyAdvFlyRollStart", "AdvFlyRollEnd", "FlyAdvFlyRollEnd", "EmpBreathPrecast", "FlyEmpBreathPrecast", "EmpBreathPrecastChannel", "FlyEmpBreathPrecastChannel", "EmpBreathSpellCast", "FlyEmpBreathSpellCast", "EmpBreathSpellCastChannel", "FlyEmpBreathSpellCastChannel", "DracFlyBreathTakeoffStart", "FlyDracFlyBreathTakeoffStart", "DracFlyBreathTakeoffFinish", "FlyDracFlyBreathTakeoffFinish", "DracFlyBreath", "FlyDracFlyBreath", "DracFlyBreathLandStart", "FlyDracFlyBreathLandStart", "DracFlyBreathLandFinish", "FlyDracFlyBreathLandFinish", "DracAirDashLeft", "FlyDracAirDashLeft", "DracAirDashForward", "FlyDracAirDashForward", "DracAirDashBackward", "FlyDracAirDashBackward", "DracAirDashRight", "FlyDracAirDashRight", "LivingWorldProximityEnter", "FlyLivingWorldProximityEnter", "AdvFlyDownEnd", "FlyAdvFlyDownEnd", "LivingWorldProximityLoop", "FlyLivingWorldProximityLoop", "LivingWorldProximityLeave", "FlyLivingWorldProximityLeave", "EmpAirBarragePrecast", "FlyEmpAirBarragePrecast", "EmpAirBarragePrecastChannel", "FlyEmpAirBarragePrecastChannel", "EmpAirBarrageSpellCast", "FlyEmpAirBarrageSpellCast", "DracClawSwipeLeft", "FlyDracClawSwipeLeft", "DracClawSwipeRight", "FlyDracClawSwipeRight", "DracHoverIdle", "FlyDracHoverIdle", "DracHoverLeft", "FlyDracHoverLeft", "DracHoverRight", "FlyDracHoverRight", "DracHoverBackward", "FlyDracHoverBackward", "DracHoverForward", "FlyDracHoverForward", "DracAttackWings", "FlyDracAttackWings", "DracAttackTail", "FlyDracAttackTail", "AdvFlyStart", "FlyAdvFlyStart", "AdvFlyLand", "FlyAdvFlyLand", "AdvFlyLandRun", "FlyAdvFlyLandRun", "AdvFlyStrafeLeft", "FlyAdvFlyStrafeLeft", "AdvFlyStrafeRight", "FlyAdvFlyStrafeRight", "AdvFlyIdle", "FlyAdvFlyIdle", "AdvFlyRollRight", "FlyAdvFlyRollRight", "AdvFlyRollRightEnd", "FlyAdvFlyRollRightEnd", "AdvFlyRollLeft", "FlyAdvFlyRollLeft", "AdvFlyRollLeftEnd", "FlyAdvFlyRollLeftEnd", "AdvFlyFlap", "FlyAdvFlyFlap", "DracHoverDracClawSwipeLeft", "FlyDracHoverDracClawSwipeLeft", "DracHoverDracClawSwipeRight", "FlyDracHoverDracClawSwipeRight", "DracHoverDracAttackWings", "FlyDracHoverDracAttackWings", "DracHoverReadySpellOmni", "FlyDracHoverReadySpellOmni", "DracHoverSpellCastOmni", "FlyDracHoverSpellCastOmni", "DracHoverChannelSpellOmni", "FlyDracHoverChannelSpellOmni", "DracHoverReadySpellDirected", "FlyDracHoverReadySpellDirected", "DracHoverChannelSpellDirected", "FlyDracHoverChannelSpellDirected", "DracHoverSpellCastDirected", "FlyDracHoverSpellCastDirected", "DracHoverCastOutStrong", "FlyDracHoverCastOutStrong", "DracHoverBattleRoar", "FlyDracHoverBattleRoar", "DracHoverEmpBreathSpellCast", "FlyDracHoverEmpBreathSpellCast", "DracHoverEmpBreathSpellCastChannel", "FlyDracHoverEmpBreathSpellCastChannel", "LivingWorldTimeOfDayEnter", "FlyLivingWorldTimeOfDayEnter", "LivingWorldTimeOfDayLoop", "FlyLivingWorldTimeOfDayLoop", "LivingWorldTimeOfDayLeave", "FlyLivingWorldTimeOfDayLeave", "LivingWorldWeatherEnter", "FlyLivingWorldWeatherEnter", "LivingWorldWeatherLoop", "FlyLivingWorldWeatherLoop", "LivingWorldWeatherLeave", "FlyLivingWorldWeatherLeave", "AdvFlyDownStart", "FlyAdvFlyDownStart", "AdvFlyFlapBig", "FlyAdvFlyFlapBig",
-	"DracHoverReadyUnarmed", "FlyDracHoverReadyUnarmed", "DracHoverAttackUnarmed", "FlyDracHoverAttackUnarmed", "DracHoverParryUnarmed", "FlyDracHoverParryUnarmed", "DracHoverCombatWound", "FlyDracHoverCombatWound", "DracHoverCombatCritical", "FlyDracHoverCombatCritical", "DracHoverAttackTail", "FlyDracHoverAttackTail", "Glide", "FlyGlide", "GlideEnd", "FlyGlideEnd", "DracClawSwipe", "FlyDracClawSwipe", "DracHoverDracClawSwipe", "FlyDracHoverDracClawSwipe", "AdvFlyFlapUp", "FlyAdvFlyFlapUp", "AdvFlySlowFall", "FlyAdvFlySlowFall", "AdvFlyFlapFoward", "FlyAdvFlyFlapFoward", "DracSpellCastWings", "FlyDracSpellCastWings", "DracHoverDracSpellCastWings", "FlyDracHoverDracSpellCastWings", "DracAirDashVertical", "FlyDracAirDashVertical", "DracAirDashRefresh", "FlyDracAirDashRefresh", "SkinningLoop", "FlySkinningLoop", "SkinningStart", "FlySkinningStart", "SkinningEnd", "FlySkinningEnd", "AdvFlyForwardGlideSlow", "FlyAdvFlyForwardGlideSlow", "AdvFlyForwardGlideFast", "FlyAdvFlyForwardGlideFast" ];
+				this.converter.convertArray( keyframes.track.values, keyframes.externalValues.conversion );
 
-//
+			}
 
-class M2SkinLoader extends Loader {
+			// the placeholder keyframes are replaced now so the loaded data must represent a valid track
 
-	constructor( manager ) {
+			if ( keyframes.track.validate() === false ) {
 
-		super( manager );
+				console.warn( 'THREE.M2Loader: Invalid keyframes in animation file of sequence ' + computeSequenceKey( sequenceId, subSequenceId ) + ':', keyframes.track.name );
 
-		this.version = null;
+			}
+
+		}
 
 	}
 
-	setVersion( version ) {
+	_updateLayers() {
 
-		this.version = version;
+		for ( const layer of this._layers ) {
 
-	}
+			if ( layer === undefined || layer.state === null ) continue;
 
-	load( url, onLoad, onProgress, onError ) {
+			const state = layer.state;
+			const key = computeSequenceKey( state.sequence.id, state.sequence.variationIndex );
 
-		const loader = new FileLoader( this.manager );
-		loader.setPath( this.path );
-		loader.setResponseType( 'arraybuffer' );
-		loader.setRequestHeader( this.requestHeader );
-		loader.setWithCredentials( this.withCredentials );
-		loader.load( url, ( buffer ) => {
+			if ( this._externalSequencesInitialized.get( key ) === false ) continue; // keyframes are not loaded yet
 
-			try {
+			for ( let i = 0; i < layer.bones.length; i ++ ) {
 
-				onLoad( this.parse( buffer ) );
+				const bone = layer.bones[ i ];
+				const pose = layer.poses[ i ];
 
-			} catch ( e ) {
+				pose.position.copy( bone.position );
+				pose.quaternion.copy( bone.quaternion );
+				pose.scale.copy( bone.scale );
 
-				if ( onError ) {
+			}
 
-					onError( e );
+			layer.applied = true;
+
+			// masked bones are blended with the pose of the lower layers
+
+			for ( const entry of this._getLayerTracks( layer, key ) ) {
+
+				const value = entry.interpolant.evaluate( state.time );
+				const target = entry.bone[ entry.property ];
+
+				if ( entry.property === 'quaternion' ) {
+
+					target.slerp( _quaternion.fromArray( value ), layer.weight );
 
 				} else {
 
-					console.error( e );
+					target.lerp( _vector.fromArray( value ), layer.weight );
 
 				}
 
-				this.manager.itemError( url );
-
 			}
 
-		}, onProgress, onError );
+		}
 
 	}
 
-	parse( buffer ) {
+	_updateRandomSequences( delta ) {
 
-		const parser = new BinaryParser( buffer );
+		for ( const state of this._randomSequences.values() ) {
 
-		if ( this.version >= M2_VERSION_WRATH_OF_THE_LICH_KING ) {
+			const duration = state.sequence.duration / 1000;
 
-			const magic = parser.readString( 4 );
+			if ( duration === 0 ) continue;
 
-			if ( magic !== 'SKIN' ) {
+			const previousTime = state.time;
+			state.time += delta * this._getTimeScale( state.sequence );
 
-				throw new Error( 'THREE.M2SkinLoader: Invalid magic data' );
+			if ( previousTime < duration && state.time >= duration && state.delay > 0 ) {
+
+				// the last pose is retained during the replay delay
+
+				for ( const animation of this._sequenceMap.get( computeSequenceKey( state.sequence.id, state.sequence.variationIndex ) ) ) {
+
+					const action = this._mixers.get( animation.root ).existingAction( animation.clip );
+
+					if ( action !== null ) {
+
+						action.time = animation.clip.duration;
+						action.paused = true;
+
+					}
+
+				}
+
+			}
+
+			if ( state.time >= duration + state.delay ) {
+
+				this._stopActions( state.sequence );
+				this._playRandomVariation( state );
 
 			}
 
 		}
 
-		return this.read( parser );
+	}
+
+}
+
+function compareId( a, b ) {
+
+	return a.id - b.id;
+
+
+}
+
+function compareNumber( a, b ) {
+
+	return a - b;
+
+}
+
+function computeSequenceKey( sequenceId, variationIndex ) {
+
+	return sequenceId + '-' + variationIndex;
+
+}
+
+// chunks
+
+class M2Attachment {
+
+	constructor() {
+
+		this.id = 0;
+		this.bone = 0;
+		this.unknown = 0;
+		this.position = new Vector3();
+		this.animateAttached = null;
 
 	}
 
-	read( parser ) {
+}
 
-		// header
+class M2Batch {
 
-		const verticesLength = parser.readUInt32();
-		const verticesOffset = parser.readUInt32();
-		const indicesLength = parser.readUInt32();
-		const indicesOffset = parser.readUInt32();
-		const bonesLength = parser.readUInt32();
-		const bonesOffset = parser.readUInt32();
-		const submeshesLength = parser.readUInt32();
-		const submeshesOffset = parser.readUInt32();
-		const batchesLength = parser.readUInt32();
-		const batchesOffset = parser.readUInt32();
-		const boneCountMax = parser.readUInt32();
+	constructor() {
 
-		// local vertex list
+		this.flags = 0;
+		this.priorityPlane = 0;
+		this.shaderId = 0;
+		this.skinSectionIndex = 0;
+		this.geosetIndex = 0;
+		this.colorIndex = 0;
+		this.materialIndex = 0;
+		this.materialLayer = 0;
+		this.textureCount = 0;
+		this.textureComboIndex = 0;
+		this.textureCoordComboIndex = 0;
+		this.textureWeightComboIndex = 0;
+		this.textureTransformComboIndex = 0;
 
-		const localVertexList = [];
+	}
 
-		parser.moveTo( verticesOffset + 0x00 );
+}
 
-		for ( let i = 0; i < verticesLength; i ++ ) {
+class M2Bone {
 
-			localVertexList.push( parser.readUInt16() );
+	constructor() {
 
-		}
+		this.keyBoneId = 0;
+		this.flags = 0;
+		this.parentBone = 0;
+		this.submeshId = 0;
+		this.boneNameCRC = 0;
+		this.translation = null;
+		this.rotation = null;
+		this.scale = null;
+		this.pivot = new Vector3();
 
-		// indices
+	}
 
-		const indices = [];
+}
 
-		parser.moveTo( indicesOffset + 0x00 );
+class M2Camera {
 
-		for ( let i = 0; i < indicesLength; i ++ ) {
+	constructor() {
 
-			indices.push( parser.readUInt16() );
+		this.type = 0;
+		this.fov = 50;
+		this.farClip = 0;
+		this.nearClip = 0;
+		this.translation = null;
+		this.positionBase = new Vector3();
+		this.targetTranslation = null;
+		this.targetPositionBase = new Vector3();
+		this.roll = null;
+		this.diagonalFov = null;
 
-		}
+	}
 
-		// bones
+}
 
-		const bones = [];
+class M2Color {
 
-		parser.moveTo( bonesOffset + 0x00 );
+	constructor() {
 
-		for ( let i = 0; i < bonesLength; i ++ ) {
+		this.color = null;
+		this.alpha = null;
 
-			// each entry represents 4 bone indices
+	}
 
-			bones.push( parser.readUInt8(), parser.readUInt8(), parser.readUInt8(), parser.readUInt8() );
+}
 
-		}
+class M2Event {
 
-		// submeshes
+	constructor() {
 
-		const submeshes = [];
+		this.identifier = '';
+		this.data = 0;
+		this.bone = 0;
+		this.position = new Vector3();
+		this.enabled = null;
 
-		parser.moveTo( submeshesOffset + 0x00 );
+	}
 
-		for ( let i = 0; i < submeshesLength; i ++ ) {
+}
 
-			const submesh = this._readSubmesh( parser );
-			submeshes.push( submesh );
+class M2FakeTrack {
 
-		}
+	constructor() {
+
+		this.timestamps = [];
+		this.values = [];
+		this.itemSize = 0;
+
+	}
+
+}
+
+class M2Light {
+
+	constructor() {
+
+		this.type = 0;
+		this.bone = - 1;
+		this.position = new Vector3();
+		this.ambientColor = null;
+		this.ambientIntensity = null;
+		this.diffuseColor = null;
+		this.diffuseIntensity = null;
+		this.attenuationStart = null;
+		this.attenuationEnd = null;
+		this.visibility = null;
+
+	}
+
+}
+
+class M2Material {
+
+	constructor() {
+
+		this.flags = 0;
+		this.blendingMode = 0;
+
+	}
+
+}
+
+class M2Particle {
+
+	constructor() {
+
+		this.particleId = 0;
+		this.flags = 0;
+		this.position = new Vector3();
+		this.bone = 0;
+		this.textures = [];
+		this.blendingType = 0;
+		this.emitterType = 0;
+		this.colorIndex = 0;
+		this.textureTileRotation = 0;
+		this.textureDimensions = { rows: 1, columns: 1 };
+		this.emissionSpeed = null;
+		this.speedVariation = null;
+		this.verticalRange = null;
+		this.horizontalRange = null;
+		this.gravity = null;
+		this.lifespan = null;
+		this.lifespanVariation = 0;
+		this.emissionRate = null;
+		this.emissionRateVariation = 0;
+		this.emissionAreaLength = null;
+		this.emissionAreaWidth = null;
+		this.zSource = null;
+		this.color = null;
+		this.alpha = null;
+		this.scale = null;
+		this.scaleVariation = new Vector2();
+		this.headCell = null;
+		this.tailCell = null;
+		this.tailLength = 0;
+		this.twinkleSpeed = 0;
+		this.twinklePercent = 0;
+		this.twinkleScale = { min: 0, max: 0 };
+		this.burstMultiplier = 0;
+		this.drag = 0;
+		this.baseSpin = 0;
+		this.baseSpinVariation = 0;
+		this.spin = 0;
+		this.spinVariation = 0;
+		this.windVector = new Vector3();
+		this.windTime = 0;
+		this.enabledIn = null;
+
+	}
+
+}
+
+class M2Ribbon {
+
+	constructor() {
+
+		this.ribbonId = 0;
+		this.bone = 0;
+		this.position = new Vector3();
+		this.textures = [];
+		this.materials = [];
+		this.color = null;
+		this.alpha = null;
+		this.heightAbove = null;
+		this.heightBelow = null;
+		this.edgesPerSecond = 0;
+		this.edgeLifetime = 0;
+		this.gravity = 0;
+		this.textureRows = 1;
+		this.textureColumns = 1;
+		this.textureSlot = null;
+		this.visibility = null;
+		this.priorityPlane = 0;
+
+	}
+
+}
+
+class M2Sequence {
+
+	constructor() {
+
+		this.id = 0;
+		this.variationIndex = 0;
+		this.startTimestamp = 0;
+		this.endTimestamp = 0;
+		this.duration = 0;
+		this.movespeed = 0;
+		this.flags = 0;
+		this.frequency = 0;
+		this.padding = 0;
+		this.replay = { minimum: 0, maximum: 0 };
+		this.blendTime = 0;
+		this.blendTimeIn = 0;
+		this.blendTimeOut = 0;
+		this.bounds = { extend: new Box3(), radius: 0 };
+		this.variationNext = 0;
+		this.aliasNext = 0;
+
+	}
+
+}
 
-		// batches
+class M2SkinSection {
 
-		const batches = [];
+	constructor() {
 
-		parser.moveTo( batchesOffset + 0x00 );
+		this.skinSectionId = 0;
+		this.Level = 0;
+		this.vertexStart = 0;
+		this.vertexCount = 0;
+		this.indexStart = 0;
+		this.indexCount = 0;
+		this.boneCount = 0;
+		this.boneComboIndex = 0;
+		this.boneInfluences = 0;
+		this.centerBoneIndex = 0;
+		this.centerPosition = new Vector3();
+		this.sortCenterPosition = new Vector3();
+		this.sortRadius = 0;
 
-		for ( let i = 0; i < batchesLength; i ++ ) {
+	}
 
-			const batch = this._readBatch( parser );
-			batches.push( batch );
+}
 
-		}
+class M2Texture {
 
-		// TODO read shadow batches
+	constructor() {
 
-		return { localVertexList, indices, bones, submeshes, batches, boneCountMax };
+		this.type = 0;
+		this.flags = 0;
+		this.filename = '';
 
 	}
 
-	_readBatch( parser ) {
+}
 
-		const batch = new M2Batch();
+class M2TextureTransform {
 
-		batch.flags = parser.readUInt8();
-		batch.priorityPlane = parser.readInt8();
-		batch.shaderId = parser.readUInt16();
-		batch.skinSectionIndex = parser.readUInt16();
-		batch.geosetIndex = parser.readUInt16();
-		batch.colorIndex = parser.readUInt16();
-		batch.materialIndex = parser.readUInt16();
-		batch.materialLayer = parser.readUInt16();
-		batch.textureCount = parser.readUInt16();
-		batch.textureComboIndex = parser.readUInt16();
-		batch.textureCoordComboIndex = parser.readUInt16();
-		batch.textureWeightComboIndex = parser.readUInt16();
-		batch.textureTransformComboIndex = parser.readUInt16();
+	constructor() {
 
-		return batch;
+		this.translation = null;
+		this.rotation = null;
+		this.scale = null;
 
 	}
 
-	_readSubmesh( parser ) {
+}
 
-		const submesh = new M2SkinSection();
+class M2Track {
 
-		submesh.skinSectionId = parser.readUInt16();
-		submesh.Level = parser.readUInt16();
-		submesh.vertexStart = parser.readUInt16();
-		submesh.vertexCount = parser.readUInt16();
-		submesh.indexStart = parser.readUInt16();
-		submesh.indexCount = parser.readUInt16();
-		submesh.boneCount = parser.readUInt16();
-		submesh.boneComboIndex = parser.readUInt16();
-		submesh.boneInfluences = parser.readUInt16();
-		submesh.centerBoneIndex = parser.readUInt16();
+	constructor() {
 
-		submesh.centerPosition.set(
-			parser.readFloat32(),
-			parser.readFloat32(),
-			parser.readFloat32()
-		);
+		this.interpolationType = 0;
+		this.globalSequence = 0;
+		this.timestamps = [];
+		this.values = [];
 
-		if ( this.version >= M2_VERSION_THE_BURNING_CRUSADE ) {
+		this.externalTimestamps = [];
+		this.externalValues = [];
 
-			submesh.sortCenterPosition.set(
-				parser.readFloat32(),
-				parser.readFloat32(),
-				parser.readFloat32()
-			);
+	}
 
-			submesh.sortRadius = parser.readFloat32();
+}
 
-		}
+class M2Vertex {
 
-		return submesh;
+	constructor() {
+
+		this.pos = new Vector3();
+		this.boneWeights = new Vector4();
+		this.boneIndices = new Vector4();
+		this.normal = new Vector3();
+		this.texCoords = [ new Vector2(), new Vector2() ];
 
 	}
 
 }
 
-//
+/**
+* The group representing a loaded M2 asset. Besides the default functionality of THREE.Group,
+* it provides access to the attachment points of the asset.
+*/
+class M2Group extends Group {
 
-class BLPLoader extends Loader {
+	/**
+	* Creates a new M2 group.
+	*/
+	constructor() {
 
-	constructor( manager ) {
+		super();
 
-		super( manager );
+		this.attachments = [];
+		this.attachmentLookupTable = [];
 
-		this.version = null;
+		this.bones = [];
+		this.keyBoneLookupTable = [];
 
 	}
 
-	setVersion( version ) {
+	/**
+	* Returns a list of all geosets of the asset. Geoset IDs are composed of a group and a variant
+	* (ID = group * 100 + variant) so e.g. 501 represents the first variant of the boots group.
+	*
+	* @returns {Array<Object>} A list of objects with the id, group and variant of each geoset.
+	*/
+	listGeosets() {
 
-		this.version = version;
+		const ids = new Set();
 
-	}
+		this.traverse( object => {
 
-	load( config, onLoad, onProgress, onError ) {
+			if ( object.userData.geosetId !== undefined ) ids.add( object.userData.geosetId );
 
-		const url = config.url;
-		const flags = config.flags;
+		} );
 
-		const loader = new FileLoader( this.manager );
-		loader.setPath( this.path );
-		loader.setResponseType( 'arraybuffer' );
-		loader.setRequestHeader( this.requestHeader );
-		loader.setWithCredentials( this.withCredentials );
-		loader.load( url, ( buffer ) => {
+		const list = [];
 
-			try {
+		for ( const id of [ ...ids ].sort( ( a, b ) => a - b ) ) {
 
-				const texture = this.parse( buffer, flags );
-				texture.name = url;
+			list.push( { id: id, group: Math.floor( id / 100 ), variant: id % 100 } );
 
-				onLoad( texture );
+		}
 
-			} catch ( e ) {
+		return list;
 
-				if ( onError ) {
+	}
 
-					onError( e );
+	/**
+	* Shows the given variant of a geoset group and hides all other variants of this group.
+	* Passing null as the variant hides the entire group. The body (geoset 0) always stays visible,
+	* only the hairstyles (variants 1-99) of group 0 are affected.
+	*
+	* @param {Number} group - The geoset group (e.g. 5 for boots).
+	* @param {?Number} variant - The variant to show.
+	* @returns {this} A reference to this group.
+	*/
+	setGeosetVisible( group, variant ) {
 
-				} else {
+		this.traverse( object => {
 
-					console.error( e );
+			const id = object.userData.geosetId;
 
-				}
+			if ( id !== undefined && id !== M2_GEOSET_BODY && Math.floor( id / 100 ) === group ) {
 
-				this.manager.itemError( url );
+				object.visible = ( variant !== null && id % 100 === variant );
 
 			}
 
-		}, onProgress, onError );
+		} );
 
-	}
+		return this;
 
-	parse( buffer, flags = 0 ) {
+	}
 
-		const parser = new BinaryParser( buffer );
+	/**
+	* Shows only the base variant of each geoset group. The base variant is the default variant (1)
+	* if the group defines it, otherwise its lowest variant. The body (geoset 0) is not a variant so
+	* it stays visible next to a single hairstyle.
+	*
+	* @returns {this} A reference to this group.
+	*/
+	showBaseGeosets() {
 
-		const magic = parser.readString( 4 );
+		const variants = new Map();
 
-		if ( magic !== 'BLP2' ) {
+		for ( const geoset of this.listGeosets() ) {
 
-			throw new Error( 'THREE.BLPLoader: Invalid magic data.' );
+			if ( geoset.id === M2_GEOSET_BODY ) continue;
 
-		}
+			const variant = variants.get( geoset.group );
 
-		// header
+			if ( variant === undefined || geoset.variant === M2_GEOSET_DEFAULT_VARIANT ) {
 
-		const header = {};
+				variants.set( geoset.group, geoset.variant );
 
-		header.version = parser.readUInt32();
-		header.colorEncoding = parser.readUInt8();
-		header.alphaSize = parser.readUInt8();
-		header.preferredFormat = parser.readUInt8();
-		header.hasMips = parser.readUInt8();
-		header.width = parser.readUInt32();
-		header.height = parser.readUInt32();
+			}
 
-		header.mipOffsets = [];
-		header.mipSizes = [];
+		}
 
-		for ( let i = 0; i < 16; i ++ ) {
+		for ( const [ group, variant ] of variants ) {
 
-			header.mipOffsets.push( parser.readUInt32() );
+			this.setGeosetVisible( group, variant );
 
 		}
 
-		header.mipSizes = [];
-
-		for ( let i = 0; i < 16; i ++ ) {
-
-			header.mipSizes.push( parser.readUInt32() );
+		return this;
 
-		}
+	}
 
-		header.palette = [];
+	/**
+	* Returns the attachment point for the given ID or name. Attachment points are animated with their bones
+	* so they can be used to equip weapons, helmets or riders.
+	*
+	* @param {(Number|String)} id - The attachment ID (e.g. 1 for the right hand) or its name (e.g. 'HandRight').
+	* @returns {?THREE.Object3D} The attachment point. Returns null if the asset does not define the attachment.
+	*/
+	getAttachment( id ) {
 
-		for ( let i = 0; i < 256; i ++ ) {
+		if ( typeof id === 'string' ) id = M2_ATTACHMENT_LIST.indexOf( id );
 
-			// BGRA colors
+		const index = this.attachmentLookupTable[ id ];
 
-			header.palette.push(
-				parser.readUInt8(),
-				parser.readUInt8(),
-				parser.readUInt8(),
-				parser.readUInt8()
-			);
+		if ( index === undefined || index < 0 ) return null;
 
-		}
+		return this.attachments[ index ] || null;
 
-		// data
+	}
 
-		const mipmaps = [];
+	/**
+	* Returns the key bone for the given ID or name. Key bones are semantic bones like the head, the jaw
+	* or the root which can be used e.g. for camera targeting or effect placement.
+	*
+	* @param {(Number|String)} id - The key bone ID (e.g. 6 for the head) or its name (e.g. 'Head').
+	* @returns {?THREE.Bone} The key bone. Returns null if the asset does not define the key bone.
+	*/
+	getKeyBone( id ) {
 
-		let currentWidth = header.width;
-		let currentHeight = header.height;
+		if ( typeof id === 'string' ) id = M2_KEY_BONE_LIST.indexOf( id );
 
-		for ( let i = 0; i < header.mipOffsets.length; i ++ ) {
+		const index = this.keyBoneLookupTable[ id ];
 
-			const offset = header.mipOffsets[ i ];
+		if ( index === undefined || index < 0 ) return null;
 
-			if ( offset === 0 || currentWidth === 0 || currentHeight === 0 ) break;
+		return this.bones[ index ] || null;
 
-			const size = header.mipSizes[ i ];
-			const data = new Uint8Array( buffer, offset, size );
+	}
 
-			mipmaps.push( { data: data, width: currentWidth, height: currentHeight } );
+	/**
+	* Adds the given object to the attachment point with the given ID or name. If only an object is passed,
+	* the method behaves like THREE.Object3D.attach().
+	*
+	* @param {(Number|String)} id - The attachment ID or name.
+	* @param {THREE.Object3D} object - The object to attach, e.g. another loaded M2 asset.
+	* @returns {this} A reference to this group.
+	*/
+	attach( id, object ) {
 
-			currentWidth = Math.floor( currentWidth / 2 );
-			currentHeight = Math.floor( currentHeight / 2 );
+		if ( id !== null && typeof id === 'object' ) return super.attach( id );
 
-		}
+		const attachment = this.getAttachment( id );
 
-		// setup texture
+		if ( attachment === null ) {
 
-		let texture;
+			console.warn( 'THREE.M2Loader: Unable to find attachment:', id );
 
-		if ( header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_DXT1 ||
-			header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_DXT3 ||
-			header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_DXT5 ||
-			header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_BC5 ) {
+		} else {
 
-			texture = new CompressedTexture( mipmaps, header.width, header.height );
-			texture.colorSpace = SRGBColorSpace;
-			texture.center.set( 0.5, 0.5 );
-			texture.needsUpdate = true;
+			attachment.add( object );
 
-			switch ( header.preferredFormat ) {
+		}
 
-				case BLP_PIXEL_FORMAT_PIXEL_DXT1:
-					texture.format = RGBA_S3TC_DXT1_Format;
-					break;
+		return this;
 
-				case BLP_PIXEL_FORMAT_PIXEL_DXT3:
-					texture.format = RGBA_S3TC_DXT3_Format;
-					break;
+	}
 
-				case BLP_PIXEL_FORMAT_PIXEL_DXT5:
-					texture.format = RGBA_S3TC_DXT5_Format;
-					break;
+}
 
-				case BLP_PIXEL_FORMAT_PIXEL_BC5:
-					texture.format = RGBA_BPTC_Format;
-					break;
+class AttachmentPoint extends Object3D {
 
-				default:
-					throw new Error( 'THREE.BLPLoader: Unsupported compressed texture format: ' + header.preferredFormat );
+	constructor() {
 
-			}
+		super();
 
-		} else if ( header.preferredFormat === BLP_PIXEL_FORMAT_PIXEL_UNSPECIFIED ) {
+		this.attachmentId = 0;
+		this.boneIndex = 0;
 
-			if ( header.colorEncoding === BLP_COLOR_ENCODING_COLOR_PALETTE ) {
+	}
 
-				const newMips = [];
+}
 
-				for ( let i = 0; i < mipmaps.length; i ++ ) {
+class EventPoint extends Object3D {
 
-					const mip = mipmaps[ i ];
+	constructor() {
 
-					const data = new Uint8Array( mip.width * mip.height * 4 );
+		super();
 
-					for ( let j = 0, k = 0; j < mip.data.length; j ++, k += 4 ) {
+		this.identifier = '';
+		this.data = 0;
+		this.boneIndex = 0;
 
-						const index = mip.data[ j ];
+	}
 
-						data[ k + 0 ] = header.palette[ index * 4 + 2 ];
-						data[ k + 1 ] = header.palette[ index * 4 + 1 ];
-						data[ k + 2 ] = header.palette[ index * 4 + 0 ];
-						data[ k + 3 ] = header.palette[ index * 4 + 3 ];
+}
 
-					}
+class LightSource extends Object3D {
 
-					newMips.push( { data, width: mip.width, height: mip.height } );
+	constructor( type ) {
 
-				}
+		super();
 
-				texture = new DataTexture( newMips[ 0 ].data, header.width, header.height );
-				texture.colorSpace = SRGBColorSpace;
-				texture.mipmaps = newMips;
-				texture.magFilter = LinearFilter;
-				texture.minFilter = LinearMipmapLinearFilter;
-				texture.needsUpdate = true;
+		this.boneIndex = - 1;
 
-			} else {
+		// M2 lights have an ambient and a diffuse component
 
-				// TODO Handle more unsupported color encodings
+		this.ambientLight = new AmbientLight( 0xffffff, 0 );
+		this.add( this.ambientLight );
 
-				console.error( 'THREE.M2Loader: Unsupported color encoding.', header.colorEncoding );
+		if ( type === M2_LIGHT_TYPE_POINT ) {
 
-			}
+			this.diffuseLight = new PointLight( 0xffffff, 0 );
+			this.diffuseLight.decay = 0; // the falloff is only controlled by the attenuation end (distance)
 
 		} else {
 
-			// TODO Handle more unsupported pixel formats
+			// the target is part of the hierarchy so the light shines down the z-axis of its bone
 
-			console.error( 'THREE.M2Loader: Unsupported pixel format.', header.preferredFormat );
+			this.diffuseLight = new DirectionalLight( 0xffffff, 0 );
+			this.diffuseLight.position.set( 0, 0, 0 );
+			this.diffuseLight.target.position.set( 0, 0, - 1 );
+			this.diffuseLight.add( this.diffuseLight.target );
 
 		}
 
-		//
+		this.add( this.diffuseLight );
 
-		if ( flags & 0x1 ) texture.wrapS = RepeatWrapping;
-		if ( flags & 0x2 ) texture.wrapT = RepeatWrapping;
+		// the colors are shared with the lights so they can be directly animated
 
-		return texture;
+		this.ambientColor = this.ambientLight.color;
+		this.diffuseColor = this.diffuseLight.color;
 
 	}
 
-}
+	get ambientIntensity() {
 
-// const BLP_COLOR_ENCODING_COLOR_JPEG = 0;
-const BLP_COLOR_ENCODING_COLOR_PALETTE = 1;
-// const BLP_COLOR_ENCODING_COLOR_DXT = 2;
-// const BLP_COLOR_ENCODING_ARGB8888 = 3;
+		return this.ambientLight.intensity;
 
-const BLP_PIXEL_FORMAT_PIXEL_DXT1 = 0;
-const BLP_PIXEL_FORMAT_PIXEL_DXT3 = 1;
-// const BLP_PIXEL_FORMAT_PIXEL_ARGB8888 = 2;
-// const BLP_PIXEL_FORMAT_PIXEL_ARGB1555 = 3;
-// const BLP_PIXEL_FORMAT_PIXEL_ARGB4444 = 4;
-// const BLP_PIXEL_FORMAT_PIXEL_RGB565 = 5;
-// const BLP_PIXEL_FORMAT_PIXEL_A8 = 6;
-const BLP_PIXEL_FORMAT_PIXEL_DXT5 = 7;
-const BLP_PIXEL_FORMAT_PIXEL_UNSPECIFIED = 8;
-// const BLP_PIXEL_FORMAT_PIXEL_ARGB2565 = 9;
-const BLP_PIXEL_FORMAT_PIXEL_BC5 = 11;
-// const BLP_PIXEL_FORMAT_NUM_PIXEL_FORMATS = 12;
+	}
 
-//
+	set ambientIntensity( value ) {
 
-class BinaryParser {
+		this.ambientLight.intensity = value;
 
-	constructor( buffer ) {
+	}
 
-		this.view = new DataView( buffer );
+	get diffuseIntensity() {
 
-		this.offset = 0;
-		this.chunkOffset = 0;
+		return this.diffuseLight.intensity;
 
-		this._savedOffsets = [];
+	}
+
+	set diffuseIntensity( value ) {
+
+		this.diffuseLight.intensity = value;
 
 	}
 
-	moveTo( offset ) {
+	get attenuationEnd() {
 
-		this.offset = offset + this.chunkOffset;
+		return ( this.diffuseLight.isPointLight === true ) ? this.diffuseLight.distance : 0;
 
 	}
 
-	readFloat32() {
+	set attenuationEnd( value ) {
 
-		const float = this.view.getFloat32( this.offset, true );
-		this.offset += 4;
-		return float;
+		if ( this.diffuseLight.isPointLight === true ) this.diffuseLight.distance = value;
 
 	}
 
-	readInt8() {
+	get visibility() {
 
-		return this.view.getInt8( this.offset ++ );
+		return this.visible ? 1 : 0;
 
 	}
 
-	readInt16() {
+	set visibility( value ) {
 
-		const int = this.view.getInt16( this.offset, true );
-		this.offset += 2;
-		return int;
+		this.visible = value > 0;
 
 	}
 
-	readInt32() {
+}
 
-		const int = this.view.getInt32( this.offset, true );
-		this.offset += 4;
-		return int;
+class ModelCamera extends PerspectiveCamera {
+
+	constructor() {
+
+		super();
+
+		this.boneIndex = - 1;
+		this.cameraType = 0;
+
+		this.modelUp = new Vector3( 0, 0, 1 ); // M2 uses a z-up coordinate system
+		this.positionBase = new Vector3();
+		this.targetPositionBase = new Vector3();
+
+		// animated properties
+
+		this.translation = new Vector3();
+		this.targetTranslation = new Vector3();
+		this.roll = 0;
+		this.diagonalFov = 0;
 
 	}
 
-	readString( bytes ) {
+	update() {
 
-		let string = '';
+		// positions are defined in model space
 
-		for ( let i = 0; i < bytes; i ++ ) {
+		this.position.copy( this.positionBase ).add( this.translation );
 
-			string += String.fromCharCode( this.readUInt8() );
+		this.updateWorldMatrix( true, false );
+
+		_target.copy( this.targetPositionBase ).add( this.targetTranslation );
+		_up.copy( this.modelUp );
+
+		if ( this.parent !== null ) {
+
+			_target.applyMatrix4( this.parent.matrixWorld );
+			_up.transformDirection( this.parent.matrixWorld );
 
 		}
 
-		return string;
+		this.up.copy( _up );
+		this.lookAt( _target );
+		this.rotateZ( this.roll );
 
-	}
+		// convert the diagonal field of view to the vertical field of view of three.js
 
-	readUInt8() {
+		if ( this.diagonalFov > 0 ) {
 
-		return this.view.getUint8( this.offset ++ );
+			const fov = 2 * Math.atan( Math.tan( this.diagonalFov / 2 ) / Math.sqrt( 1 + this.aspect * this.aspect ) );
+			this.fov = MathUtils.radToDeg( fov );
+
+		}
+
+		this.updateProjectionMatrix();
 
 	}
 
-	readUInt16() {
+}
 
-		const int = this.view.getUint16( this.offset, true );
-		this.offset += 2;
-		return int;
+class PivotBone extends Bone {
 
-	}
+	constructor() {
 
-	readUInt32() {
+		super();
 
-		const int = this.view.getUint32( this.offset, true );
-		this.offset += 4;
-		return int;
+		this.pivot = new Vector3();
+
+		this.billboardFlags = 0;
+		this.modelForward = new Vector3( 1, 0, 0 ); // billboards face the camera with their x-axis
+		this.modelUp = new Vector3( 0, 0, 1 ); // M2 uses a z-up coordinate system
 
 	}
 
-	saveState() {
+	updateBillboard( camera ) {
 
-		this._savedOffsets.push( this.offset );
+		// replace the world rotation of the bone so it faces the camera, the pivot and scale are retained
 
-	}
+		const te = this.matrixWorld.elements;
 
-	restoreState() {
+		_pivot.copy( this.pivot ).applyMatrix4( this.matrixWorld );
 
-		this.offset = this._savedOffsets.pop();
+		const sx = _vector.set( te[ 0 ], te[ 1 ], te[ 2 ] ).length();
+		const sy = _vector.set( te[ 4 ], te[ 5 ], te[ 6 ] ).length();
+		const sz = _vector.set( te[ 8 ], te[ 9 ], te[ 10 ] ).length();
 
-	}
+		// the axes of the bone in model space (forward, side and up)
 
-}
+		_forward.copy( this.modelForward );
+		_up.copy( this.modelUp );
+		_side.crossVectors( _up, _forward );
 
-class SequenceManager {
+		_localBasis.makeBasis( _forward, _side, _up );
 
-	constructor( sequences, globalSequences, filename, resourcePath ) {
+		// the axes of the camera in world space
 
-		this.sequences = sequences;
-		this.globalSequences = globalSequences;
-		this.filename = filename;
-		this.resourcePath = resourcePath;
+		_cameraUp.setFromMatrixColumn( camera.matrixWorld, 1 ).normalize();
+		_cameraBack.setFromMatrixColumn( camera.matrixWorld, 2 ).normalize();
 
-		this._sequenceMap = new Map();
-		this._globalSequenceMap = new Map();
-		this._mixers = new Map();
-		this._globalMixers = new Map();
-		this._externalSequences = new Map();
-		this._externalSequencesInitialized = new Map();
+		if ( this.billboardFlags & M2_BONE_FLAGS_SPHERICAL_BILLBOARD ) {
 
-		// setup maps
+			_forward.copy( _cameraBack );
+			_up.copy( _cameraUp );
+			_side.crossVectors( _up, _forward );
 
-		for ( let i = 0; i < sequences.length; i ++ ) {
+		} else {
 
-			const sequence = sequences[ i ];
+			// cylindrical billboards only rotate around the locked axis
 
-			const key = computeSequenceKey( sequence.id, sequence.variationIndex );
+			_forward.copy( this.modelForward ).transformDirection( this.matrixWorld );
+			_up.copy( this.modelUp ).transformDirection( this.matrixWorld );
+			_side.crossVectors( _up, _forward );
 
-			this._sequenceMap.set( key, [] );
+			if ( this.billboardFlags & M2_BONE_FLAGS_CYLINDRICAL_BILLBOARD_LOCK_X ) {
 
-			if ( ! this.isEmbeddedSequence( i ) ) {
+				// the forward axis can't face the camera so the up axis is used instead
 
-				this._externalSequencesInitialized.set( key, false );
-				this._externalSequences.set( key, [] );
+				if ( projectOnAxis( _cameraBack, _forward, _up ) === false ) return;
+				_side.crossVectors( _up, _forward );
+
+			} else if ( this.billboardFlags & M2_BONE_FLAGS_CYLINDRICAL_BILLBOARD_LOCK_Y ) {
+
+				if ( projectOnAxis( _cameraBack, _side, _forward ) === false ) return;
+				_up.crossVectors( _forward, _side );
+
+			} else if ( this.billboardFlags & M2_BONE_FLAGS_CYLINDRICAL_BILLBOARD_LOCK_Z ) {
+
+				if ( projectOnAxis( _cameraBack, _up, _forward ) === false ) return;
+				_side.crossVectors( _up, _forward );
 
 			}
 
 		}
 
-		for ( let i = 0; i < globalSequences.length; i ++ ) {
+		_worldBasis.makeBasis( _forward, _side, _up );
 
-			this._globalSequenceMap.set( i, [] );
+		// matrixWorld = translate( pivot ) * rotation * scale * translate( - pivot )
 
-		}
+		this.matrixWorld.multiplyMatrices( _worldBasis, _localBasis.transpose() );
+		this.matrixWorld.scale( _vector.set( sx, sy, sz ) );
+
+		_vector.copy( this.pivot ).applyMatrix4( this.matrixWorld );
+		te[ 12 ] = _pivot.x - _vector.x;
+		te[ 13 ] = _pivot.y - _vector.y;
+		te[ 14 ] = _pivot.z - _vector.z;
+
+		// children must be updated since they depend on the world matrix of this bone
+
+		for ( const child of this.children ) child.updateMatrixWorld( true );
 
 	}
 
-	addAnimationToSequence( clip, root, i ) {
+	updateMatrix() {
 
-		const sequence = this.sequences[ i ];
+		this.matrix.compose( this.position, this.quaternion, this.scale );
 
-		const key = computeSequenceKey( sequence.id, sequence.variationIndex );
+		const px = this.pivot.x;
+		const py = this.pivot.y;
+		const pz = this.pivot.z;
 
-		const animations = this._sequenceMap.get( key );
-		animations.push( { clip, root, flags: sequence.flags } );
+		const te = this.matrix.elements;
 
-		if ( this._mixers.has( root ) === false ) {
+		te[ 12 ] += px - te[ 0 ] * px - te[ 4 ] * py - te[ 8 ] * pz;
+		te[ 13 ] += py - te[ 1 ] * px - te[ 5 ] * py - te[ 9 ] * pz;
+		te[ 14 ] += pz - te[ 2 ] * px - te[ 6 ] * py - te[ 10 ] * pz;
 
-			this._mixers.set( root, new AnimationMixer( root ) );
+		this.matrixWorldNeedsUpdate = true;
 
-		}
+	}
+
+}
+
+class M2ParticleEmitter extends Object3D {
+
+	constructor( particleDefinition, texture = null ) {
+
+		super();
+
+		this.boneIndex = particleDefinition.bone;
+		this.position.copy( particleDefinition.position );
+
+		this.flags = particleDefinition.flags;
+		this.emitterType = particleDefinition.emitterType;
+
+		// animated properties
+
+		this.emissionSpeed = 0;
+		this.speedVariation = 0;
+		this.verticalRange = 0;
+		this.horizontalRange = 0;
+		this.gravity = 0;
+		this.lifespan = 0;
+		this.emissionRate = 0;
+		this.emissionAreaLength = 0;
+		this.emissionAreaWidth = 0;
+		this.zSource = 0;
+		this.enabledIn = 1;
+
+		// static properties
+
+		this.lifespanVariation = particleDefinition.lifespanVariation;
+		this.emissionRateVariation = particleDefinition.emissionRateVariation;
+		this.scaleVariation = particleDefinition.scaleVariation.x;
+		this.drag = particleDefinition.drag;
+		this.baseSpin = particleDefinition.baseSpin;
+		this.baseSpinVariation = particleDefinition.baseSpinVariation;
+		this.spin = particleDefinition.spin;
+		this.spinVariation = particleDefinition.spinVariation;
+
+		// properties over the lifetime of a single particle
+
+		this.colorTrack = particleDefinition.color;
+		this.alphaTrack = particleDefinition.alpha;
+		this.scaleTrack = particleDefinition.scale;
+		this.cellTrack = particleDefinition.headCell;
+
+		// particles are simulated in world space unless they should move with the emitter
+
+		this.points = new ParticleSystem( texture, particleDefinition.textureDimensions );
+		this.points.worldSpace = ( this.flags & M2_PARTICLE_DO_NOT_TRAIL ) === 0;
+		this.add( this.points );
+
+		this._particles = [];
+		this._pool = [];
+		this._emissionCounter = 0;
 
 	}
 
-	addAnimationToGlobalSequence( clip, root, i ) {
+	update( delta ) {
 
-		const globalSequence = this._globalSequenceMap.get( i );
-		globalSequence.push( { clip, root } );
+		// emission
 
-		if ( this._globalMixers.has( root ) === false ) {
+		if ( this.enabledIn > 0 ) {
 
-			this._globalMixers.set( root, new AnimationMixer( root ) );
+			const rate = Math.max( 0, this.emissionRate + MathUtils.randFloat( - 1, 1 ) * this.emissionRateVariation );
+
+			this._emissionCounter += rate * delta;
+
+			while ( this._emissionCounter >= 1 ) {
+
+				this._emit();
+				this._emissionCounter -= 1;
+
+			}
 
 		}
 
-	}
+		// simulation (M2 uses a z-up coordinate system)
 
-	addExternalTrack( id, subId, externalTimestamps, externalValues, track ) {
+		_gravity.set( 0, 0, - 1 );
+		if ( this.points.worldSpace === true ) _gravity.transformDirection( this.matrixWorld ).multiplyScalar( this.matrixWorld.getMaxScaleOnAxis() );
+		_gravity.multiplyScalar( this.gravity );
 
-		const key = computeSequenceKey( id, subId );
+		const drag = Math.max( 0, 1 - this.drag * delta );
+		const particles = this._particles;
 
-		const data = this._externalSequences.get( key );
+		for ( let i = particles.length - 1; i >= 0; i -- ) {
 
-		data.push( { externalTimestamps, externalValues, track } );
+			const particle = particles[ i ];
 
-	}
+			particle.age += delta;
 
-	isEmbeddedSequence( i ) {
+			if ( particle.age >= particle.lifespan ) {
 
-		const sequence = this.sequences[ i ];
+				particles[ i ] = particles[ particles.length - 1 ];
+				particles.pop();
 
-		return sequence.flags & M2_SEQUENCE_EMBEDDED_DATA;
+				this._pool.push( particle );
 
-	}
+				continue;
 
-	playSequence( id, variationIndex = 0 ) {
+			}
 
-		const key = computeSequenceKey( id, variationIndex );
+			particle.velocity.addScaledVector( _gravity, delta ).multiplyScalar( drag );
+			particle.position.addScaledVector( particle.velocity, delta );
+			particle.rotation += particle.spin * delta;
 
-		const sequence = this._sequenceMap.get( key );
+		}
 
-		for ( const animation of sequence ) {
+		this._updateGeometry();
 
-			const mixer = this._mixers.get( animation.root );
+	}
 
-			if ( animation.flags & M2_SEQUENCE_EMBEDDED_DATA ) {
+	_emit() {
 
-				const action = mixer.clipAction( animation.clip );
-				action.play();
+		const lifespan = this.lifespan + MathUtils.randFloat( - 1, 1 ) * this.lifespanVariation;
 
-			} else {
+		if ( lifespan <= 0 ) return;
 
-				if ( this._externalSequencesInitialized.get( key ) === false ) {
+		const particle = ( this._pool.length > 0 ) ? this._pool.pop() : { position: new Vector3(), velocity: new Vector3(), age: 0, lifespan: 0, scale: 1, rotation: 0, spin: 0 };
 
-					const filename = this.filename;
-					const resourcePath = this.resourcePath;
-					const sequenceId = id.toString().padStart( 4, '0' );
-					const subSequenceId = variationIndex.toString().padStart( 2, '0' );
+		particle.age = 0;
+		particle.lifespan = lifespan;
+		particle.scale = 1 + MathUtils.randFloat( - 1, 1 ) * this.scaleVariation;
+		particle.rotation = this.baseSpin + MathUtils.randFloat( - 1, 1 ) * this.baseSpinVariation;
+		particle.spin = this.spin + MathUtils.randFloat( - 1, 1 ) * this.spinVariation;
 
-					const path = resourcePath + filename + sequenceId + '-' + subSequenceId + '.anim';
+		// spawn position and direction in emitter space
 
-					fetch( path ).then( ( response ) => {
+		const direction = _direction;
 
-						if ( response.ok === false ) {
+		switch ( this.emitterType ) {
 
-							console.warn( 'THREE.M2Loader: Unable to load animation file. HTTP error, response status:', response.status );
-							return;
+			case M2_PARTICLE_EMITTER_SPHERE: {
 
-						}
+				const theta = MathUtils.randFloat( - 1, 1 ) * this.verticalRange;
+				const phi = MathUtils.randFloat( - 1, 1 ) * this.horizontalRange;
 
-						return response.arrayBuffer();
+				direction.set( Math.sin( theta ) * Math.cos( phi ), Math.sin( theta ) * Math.sin( phi ), Math.cos( theta ) );
+				particle.position.copy( direction ).multiplyScalar( Math.random() * this.emissionAreaLength );
 
-					} ).then( ( buffer ) => {
+				break;
 
-						if ( buffer !== undefined ) {
+			}
 
-							this._updateKeyframes( id, variationIndex, buffer );
-							this._externalSequencesInitialized.set( key, true );
+			case M2_PARTICLE_EMITTER_PLANE:
+			default: {
 
-							animation.clip.resetDuration();
-							const action = mixer.clipAction( animation.clip );
-							action.play();
+				const theta = MathUtils.randFloat( - 1, 1 ) * this.verticalRange;
+				const phi = Math.random() * Math.PI * 2;
 
-						}
+				direction.set( Math.sin( theta ) * Math.cos( phi ), Math.sin( theta ) * Math.sin( phi ), Math.cos( theta ) );
 
-					} );
+				if ( this.emitterType === M2_PARTICLE_EMITTER_PLANE ) {
+
+					particle.position.set( MathUtils.randFloat( - 0.5, 0.5 ) * this.emissionAreaLength, MathUtils.randFloat( - 0.5, 0.5 ) * this.emissionAreaWidth, 0 );
 
 				} else {
 
-					const action = mixer.clipAction( animation.clip );
-					action.play();
+					particle.position.set( 0, 0, 0 );
 
 				}
 
+				break;
+
 			}
 
 		}
 
-	}
+		// a positive z-source means particles move away from a point above the emitter
 
-	stopSequence( id, variationIndex = 0 ) {
+		if ( this.zSource > 0 ) {
 
-		const key = computeSequenceKey( id, variationIndex );
+			direction.set( 0, 0, this.zSource ).subVectors( particle.position, direction ).normalize();
 
-		const sequence = this._sequenceMap.get( key );
+		}
 
-		for ( const animation of sequence ) {
+		const speed = this.emissionSpeed * ( 1 + MathUtils.randFloat( - 1, 1 ) * this.speedVariation );
 
-			const mixer = this._mixers.get( animation.root );
-			mixer.stopAllAction();
+		particle.velocity.copy( direction ).multiplyScalar( speed );
+
+		if ( this.points.worldSpace === true ) {
+
+			particle.position.applyMatrix4( this.matrixWorld );
+			particle.velocity.transformDirection( this.matrixWorld ).multiplyScalar( speed * this.matrixWorld.getMaxScaleOnAxis() );
 
 		}
 
+		this._particles.push( particle );
+
 	}
 
-	stopAllSequences() {
+	_updateGeometry() {
 
-		for ( const mixer of this._mixers.values() ) {
+		const particles = this._particles;
+		const points = this.points;
 
-			mixer.stopAllAction();
+		points.setCapacity( particles.length );
 
-		}
+		const scale = this.matrixWorld.getMaxScaleOnAxis(); // particle sizes are defined in emitter space
 
-	}
+		const geometry = points.geometry;
+		const positionAttribute = geometry.getAttribute( 'position' );
+		const colorAttribute = geometry.getAttribute( 'particleColor' );
+		const sizeAttribute = geometry.getAttribute( 'size' );
+		const rotationAttribute = geometry.getAttribute( 'rotation' );
+		const cellAttribute = geometry.getAttribute( 'cell' );
 
-	playGlobalSequences() {
+		for ( let i = 0; i < particles.length; i ++ ) {
 
-		for ( const globalSequence of this._globalSequenceMap.values() ) {
+			const particle = particles[ i ];
 
-			for ( const animation of globalSequence ) {
+			const t = particle.age / particle.lifespan;
 
-				const mixer = this._globalMixers.get( animation.root );
-				const action = mixer.clipAction( animation.clip );
-				action.play();
+			if ( evaluateFakeTrack( this.colorTrack, t, _color ) === false ) _color.fill( 255 );
+			if ( evaluateFakeTrack( this.alphaTrack, t, _alpha ) === false ) _alpha[ 0 ] = 1;
+			if ( evaluateFakeTrack( this.scaleTrack, t, _scale ) === false ) _scale[ 0 ] = 1;
+			if ( evaluateFakeTrack( this.cellTrack, t, _cell ) === false ) _cell[ 0 ] = 0;
 
-			}
+			positionAttribute.setXYZ( i, particle.position.x, particle.position.y, particle.position.z );
+			colorAttribute.setXYZW( i, _color[ 0 ] / 255, _color[ 1 ] / 255, _color[ 2 ] / 255, _alpha[ 0 ] );
+			sizeAttribute.setX( i, _scale[ 0 ] * particle.scale * scale * 2 ); // the scale represents half the size of a particle
+			rotationAttribute.setX( i, particle.rotation );
+			cellAttribute.setX( i, Math.floor( _cell[ 0 ] ) );
 
 		}
 
+		positionAttribute.needsUpdate = true;
+		colorAttribute.needsUpdate = true;
+		sizeAttribute.needsUpdate = true;
+		rotationAttribute.needsUpdate = true;
+		cellAttribute.needsUpdate = true;
+
+		geometry.setDrawRange( 0, particles.length );
+
 	}
 
-	stopGlobalSequences() {
+}
 
-		for ( const globalSequence of this._globalSequenceMap.values() ) {
+class ParticleSystem extends Points {
 
-			for ( const animation of globalSequence ) {
+	constructor( texture, textureDimensions ) {
 
-				const mixer = this._globalMixers.get( animation.root );
-				mixer.stopAllAction();
+		super( new BufferGeometry(), new ShaderMaterial( {
+			uniforms: {
+				map: { value: texture },
+				cellCount: { value: new Vector2( textureDimensions.columns, textureDimensions.rows ) },
+				viewportHeight: { value: 1 },
+				alphaTest: { value: 0 }
+			},
+			vertexShader: /* glsl */`
+				attribute vec4 particleColor;
+				attribute float size;
+				attribute float rotation;
+				attribute float cell;
 
-			}
+				uniform vec2 cellCount;
+				uniform float viewportHeight;
+
+				varying vec4 vColor;
+				varying float vRotation;
+				varying vec2 vCellOffset;
+
+				void main() {
 
-		}
+					vColor = particleColor;
+					vRotation = rotation;
+					vCellOffset = vec2( mod( cell, cellCount.x ), floor( cell / cellCount.x ) ) / cellCount;
 
-	}
+					vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );
 
-	listSequences() {
+					gl_PointSize = size * projectionMatrix[ 1 ][ 1 ] * viewportHeight * 0.5 / - mvPosition.z;
+					gl_Position = projectionMatrix * mvPosition;
 
-		const list = [];
+				}`,
+			fragmentShader: /* glsl */`
+				uniform sampler2D map;
+				uniform vec2 cellCount;
+				uniform float alphaTest;
 
-		for ( const sequence of this.sequences ) {
+				varying vec4 vColor;
+				varying float vRotation;
+				varying vec2 vCellOffset;
 
-			if ( sequence.variationIndex > 0 ) continue; // ignore variations
+				void main() {
 
-			let name = M2_ANIMATION_LIST[ sequence.id ];
+					vec2 uv = gl_PointCoord - 0.5;
+					float s = sin( vRotation );
+					float c = cos( vRotation );
+					uv = vec2( c * uv.x - s * uv.y, s * uv.x + c * uv.y ) + 0.5;
 
-			if ( name === undefined ) {
+					if ( uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0 ) discard;
 
-				console.warn( 'THREE.M2Loader: Unknown animation ID:', sequence.id );
-				name = '';
+					gl_FragColor = texture2D( map, vCellOffset + uv / cellCount ) * vColor;
 
-			}
+					if ( gl_FragColor.a < alphaTest ) discard;
 
-			list.push( {
-				id: sequence.id,
-				name: name
+					#include <tonemapping_fragment>
+					#include <colorspace_fragment>
 
-			} );
+				}`
+		} ) );
 
-		}
+		this.worldSpace = true;
+		this.frustumCulled = false;
 
-		list.sort( compareId );
+		this._capacity = 0;
 
-		return list;
+		this.setCapacity( 16 );
 
 	}
 
-	listVariations( id ) {
+	setCapacity( count ) {
 
-		const list = [];
+		if ( count <= this._capacity ) return;
 
-		for ( const sequence of this.sequences ) {
+		let capacity = Math.max( 16, this._capacity );
 
-			if ( sequence.id === id ) list.push( sequence.variationIndex );
+		while ( capacity < count ) capacity *= 2;
 
-		}
+		this.geometry.dispose();
 
-		list.sort( compareNumber );
+		const geometry = new BufferGeometry();
+		geometry.setAttribute( 'position', new BufferAttribute( new Float32Array( capacity * 3 ), 3 ).setUsage( DynamicDrawUsage ) );
+		geometry.setAttribute( 'particleColor', new BufferAttribute( new Float32Array( capacity * 4 ), 4 ).setUsage( DynamicDrawUsage ) );
+		geometry.setAttribute( 'size', new BufferAttribute( new Float32Array( capacity ), 1 ).setUsage( DynamicDrawUsage ) );
+		geometry.setAttribute( 'rotation', new BufferAttribute( new Float32Array( capacity ), 1 ).setUsage( DynamicDrawUsage ) );
+		geometry.setAttribute( 'cell', new BufferAttribute( new Float32Array( capacity ), 1 ).setUsage( DynamicDrawUsage ) );
+		geometry.setDrawRange( 0, 0 );
 
-		return list;
+		this.geometry = geometry;
+		this._capacity = capacity;
 
 	}
 
-	hasGlobalSequences() {
+	onBeforeRender( renderer ) {
 
-		return this.globalSequences.length > 0;
+		const uniforms = this.material.uniforms;
+
+		uniforms.viewportHeight.value = renderer.getDrawingBufferSize( _size ).y;
+		uniforms.alphaTest.value = this.material.alphaTest;
 
 	}
 
-	update( delta ) {
+	updateMatrixWorld( force ) {
 
-		for ( const mixer of this._mixers.values() ) {
+		if ( this.worldSpace === true ) {
 
-			mixer.update( delta );
+			// particle positions are already in world space
 
-		}
+			this.matrixWorld.identity();
 
-		for ( const mixer of this._globalMixers.values() ) {
+		} else {
 
-			mixer.update( delta );
+			super.updateMatrixWorld( force );
 
 		}
 
 	}
 
-	_updateKeyframes( sequenceId, subSequenceId, buffer ) {
+}
 
-		const data = this._externalSequences.get( sequenceId + '-' + subSequenceId );
+class M2RibbonEmitter extends Object3D {
 
-		const parser = new BinaryParser( buffer );
-		parser.chunkOffset += 8; // TODO: Find out the purpose of the first 8 bytes
+	constructor( ribbonDefinition, material ) {
 
-		for ( let keyframes of data ) {
+		super();
 
-			// times
+		this.boneIndex = ribbonDefinition.bone;
+		this.position.copy( ribbonDefinition.position );
 
-			let length = keyframes.externalTimestamps.length;
-			let offset = keyframes.externalTimestamps.offset;
+		// animated properties
 
-			extractTimestamps( parser, length, offset, keyframes.track.times );
+		this.color = new Color( 1, 1, 1 );
+		this.alpha = 1;
+		this.heightAbove = 0;
+		this.heightBelow = 0;
+		this.textureSlot = 0;
+		this.visibility = 1;
 
-			// values
+		// static properties
 
-			length = keyframes.externalValues.length;
-			offset = keyframes.externalValues.offset;
-			const type = keyframes.externalValues.type;
-			const itemSize = keyframes.externalValues.itemSize;
+		this.edgesPerSecond = ribbonDefinition.edgesPerSecond;
+		this.edgeLifetime = ribbonDefinition.edgeLifetime;
+		this.gravity = ribbonDefinition.gravity;
+		this.textureRows = Math.max( 1, ribbonDefinition.textureRows );
+		this.textureColumns = Math.max( 1, ribbonDefinition.textureColumns );
 
-			extractValues( parser, length, offset, type, itemSize, keyframes.track.values );
+		// the strip geometry is defined in world space so the ribbon trails behind the emitter
 
-		}
+		const maxEdges = Math.ceil( this.edgesPerSecond * this.edgeLifetime ) + 1;
+
+		this.mesh = new RibbonMesh( maxEdges, material );
+		this.add( this.mesh );
+
+		this._edges = []; // ordered from oldest to newest
+		this._pool = [];
+		this._edgeCounter = 0;
 
 	}
 
-}
+	update( delta ) {
 
-function compareId( a, b ) {
+		const edges = this._edges;
 
-	return a.id - b.id;
+		// age edges and remove expired ones
 
+		_gravity.set( 0, 0, - 1 ).transformDirection( this.matrixWorld ).multiplyScalar( this.gravity * this.matrixWorld.getMaxScaleOnAxis() * delta );
 
-}
+		for ( const edge of edges ) {
 
-function compareNumber( a, b ) {
+			edge.age += delta;
+			edge.position.add( _gravity );
 
-	return a - b;
+		}
 
-}
+		while ( edges.length > 0 && ( edges[ 0 ].age >= this.edgeLifetime || edges.length > this.mesh.maxEdges ) ) {
 
-function computeSequenceKey( sequenceId, variationIndex ) {
+			this._pool.push( edges.shift() );
 
-	return sequenceId + '-' + variationIndex;
+		}
 
-}
+		// emit new edges
 
-// chunks
+		this._edgeCounter += this.edgesPerSecond * delta;
 
-class M2Batch {
+		while ( this._edgeCounter >= 1 ) {
 
-	constructor() {
+			if ( edges.length === this.mesh.maxEdges ) this._pool.push( edges.shift() );
 
-		this.flags = 0;
-		this.priorityPlane = 0;
-		this.shader_id = 0;
-		this.skinSectionIndex = 0;
-		this.geosetIndex = 0;
-		this.colorIndex = 0;
-		this.materialIndex = 0;
-		this.materialLayer = 0;
-		this.textureCount = 0;
-		this.textureComboIndex = 0;
-		this.textureCoordComboIndex = 0;
-		this.textureWeightComboIndex = 0;
-		this.textureTransformComboIndex = 0;
+			const edge = ( this._pool.length > 0 ) ? this._pool.pop() : { position: new Vector3(), up: new Vector3(), heightAbove: 0, heightBelow: 0, age: 0 };
+			this._setupEdge( edge );
+			edges.push( edge );
 
-	}
+			this._edgeCounter -= 1;
 
-}
+		}
 
-class M2Bone {
+		this._updateGeometry();
 
-	constructor() {
+	}
 
-		this.keyBoneId = 0;
-		this.flags = 0;
-		this.parentBone = 0;
-		this.submeshId = 0;
-		this.boneNameCRC = 0;
-		this.translation = null;
-		this.rotation = null;
-		this.scale = null;
-		this.pivot = new Vector3();
+	_setupEdge( edge ) {
+
+		edge.position.setFromMatrixPosition( this.matrixWorld );
+		edge.up.set( 0, 0, 1 ).transformDirection( this.matrixWorld ); // M2 uses a z-up coordinate system
+		edge.heightAbove = this.heightAbove * this.matrixWorld.getMaxScaleOnAxis();
+		edge.heightBelow = this.heightBelow * this.matrixWorld.getMaxScaleOnAxis();
+		edge.age = 0;
+
+		return edge;
 
 	}
 
-}
+	_updateGeometry() {
 
-class M2Color {
+		const mesh = this.mesh;
+		const material = mesh.material;
+		const edges = this._edges;
 
-	constructor() {
+		mesh.visible = this.visibility > 0;
 
-		this.color = null;
-		this.alpha = null;
+		material.color.copy( this.color );
+		material.opacity = this.alpha;
 
-	}
+		const geometry = mesh.geometry;
+		const positionAttribute = geometry.getAttribute( 'position' );
+		const uvAttribute = geometry.getAttribute( 'uv' );
 
-}
+		const columns = this.textureColumns;
+		const rows = this.textureRows;
+		const column = this.textureSlot % columns;
+		const row = Math.floor( this.textureSlot / columns ) % rows;
 
-class M2Material {
+		// the first edge always represents the current position of the emitter
 
-	constructor() {
+		const head = this._setupEdge( _head );
 
-		this.flags = 0;
-		this.blendingMode = 0;
+		let count = 0;
 
-	}
+		for ( let i = edges.length; i >= 0; i -- ) {
 
-}
+			const edge = ( i === edges.length ) ? head : edges[ i ];
 
-class M2Sequence {
+			_top.copy( edge.position ).addScaledVector( edge.up, edge.heightAbove );
+			_bottom.copy( edge.position ).addScaledVector( edge.up, - edge.heightBelow );
 
-	constructor() {
+			const u = ( this.edgeLifetime > 0 ) ? Math.min( edge.age / this.edgeLifetime, 1 ) : 0;
 
-		this.id = 0;
-		this.variationIndex = 0;
-		this.startTimestamp = 0;
-		this.endTimestamp = 0;
-		this.duration = 0;
-		this.movespeed = 0;
-		this.flags = 0;
-		this.frequency = 0;
-		this.padding = 0;
-		this.replay = { minimum: 0, maximum: 0 };
-		this.blendTime = 0;
-		this.blendTimeIn = 0;
-		this.blendTimeOut = 0;
-		this.bounds = { extend: new Box3(), radius: 0 };
-		this.variationNext = 0;
-		this.aliasNext = 0;
+			positionAttribute.setXYZ( count * 2, _top.x, _top.y, _top.z );
+			positionAttribute.setXYZ( count * 2 + 1, _bottom.x, _bottom.y, _bottom.z );
 
-	}
+			uvAttribute.setXY( count * 2, ( column + u ) / columns, row / rows );
+			uvAttribute.setXY( count * 2 + 1, ( column + u ) / columns, ( row + 1 ) / rows );
 
-}
+			count ++;
 
-class M2SkinSection {
+		}
 
-	constructor() {
+		positionAttribute.needsUpdate = true;
+		uvAttribute.needsUpdate = true;
 
-		this.skinSectionId = 0;
-		this.Level = 0;
-		this.vertexStart = 0;
-		this.vertexCount = 0;
-		this.indexStart = 0;
-		this.indexCount = 0;
-		this.boneCount = 0;
-		this.boneComboIndex = 0;
-		this.boneInfluences = 0;
-		this.centerBoneIndex = 0;
-		this.centerPosition = new Vector3();
-		this.sortCenterPosition = new Vector3();
-		this.sortRadius = 0;
+		geometry.setDrawRange( 0, ( count - 1 ) * 6 );
 
 	}
 
 }
 
-class M2Texture {
+class RibbonMesh extends Mesh {
 
-	constructor() {
+	constructor( maxEdges, material ) {
 
-		this.type = 0;
-		this.flags = 0;
-		this.filename = '';
+		const geometry = new BufferGeometry();
 
-	}
+		const vertexCount = ( maxEdges + 1 ) * 2; // one additional edge for the head of the ribbon
 
-}
+		geometry.setAttribute( 'position', new BufferAttribute( new Float32Array( vertexCount * 3 ), 3 ).setUsage( DynamicDrawUsage ) );
+		geometry.setAttribute( 'uv', new BufferAttribute( new Float32Array( vertexCount * 2 ), 2 ).setUsage( DynamicDrawUsage ) );
 
-class M2TextureTransform {
+		const index = [];
 
-	constructor() {
+		for ( let i = 0; i < maxEdges; i ++ ) {
 
-		this.translation = null;
-		this.rotation = null;
-		this.scale = null;
+			const a = i * 2;
+			const b = i * 2 + 1;
+			const c = i * 2 + 2;
+			const d = i * 2 + 3;
 
-	}
+			index.push( a, b, c );
+			index.push( b, d, c );
 
-}
+		}
 
-class M2Track {
+		geometry.setIndex( index );
+		geometry.setDrawRange( 0, 0 );
 
-	constructor() {
+		super( geometry, material );
 
-		this.interpolationType = 0;
-		this.globalSequence = 0;
-		this.timestamps = [];
-		this.values = [];
+		this.maxEdges = maxEdges;
+		this.frustumCulled = false;
 
-		this.externalTimestamps = [];
-		this.externalValues = [];
+	}
+
+	updateMatrixWorld() {
+
+		// vertex positions are already in world space
+
+		this.matrixWorld.identity();
 
 	}
 
 }
 
-class M2Vertex {
+const _head = { position: new Vector3(), up: new Vector3(), heightAbove: 0, heightBelow: 0, age: 0 };
+const _top = new Vector3();
+const _bottom = new Vector3();
+const _gravity = new Vector3();
+const _direction = new Vector3();
+const _size = new Vector2();
+const _color = [ 0, 0, 0 ];
+const _alpha = [ 0 ];
+const _scale = [ 0, 0 ];
+const _cell = [ 0 ];
+const _target = new Vector3();
+const _up = new Vector3();
+const _pivot = new Vector3();
+const _vector = new Vector3();
+const _forward = new Vector3();
+const _side = new Vector3();
+const _cameraUp = new Vector3();
+const _cameraBack = new Vector3();
+const _localBasis = new Matrix4();
+const _worldBasis = new Matrix4();
+const _quaternion = new Quaternion();
+
+/**
+* Instances of this class can be used to configure the loading process of M2 assets.
+*/
+class M2Options {
 
+	/**
+	* Creates a new options object.
+	*/
 	constructor() {
 
-		this.pos = new Vector3();
-		this.boneWeights = new Vector4();
-		this.boneIndices = new Vector4();
-		this.normal = new Vector3();
-		this.texCoords = [ new Vector2(), new Vector2() ];
+		this._textureIds = new Map();
+		this._collisionMode = null;
+		this._upAxis = 'z';
+		this._unitScale = 1;
+		this._lod = false;
+		this._lodDistances = null;
+		this._geosetMode = 'all';
 
 	}
 
-}
+	/**
+	* Enables the collision data of M2 assets. The data are available in the `collision` field of the group's
+	* `userData` and hold the collision box, sphere radius and the raw collision indices, positions and face normals.
+	* In mode `'mesh'`, an invisible mesh is additionally built and added to the group e.g. for raycasting.
+	*
+	* @param {String} mode - The collision mode. Either `'mesh'`, `'data'` or `null` to disable collision data.
+	* @returns {this} A reference to this options object.
+	*/
+	setCollision( mode = 'mesh' ) {
 
-class PivotBone extends Bone {
+		if ( mode !== 'mesh' && mode !== 'data' && mode !== null ) {
 
-	constructor() {
+			console.warn( 'THREE.M2Loader: Unsupported collision mode:', mode );
+			return this;
 
-		super();
+		}
 
-		this.pivot = new Vector3();
+		this._collisionMode = mode;
+
+		return this;
 
 	}
 
-	updateMatrix() {
+	/**
+	* Configures which geosets are initially visible. In mode `'all'` (default), all geosets are visible. In mode `'base'`,
+	* only the base variant of each geoset group (e.g. a single hairstyle) is visible which is required for most character models.
+	*
+	* @param {String} mode - The geoset mode. Either `'all'` or `'base'`.
+	* @returns {this} A reference to this options object.
+	*/
+	setGeosetMode( mode = 'base' ) {
 
-		this.matrix.compose( this.position, this.quaternion, this.scale );
+		if ( mode !== 'all' && mode !== 'base' ) {
 
-		const px = this.pivot.x;
-		const py = this.pivot.y;
-		const pz = this.pivot.z;
+			console.warn( 'THREE.M2Loader: Unsupported geoset mode:', mode );
+			return this;
 
-		const te = this.matrix.elements;
+		}
 
-		te[ 12 ] += px - te[ 0 ] * px - te[ 4 ] * py - te[ 8 ] * pz;
-		te[ 13 ] += py - te[ 1 ] * px - te[ 5 ] * py - te[ 9 ] * pz;
-		te[ 14 ] += pz - te[ 2 ] * px - te[ 6 ] * py - te[ 10 ] * pz;
+		this._geosetMode = mode;
 
-		this.matrixWorldNeedsUpdate = true;
+		return this;
 
 	}
 
-}
-
-/**
-* Instances of this class can be used to configure the loading process of M2 assets.
-*/
-class M2Options {
-
 	/**
-	* Creates a new options object.
+	* Enables levels of detail. If enabled, all skin profiles of the asset are loaded and represented as an
+	* instance of THREE.LOD which is added to the returned group. All levels share the same skeleton and sequence manager.
+	*
+	* @param {Boolean} enabled - Whether levels of detail are enabled or not.
+	* @param {?Array<Number>} distances - The switch distances of the levels. If not set, the distances are derived from the size of the asset.
+	* @returns {this} A reference to this options object.
 	*/
-	constructor() {
+	setLOD( enabled = true, distances = null ) {
 
-		this._textureIds = new Map();
+		this._lod = enabled;
+		this._lodDistances = distances;
+
+		return this;
 
 	}
 
@@ -3292,6 +8132,50 @@ class M2Options {
 
 	}
 
+	/**
+	* Configures the up axis of the loaded asset. M2 assets use a z-up coordinate system. When set to `'y'`, geometry,
+	* bones, animations, bounds and all other positional data are converted into the y-up space of three.js.
+	*
+	* @param {String} axis - The up axis. Either `'z'` (default) or `'y'`.
+	* @returns {this} A reference to this options object.
+	*/
+	setUpAxis( axis ) {
+
+		if ( axis !== 'y' && axis !== 'z' ) {
+
+			console.warn( 'THREE.M2Loader: Unsupported up axis:', axis );
+			return this;
+
+		}
+
+		this._upAxis = axis;
+
+		return this;
+
+	}
+
+	/**
+	* Configures the units of the loaded asset. M2 assets are defined in yards. When set to `'meters'`, all positional
+	* data are scaled accordingly.
+	*
+	* @param {String} units - The units. Either `'yards'` (default) or `'meters'`.
+	* @returns {this} A reference to this options object.
+	*/
+	setUnits( units ) {
+
+		if ( units !== 'yards' && units !== 'meters' ) {
+
+			console.warn( 'THREE.M2Loader: Unsupported units:', units );
+			return this;
+
+		}
+
+		this._unitScale = ( units === 'meters' ) ? M2_YARDS_TO_METERS : 1;
+
+		return this;
+
+	}
+
 }
 
 // JSDoc